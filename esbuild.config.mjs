@@ -1,5 +1,6 @@
 import esbuild from 'esbuild';
-import { cpSync, mkdirSync, existsSync } from 'fs';
+import { cpSync, mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { gzipSync } from 'zlib';
 
 const isWatch = process.argv.includes('--watch');
 
@@ -10,6 +11,7 @@ mkdirSync('dist/popup', { recursive: true });
 mkdirSync('dist/icons', { recursive: true });
 mkdirSync('dist/wasm', { recursive: true });
 mkdirSync('dist/offscreen', { recursive: true });
+mkdirSync('dist/options', { recursive: true });
 
 // Common build options
 const commonOptions = {
@@ -46,7 +48,15 @@ const popupBuild = esbuild.build({
   format: 'iife',
 });
 
-// Build offscreen document (Prompt API needs DOM context)
+// Build options page (per-rule settings)
+const optionsBuild = esbuild.build({
+  ...commonOptions,
+  entryPoints: ['src/options/options.js'],
+  outfile: 'dist/options/options.js',
+  format: 'iife',
+});
+
+// Build offscreen document (Prompt API needs DOM context; hosts the Harper workers)
 const offscreenBuild = esbuild.build({
   ...commonOptions,
   entryPoints: ['src/offscreen/offscreen.js'],
@@ -55,14 +65,26 @@ const offscreenBuild = esbuild.build({
   external: [],
 });
 
-await Promise.all([bgBuild, contentBuild, popupBuild, offscreenBuild]);
+// Build Harper worker (spawned by the offscreen document's worker pool)
+const harperWorkerBuild = esbuild.build({
+  ...commonOptions,
+  entryPoints: ['src/offscreen/harper-worker.js'],
+  outfile: 'dist/offscreen/harper-worker.js',
+  format: 'esm',
+});
+
+await Promise.all([bgBuild, contentBuild, popupBuild, optionsBuild, offscreenBuild, harperWorkerBuild]);
 
 // Copy static assets
 cpSync('src/manifest.json', 'dist/manifest.json');
 cpSync('src/content/styles.css', 'dist/content/styles.css');
 cpSync('src/popup/popup.html', 'dist/popup/popup.html');
 cpSync('src/popup/popup.css', 'dist/popup/popup.css');
+cpSync('src/options/options.html', 'dist/options/options.html');
+cpSync('src/options/options.css', 'dist/options/options.css');
 cpSync('src/offscreen/offscreen.html', 'dist/offscreen/offscreen.html');
+// Thesaurus for the synonym picker, fetched by the service worker on first use
+writeFileSync('dist/background/thesaurus.txt.gz', gzipSync(readFileSync('src/background/thesaurus.txt'), { level: 9 }));
 if (existsSync('src/icons')) {
   cpSync('src/icons', 'dist/icons', { recursive: true });
 }
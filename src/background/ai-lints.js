@@ -0,0 +1,69 @@
+/**
+ * Turn AI proofreading corrections into lints for the second lint pass.
+ *
+ * Corrections come from the offscreen document as
+ *   { start, end, correction, type, explanation }
+ * and become ordinary lint objects with category 'ai', so the content
+ * scripts render and apply them like any other lint. They're low confidence:
+ * "Safe fixes only" Tab mode never applies them.
+ */
+
+import { isDictionaryWord } from './custom-rules.js';
+import { CONFIDENCE } from './confidence.js';
+
+/** Proofreader correction type → label shown in the popup. */
+const CORRECTION_TYPE_LABELS = {
+  spelling: 'Spelling',
+  punctuation: 'Punctuation',
+  capitalization: 'Capitalization',
+  preposition: 'Preposition',
+  'missing-words': 'Missing Words',
+  grammar: 'Grammar',
+};
+
+/**
+ * Normalize corrections into lints, dropping any that overlap a lint Harper
+ * or the custom rules already reported, change nothing, or touch a
+ * personal-dictionary word.
+ *
+ * @param {string} text – the text that was proofread
+ * @param {Array<object>} corrections
+ * @param {Array<{span:{start:number,end:number}}>} existingLints – phase-1 lints
+ * @param {Set<string>} [dictionary] – lowercase personal-dictionary words
+ */
+export function correctionsToLints(text, corrections, existingLints = [], dictionary = null) {
+  const occupied = existingLints.map(l => [l.span.start, l.span.end]);
+  const lints = [];
+
+  for (const c of Array.isArray(corrections) ? corrections : []) {
+    const { start, end } = c || {};
+    if (!Number.isInteger(start) || !Number.isInteger(end)) continue;
+    if (start < 0 || end > text.length || start >= end) continue;
+    if (typeof c.correction !== 'string') continue;
+
+    const problemText = text.slice(start, end);
+    if (c.correction === problemText) continue;
+    if (occupied.some(([os, oe]) => start < oe && end > os)) continue;
+    if (dictionary?.size && isDictionaryWord(text, { start, end }, dictionary)) continue;
+
+    const label = CORRECTION_TYPE_LABELS[c.type] || 'Grammar';
+    let message = typeof c.explanation === 'string' ? c.explanation.trim() : '';
+    if (!message) {
+      message = c.correction ? `Did you mean "${c.correction}"?` : `Remove "${problemText}".`;
+    }
+
+    occupied.push([start, end]);
+    lints.push({
+      span: { start, end },
+      message,
+      lintKind: 'AI',
+      lintKindPretty: `AI ${label}`,
+      category: 'ai',
+      problemText,
+      suggestions: [{ text: c.correction, kind: 'ReplaceWith' }],
+      confidence: CONFIDENCE.low,
+    });
+  }
+
+  return lints;
+}
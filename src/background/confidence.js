@@ -0,0 +1,65 @@
+/**
+ * Lint confidence: how likely a lint's first suggestion is the right fix,
+ * from 0 to 1. Set on every lint as `confidence`:
+ *   - custom rules: per rule in RULES (custom-rules.js)
+ *   - Harper: per lintKind, below
+ *   - AI proofreading: CONFIDENCE.low (ai-lints.js)
+ *
+ * "Safe fixes only" Tab mode applies only lints at SAFE_FIX_CONFIDENCE or
+ * above. The popup and the content scripts import from here too, so keep
+ * this module free of imports.
+ */
+
+export const CONFIDENCE = {
+  high: 0.9,   // mechanical fix, almost never wrong ("teh" → "the", "could of")
+  medium: 0.6, // usually right, but the sentence may mean something else
+  low: 0.3,    // heuristic; worth a look, not an automatic fix
+};
+
+/** Lints at or above this are "safe" fixes: Tab applies them in "Safe fixes only" mode. */
+export const SAFE_FIX_CONFIDENCE = CONFIDENCE.high;
+
+/**
+ * The CONFIDENCE bucket a 0–1 score falls in: 'high', 'medium' or 'low'.
+ * A lint without a confidence counts as low.
+ */
+export function confidenceLevel(confidence = 0) {
+  if (confidence >= CONFIDENCE.high) return 'high';
+  if (confidence >= CONFIDENCE.medium) return 'medium';
+  return 'low';
+}
+
+const HARPER_KIND_CONFIDENCE = {
+  Spelling: CONFIDENCE.high,
+  Typo: CONFIDENCE.high,
+  Capitalization: CONFIDENCE.high,
+  Repetition: CONFIDENCE.high,
+  Formatting: CONFIDENCE.high,
+  Agreement: CONFIDENCE.medium,
+  Grammar: CONFIDENCE.medium,
+  Punctuation: CONFIDENCE.medium,
+  BoundaryError: CONFIDENCE.medium,
+  Eggcorn: CONFIDENCE.medium,
+  Malapropism: CONFIDENCE.medium,
+  Nonstandard: CONFIDENCE.medium,
+  Redundancy: CONFIDENCE.medium,
+  Usage: CONFIDENCE.medium,
+  Miscellaneous: CONFIDENCE.medium,
+  WordChoice: CONFIDENCE.low,
+  Style: CONFIDENCE.low,
+  Readability: CONFIDENCE.low,
+  Enhancement: CONFIDENCE.low,
+  Regionalism: CONFIDENCE.low,
+};
+
+/**
+ * Confidence for a Harper lint. A spelling lint with several candidate
+ * words is only as sure as Harper's ranking, so it drops to medium.
+ */
+export function harperConfidence(lint) {
+  const base = HARPER_KIND_CONFIDENCE[lint.lintKind] ?? CONFIDENCE.medium;
+  if ((lint.lintKind === 'Spelling' || lint.lintKind === 'Typo') && lint.suggestions.length > 1) {
+    return Math.min(base, CONFIDENCE.medium);
+  }
+  return base;
+}
@@ -3,12 +3,19 @@
  *
  * Each rule produces lint objects in the same format as the Harper serializer:
  *   { span: { start, end }, message, lintKind, lintKindPretty, category,
- *     problemText, suggestions: [{ text, kind }] }
+ *     problemText, suggestions: [{ text, kind }], confidence }
  *
  * The rules are grouped by category (grammar, spelling, style) and run on plain
  * text, producing an array of additional lints that don't overlap with existing ones.
+ *
+ * Lints with no fixed suggestion may carry `aiRewrite`, an ai-rephrase tone
+ * ('split', 'active') the suggestion popup offers to rewrite the sentence with.
  */
 
+import { CONFIDENCE } from './confidence.js';
+import { countSyllables, matchCase } from './words.js';
+import { findPassive, IRREGULAR_PARTICIPLES } from './passive-voice.js';
+
 /**
  * Common misspellings → correct spelling.
  * Used by service-worker.js to override Harper's bad SplitWords suggestions.
@@ -353,6 +360,50 @@ export const COMMON_MISSPELLINGS = {
   'weel': 'well',
 };
 
+// COMMON_MISSPELLINGS corrects toward American spelling. Elsewhere some of
+// its "misspellings" are the local spelling (null: leave it alone) and some
+// fixes have a local form.
+const COMMONWEALTH_SPELLINGS = {
+  'judgement': null,
+  'neighbour': null,
+  'nieghbor': 'neighbour',
+  'jewlery': 'jewellery',
+  'manuever': 'manoeuvre',
+  'manuver': 'manoeuvre',
+};
+
+// British and Australian; Canadian keeps -ize and -ll
+const BRITISH_SPELLINGS = {
+  ...COMMONWEALTH_SPELLINGS,
+  'realise': null,
+  'critisize': 'criticise',
+  'fullfill': 'fulfil',
+  'skilfull': 'skilful',
+  'wilfull': 'wilful',
+};
+
+const DIALECT_SPELLINGS = {
+  us: {},
+  uk: BRITISH_SPELLINGS,
+  ca: COMMONWEALTH_SPELLINGS,
+  au: BRITISH_SPELLINGS,
+};
+
+const misspellingTables = new Map(); // dialect -> table
+
+/** COMMON_MISSPELLINGS for an English dialect ('us', 'uk', 'ca', 'au'). */
+export function misspellingsFor(dialect = 'us') {
+  if (!misspellingTables.has(dialect)) {
+    const table = { ...COMMON_MISSPELLINGS };
+    for (const [word, fix] of Object.entries(DIALECT_SPELLINGS[dialect] || {})) {
+      if (fix === null) delete table[word];
+      else table[word] = fix;
+    }
+    misspellingTables.set(dialect, table);
+  }
+  return misspellingTables.get(dialect);
+}
+
 // Helpers
 function wordBoundary(pattern) {
   return new RegExp(`\\b${pattern}\\b`, 'gi');
@@ -362,6 +413,7 @@ function wordBoundary(pattern) {
  * Individual rule definitions.
  *
  * Each entry:
+ *   id        – stable identifier, used by the per-rule settings page
  *   regex     – RegExp with 'gi' flags (word-bounded)
  *   match     – (optional) index of capture group to use as the span (default 0)
  *   message   – string or function(match) → string
@@ -369,11 +421,15 @@ function wordBoundary(pattern) {
  *   kind      – lintKind label (e.g. 'Grammar')
  *   pretty    – human-readable category
  *   category  – visual bucket ('spelling' | 'grammar' | 'style')
+ *   confidence – how sure the first suggestion is right (CONFIDENCE in confidence.js)
+ *   enabled   – (optional) false to ship the rule switched off by default
+ *   hidden    – (optional) true to keep the rule out of the settings page
  */
 const RULES = [
   // ── Missing articles ──────────────────────────────────────────────────
   {
     // "eat apple" → "eat an apple" / "eat the apple"
+    id: 'missing-article-verb-noun',
     regex: wordBoundary('(eat|buy|get|grab|pick|take|want|need|have|see|find|give)\\s+(apple|orange|egg|umbrella|hour|idea|elephant|error|example|issue|item|uncle|onion|answer|option|order|offer|opinion|effort|event|action|article|object|animal|office|island|image|email|engine|area|agent)'),
     match: 0,
     message: (m) => `Consider adding an article: "${m[1]} an ${m[2]}" or "${m[1]} a ${m[2]}"`,
@@ -385,9 +441,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Missing Article',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "your welcome" → "you're welcome"
+    id: 'your-youre',
     regex: wordBoundary("your\\s+(welcome|right|wrong|correct|done|going|coming|being|making|doing|getting|having|looking|leaving|kidding|fired|hired|welcome)"),
     match: 0,
     message: `"Your" is possessive. Did you mean "you're" (you are)?`,
@@ -395,9 +453,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Your / You\'re',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "their going" → "they're going"
+    id: 'their-theyre',
     regex: wordBoundary("their\\s+(going|coming|being|making|doing|getting|having|looking|trying|leaving|running|playing|working|saying|asking|telling|taking|giving|thinking|waiting|sitting|standing|walking|talking|eating|sleeping|living|feeling|hoping|acting|moving|helping|watching|using|showing|starting|stopping)"),
     match: 0,
     message: `"Their" is possessive. Did you mean "they're" (they are)?`,
@@ -405,9 +465,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Their / They\'re',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "for next few day" → "for the next few days"
+    id: 'missing-article-plural-period',
     regex: wordBoundary("(for|in|over|during)\\s+(next|last|past|previous|coming|following)\\s+(few|several|couple|couple of|many|some|\\d+)\\s+(day|week|month|year|hour|minute|second)(?!s)"),
     match: 0,
     message: (m) => `Add "the" and use plural: "${m[1]} the ${m[2]} ${m[3]} ${m[4]}s"`,
@@ -415,9 +477,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Missing Article & Plural',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "keep eye" → "keep an eye"
+    id: 'keep-an-eye',
     regex: wordBoundary("keep\\s+eye"),
     match: 0,
     message: `Missing article: "keep an eye"`,
@@ -425,9 +489,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Missing Article',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "he don't" / "she don't" / "it don't"
+    id: 'he-dont',
     regex: wordBoundary("(he|she|it)\\s+don'?t"),
     match: 0,
     message: (m) => `"${m[1]}" requires "doesn't" (third person singular).`,
@@ -435,9 +501,11 @@ const RULES = [
     kind: 'Agreement',
     pretty: 'Subject-Verb Agreement',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "me and him/her/them went" → "he/she/they and I went"
+    id: 'pronoun-case-subject',
     regex: wordBoundary("(me|him|her|them)\\s+and\\s+(me|him|her|them|i|I)\\s+(went|go|are|were|was|have|had|will|can|could|should|would|did|do|came|come)"),
     match: 0,
     message: `Use subject pronouns when they are the subject of a sentence.`,
@@ -453,9 +521,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Pronoun Case',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "I were" → "I was"
+    id: 'i-were',
     regex: wordBoundary("I\\s+were(?!\\s+to)"),
     match: 0,
     message: `Use "I was" (indicative) unless using the subjunctive mood.`,
@@ -463,9 +533,11 @@ const RULES = [
     kind: 'Agreement',
     pretty: 'Subject-Verb Agreement',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "a apple" → "an apple" (broader than Harper's version)
+    id: 'a-an',
     regex: wordBoundary("a\\s+(apple|orange|egg|umbrella|hour|idea|elephant|error|example|issue|item|uncle|onion|answer|option|order|offer|opinion|effort|event|action|article|object|animal|office|island|image|email|engine|area|agent|umbrella|accident|adventure|afternoon|agreement|airplane|album|amount|angle|ankle|appeal|arm|attempt|eye|ear|iron|oven|igloo|ant|inch|oak|owl|arch|alien|angel|annual|award|enemy|era|icon|import|ivory|oxygen|ocean|olive)"),
     match: 0,
     message: (m) => `Use "an" before words starting with a vowel sound: "an ${m[1]}"`,
@@ -473,9 +545,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'A / An',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "less items" → "fewer items" (countable nouns)
+    id: 'less-fewer',
     regex: wordBoundary("less\\s+(people|items|things|problems|issues|errors|mistakes|words|sentences|questions|answers|steps|days|weeks|months|years|hours|minutes|seconds|times|files|pages|books|cars|houses|dogs|cats|children|students|employees|users|members|friends|games|goals|ideas|options|reasons|results|examples|features|changes)"),
     match: 0,
     message: (m) => `Use "fewer" with countable nouns: "fewer ${m[1]}"`,
@@ -483,9 +557,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Less / Fewer',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "would of" / "must of" etc (supplement Harper which catches could/should)
+    id: 'modal-of',
     regex: wordBoundary("(would|must|might|may|will)\\s+of\\b"),
     match: 0,
     message: (m) => `"${m[1]} of" should be "${m[1]} have".`,
@@ -493,9 +569,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Modal + Of',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "I seen" → "I saw" or "I have seen"
+    id: 'i-seen',
     regex: wordBoundary("(I|we|they|you|he|she|it)\\s+seen\\b"),
     match: 0,
     message: (m) => `"${m[1]} seen" → "${m[1]} saw" or "${m[1]} have seen"`,
@@ -503,9 +581,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Past Tense',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "I has" → "I have"
+    id: 'i-has',
     regex: wordBoundary("(I|we|they|you)\\s+has\\b"),
     match: 0,
     message: (m) => `"${m[1]}" takes "have", not "has".`,
@@ -513,9 +593,11 @@ const RULES = [
     kind: 'Agreement',
     pretty: 'Subject-Verb Agreement',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "he/she/it have" → "he/she/it has"  (supplement Harper)
+    id: 'he-have',
     regex: wordBoundary("(he|she|it)\\s+have(?!\\s+been)(?!\\s+to)"),
     match: 0,
     message: (m) => `"${m[1]}" takes "has", not "have".`,
@@ -523,9 +605,11 @@ const RULES = [
     kind: 'Agreement',
     pretty: 'Subject-Verb Agreement',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "who's" when "whose" is intended (before a noun)
+    id: 'whos-whose',
     regex: wordBoundary("who's\\s+(car|house|phone|book|name|idea|fault|turn|job|dog|cat|bag|problem|decision|opinion|responsibility)"),
     match: 0,
     message: (m) => `"Who's" means "who is". Use "whose" for possession: "whose ${m[1]}"`,
@@ -533,9 +617,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Who\'s / Whose',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "affect" / "effect" confusion: "the affect" → "the effect"
+    id: 'affect-effect',
     regex: wordBoundary("(the|an?|this|that|its|no|any|every|some|each|positive|negative|side|main|overall|long-term|short-term)\\s+affect"),
     match: 0,
     message: `"Affect" is usually a verb. Did you mean "effect" (noun)?`,
@@ -543,9 +629,11 @@ const RULES = [
     kind: 'WordChoice',
     pretty: 'Affect / Effect',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
   {
     // "then" used as comparison → "than"
+    id: 'then-than',
     regex: wordBoundary("(better|worse|more|less|greater|fewer|larger|smaller|bigger|taller|shorter|faster|slower|older|younger|higher|lower|nicer|easier|harder|longer|stronger|weaker|richer|poorer|smarter|brighter|darker)\\s+then\\b"),
     match: 0,
     message: `Use "than" for comparisons, not "then".`,
@@ -553,9 +641,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Then / Than',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "loose" when "lose" is intended
+    id: 'lose-loose',
     regex: wordBoundary("(will|going to|don'?t|didn'?t|can'?t|won'?t|might|could|would|should|to|not)\\s+loose\\b"),
     match: 0,
     message: `"Loose" means not tight. Did you mean "lose"?`,
@@ -563,9 +653,11 @@ const RULES = [
     kind: 'Spelling',
     pretty: 'Lose / Loose',
     category: 'spelling',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "supposably" → "supposedly"
+    id: 'supposably',
     regex: wordBoundary("supposably"),
     match: 0,
     message: `Did you mean "supposedly"?`,
@@ -573,9 +665,11 @@ const RULES = [
     kind: 'Spelling',
     pretty: 'Spelling',
     category: 'spelling',
+    confidence: CONFIDENCE.high,
   },
   {
     // "irregardless" → "regardless"
+    id: 'irregardless',
     regex: wordBoundary("irregardless"),
     match: 0,
     message: `"Irregardless" is non-standard. Use "regardless".`,
@@ -583,9 +677,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Non-standard Word',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // "could care less" → "couldn't care less"
+    id: 'could-care-less',
     regex: wordBoundary("could\\s+care\\s+less"),
     match: 0,
     message: `The idiom is "couldn't care less" (meaning you already care the minimum).`,
@@ -593,9 +689,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Idiom',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "i" as a standalone word (pronoun) → "I" — anywhere in text
+    id: 'capitalize-i',
     regex: /(?:^|[\s,;:!?.'"()\-])(i)(?=[\s,;:!?.'"()\-]|$)/gm,
     match: 1,
     message: `The pronoun "I" should always be capitalized.`,
@@ -603,10 +701,12 @@ const RULES = [
     kind: 'Capitalization',
     pretty: 'Capitalize I',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
     // Sentence doesn't end with punctuation (style)
     // (only for sentences > 5 words that don't end with . ! ?)
+    id: 'missing-end-punctuation',
     regex: /[a-zA-Z]{2,}$/gm,
     match: 0,
     enabled: false, // too noisy — disabled by default
@@ -615,6 +715,7 @@ const RULES = [
     kind: 'Style',
     pretty: 'Missing Punctuation',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Rephrase / style suggestions ──────────────────────────────────────
@@ -622,6 +723,7 @@ const RULES = [
   {
     // Missing "as" in "as...as" comparisons:
     // "be bad as" → "be as bad as", "be good as" → "be as good as"
+    id: 'as-as-comparison',
     regex: wordBoundary("(be|is|are|was|were|been|being|seem|seems|seemed|look|looks|looked|feel|feels|felt|sound|sounds|sounded|become|becomes|became|get|gets|got|remain|remains|remained)\\s+(bad|good|big|small|large|fast|slow|strong|weak|tall|short|old|young|hard|easy|long|high|low|hot|cold|rich|poor|smart|bright|dark|light|heavy|thin|thick|wide|narrow|deep|cheap|expensive|simple|difficult|important|beautiful|ugly|happy|sad|angry|calm|loud|quiet|clean|dirty|safe|dangerous|useful|quick|nice|kind|cruel|brave|gentle|rough|smooth|soft|sweet|bitter|sour|clear|sharp|dull|funny|serious|strange|weird|common|rare|early|late|close|far|near|pretty|plain|real|true|false|fair|wild|tame|dry|wet|warm|cool|fresh|certain|sure|proud|ashamed|afraid|aware|glad|sorry|ready|likely|unlikely|similar|different|familiar|comfortable|uncomfortable)\\s+as\\b"),
     match: 0,
     message: (m) => `Use "as ${m[2]} as" for comparisons (correlative "as...as").`,
@@ -629,10 +731,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Rephrase',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "very much" → "a lot" / style suggestions for wordy phrases
     // "in order to" → "to"
+    id: 'in-order-to',
     regex: wordBoundary("in\\s+order\\s+to"),
     match: 0,
     message: `"In order to" can be simplified to "to".`,
@@ -640,9 +744,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "at this point in time" → "now" / "currently"
+    id: 'at-this-point-in-time',
     regex: wordBoundary("at\\s+this\\s+point\\s+in\\s+time"),
     match: 0,
     message: `"At this point in time" can be simplified.`,
@@ -650,9 +756,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "due to the fact that" → "because"
+    id: 'due-to-the-fact-that',
     regex: wordBoundary("due\\s+to\\s+the\\s+fact\\s+that"),
     match: 0,
     message: `"Due to the fact that" can be simplified to "because".`,
@@ -660,9 +768,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "in spite of the fact that" → "although" / "despite"
+    id: 'in-spite-of-the-fact-that',
     regex: wordBoundary("in\\s+spite\\s+of\\s+the\\s+fact\\s+that"),
     match: 0,
     message: `"In spite of the fact that" can be simplified.`,
@@ -670,9 +780,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "on a daily basis" → "daily"
+    id: 'on-a-basis',
     regex: wordBoundary("on\\s+a\\s+(daily|weekly|monthly|yearly|regular|frequent|constant)\\s+basis"),
     match: 0,
     message: (m) => `"On a ${m[1]} basis" can be simplified to "${m[1]}".`,
@@ -680,9 +792,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "the reason is because" → "the reason is that" / "because"
+    id: 'reason-is-because',
     regex: wordBoundary("the\\s+reason\\s+(is|was)\\s+because"),
     match: 0,
     message: `"The reason is because" is redundant. Use "the reason is that" or just "because".`,
@@ -690,9 +804,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Redundant',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "each and every" → "each" / "every"
+    id: 'each-and-every',
     regex: wordBoundary("each\\s+and\\s+every"),
     match: 0,
     message: `"Each and every" is redundant. Use "each" or "every".`,
@@ -700,9 +816,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Redundant',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "first and foremost" → "first"
+    id: 'first-and-foremost',
     regex: wordBoundary("first\\s+and\\s+foremost"),
     match: 0,
     message: `"First and foremost" can be simplified to "first".`,
@@ -710,9 +828,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "a lot of" → "many" / "much" (style)
+    id: 'a-lot-of',
     regex: wordBoundary("a\\s+lot\\s+of\\s+(people|things|problems|issues|errors|mistakes|words|questions|ideas|options|reasons|ways|times|places|books|files|items|changes|features|users|students|employees|members|friends|tasks)"),
     match: 0,
     message: (m) => `"A lot of ${m[1]}" can be tightened to "many ${m[1]}".`,
@@ -720,9 +840,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
   {
     // "is able to" → "can"
+    id: 'is-able-to',
     regex: wordBoundary("(is|are|was|were|am)\\s+able\\s+to"),
     match: 0,
     message: (m) => `"${m[1]} able to" can be simplified.`,
@@ -733,9 +855,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "make a decision" → "decide"
+    id: 'make-a-decision',
     regex: wordBoundary("make\\s+a\\s+decision"),
     match: 0,
     message: `"Make a decision" can be simplified to "decide".`,
@@ -743,9 +867,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "give consideration to" → "consider"
+    id: 'give-consideration-to',
     regex: wordBoundary("give\\s+consideration\\s+to"),
     match: 0,
     message: `"Give consideration to" can be simplified to "consider".`,
@@ -753,9 +879,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "take into consideration" → "consider"
+    id: 'take-into-consideration',
     regex: wordBoundary("take\\s+into\\s+consideration"),
     match: 0,
     message: `"Take into consideration" can be simplified to "consider".`,
@@ -763,9 +891,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "has the ability to" → "can"
+    id: 'has-the-ability-to',
     regex: wordBoundary("(has|have|had)\\s+the\\s+ability\\s+to"),
     match: 0,
     message: `"Has the ability to" can be simplified.`,
@@ -776,9 +906,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "whether or not" → "whether" (the "or not" is usually redundant)
+    id: 'whether-or-not',
     regex: wordBoundary("whether\\s+or\\s+not"),
     match: 0,
     message: `"Or not" is usually redundant after "whether".`,
@@ -786,9 +918,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
   {
     // "at the present time" → "now" / "currently"
+    id: 'at-the-present-time',
     regex: wordBoundary("at\\s+the\\s+present\\s+time"),
     match: 0,
     message: `"At the present time" can be simplified.`,
@@ -796,9 +930,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "it is important to note that" → remove (filler)
+    id: 'important-to-note',
     regex: wordBoundary("it\\s+is\\s+(important|worth noting|interesting|notable|significant)\\s+to\\s+note\\s+that"),
     match: 0,
     message: `This filler phrase can usually be removed for directness.`,
@@ -806,9 +942,11 @@ const RULES = [
     kind: 'Style',
     pretty: 'Filler',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
   {
     // "as a matter of fact" → "in fact"
+    id: 'as-a-matter-of-fact',
     regex: wordBoundary("as\\s+a\\s+matter\\s+of\\s+fact"),
     match: 0,
     message: `"As a matter of fact" can be shortened.`,
@@ -816,11 +954,13 @@ const RULES = [
     kind: 'Style',
     pretty: 'Wordy',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Lay/Lie, Sit/Set, Rise/Raise ────────────────────────────────────
   {
     // "I'm going to lay down" → "lie down"
+    id: 'lay-down',
     regex: wordBoundary("(going\\s+to|gonna|to|will|should|could|would|can|may|might|must|please)\\s+lay\\s+down"),
     match: 0,
     message: `"Lay" requires a direct object. Use "lie down" (to recline).`,
@@ -828,9 +968,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Lay / Lie',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "I laid down yesterday" → "I lay down yesterday"
+    id: 'laid-down',
     regex: wordBoundary("(I|he|she|we|they|you|it)\\s+laid\\s+down"),
     match: 0,
     message: `Past tense of "lie down" is "lay down", not "laid down".`,
@@ -838,9 +980,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Lay / Lie',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "the sun raises" → "the sun rises"
+    id: 'rise-raise',
     regex: wordBoundary("(sun|moon|temperature|prices?|costs?|levels?|tide|water|smoke|steam|dough|bread)\\s+raises"),
     match: 0,
     message: (m) => `"Raise" requires a direct object. Use "rises" (to go up on its own).`,
@@ -848,11 +992,13 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Rise / Raise',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Reflexive pronoun misuse ──────────────────────────────────────────
   {
     // "contact John or myself" → "contact John or me"
+    id: 'reflexive-object',
     regex: wordBoundary("(contact|email|call|tell|ask|invite|join|help|between|with|for|to|from)\\s+(\\w+\\s+(?:or|and)\\s+)?myself"),
     match: 0,
     message: `"Myself" is reflexive — use "me" unless referring back to the subject "I".`,
@@ -860,9 +1006,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Pronoun',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "myself and John" / "Andrew and myself will" → "Andrew and I will"
+    id: 'reflexive-subject',
     regex: wordBoundary("myself\\s+and\\s+(\\w+)\\s+(will|shall|would|can|could|should|must|have|had|am|are|was|were|went|go)"),
     match: 0,
     message: `Use "I" instead of "myself" as a subject.`,
@@ -870,10 +1018,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Pronoun',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Between you and I (hypercorrection) ───────────────────────────────
   {
+    id: 'between-you-and-i',
     regex: wordBoundary("(between|for|with|to|from|about|against|without)\\s+(you|him|her|them|us)\\s+and\\s+I\\b"),
     match: 0,
     message: (m) => `After prepositions, use "me" not "I": "${m[1]} ${m[2]} and me".`,
@@ -881,8 +1031,10 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Pronoun Case',
     category: 'grammar',
+    confidence: CONFIDENCE.high,
   },
   {
+    id: 'preposition-and-i',
     regex: wordBoundary("(between|for|with|to|from|about|against|without)\\s+I\\s+and\\s+(you|him|her|them|us|\\w+)"),
     match: 0,
     message: `After prepositions, use "me" not "I".`,
@@ -890,11 +1042,13 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Pronoun Case',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Good/Well, Bad/Badly ──────────────────────────────────────────────
   {
     // "did good" → "did well"
+    id: 'did-good',
     regex: wordBoundary("(did|does|do|doing|done|performed?|played?|worked?)\\s+good\\b"),
     match: 0,
     message: `"Good" is an adjective. Use "well" (adverb) to modify a verb.`,
@@ -902,9 +1056,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Good / Well',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "feel badly" → "feel bad" (linking verb takes adjective)
+    id: 'feel-badly',
     regex: wordBoundary("(feel|feels|felt|look|looks|looked|taste|tastes|tasted|smell|smells|smelled|sound|sounds|sounded|seem|seems|seemed)\\s+badly\\b"),
     match: 0,
     message: (m) => `"${m[1]}" is a linking verb — use the adjective "bad", not the adverb "badly".`,
@@ -912,9 +1068,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Bad / Badly',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "tastes well" → "tastes good"
+    id: 'tastes-well',
     regex: wordBoundary("(taste|tastes|tasted|smell|smells|smelled|look|looks|looked)\\s+well\\b"),
     match: 0,
     message: (m) => `"${m[1]}" is a linking verb here — use the adjective "good", not the adverb "well".`,
@@ -922,11 +1080,13 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Good / Well',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Everyday vs Every Day ─────────────────────────────────────────────
   {
     // "I go there everyday" → "every day" (adverb)
+    id: 'everyday-adverb',
     regex: /\b(go|went|come|came|eat|ate|run|ran|walk|walked|do|did|happen|happened|use|used|see|saw|visit|visited|work|worked|exercise|exercised|practice|practiced|play|played|train|trained|study|studied|happen|happens|occur|occurs)\s+(?:there\s+|here\s+)?everyday\b/gi,
     match: 0,
     message: `"Everyday" is an adjective (everyday life). As an adverb meaning "each day", use two words: "every day".`,
@@ -934,9 +1094,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Every Day',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // "an every day occurrence" → "an everyday occurrence"
+    id: 'every-day-adjective',
     regex: wordBoundary("(an?|the|this|that|my|your|his|her|its|our|their)\\s+every\\s+day\\s+(occurrence|activity|thing|task|routine|event|item|object|phenomenon|word|phrase|use|life|language|experience|problem|issue|struggle|reality|situation)"),
     match: 0,
     message: (m) => `When used as an adjective before a noun, write "everyday" as one word.`,
@@ -944,10 +1106,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Everyday',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Double negatives ──────────────────────────────────────────────────
   {
+    id: 'double-negative-pronoun',
     regex: wordBoundary("(don'?t|doesn'?t|didn'?t|won'?t|can'?t|couldn'?t|shouldn'?t|wouldn'?t|isn'?t|aren'?t|wasn'?t|weren'?t|haven'?t|hasn'?t|hadn'?t)\\s+(need|want|have|get|see|hear|go|do|make|give|take|find|know|think)\\s+(no|nothing|nobody|nowhere|none|neither)\\b"),
     match: 0,
     message: `Double negative — use "any/anything/anybody/anywhere" instead.`,
@@ -958,9 +1122,11 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Double Negative',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // Simpler double negatives: "don't need no" / "can't get no"
+    id: 'double-negative',
     regex: wordBoundary("(don'?t|doesn'?t|didn'?t|won'?t|can'?t|couldn'?t|shouldn'?t|wouldn'?t)\\s+(no|nothing|nobody|nowhere|none)\\b"),
     match: 0,
     message: `Double negative — use "any/anything/anybody" instead.`,
@@ -971,10 +1137,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Double Negative',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Amount vs Number ──────────────────────────────────────────────────
   {
+    id: 'amount-number',
     regex: wordBoundary("(the\\s+)?amount\\s+of\\s+(people|items|things|problems|issues|errors|mistakes|words|sentences|questions|answers|steps|days|weeks|months|years|hours|minutes|seconds|times|files|pages|books|cars|houses|dogs|cats|children|students|employees|users|members|friends|games|goals|ideas|options|reasons|results|examples|features|changes|tasks|jobs|projects|attempts|meetings|calls|emails|messages|votes|complaints|requests|applications|orders|payments|customers|visitors|followers|subscribers|participants|attendees|candidates|volunteers|witnesses|accidents|incidents|cases|events|responses|reviews|comments|downloads|uploads|clicks|views|shares|likes)"),
     match: 0,
     message: (m) => `Use "number" for countable nouns: "number of ${m[2]}".`,
@@ -982,10 +1150,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Amount / Number',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Borrow vs Lend ────────────────────────────────────────────────────
   {
+    id: 'borrow-lend',
     regex: wordBoundary("(can|could|will|would|please)\\s+(?:you\\s+)?borrow\\s+(me|him|her|us|them)"),
     match: 0,
     message: `"Borrow" means to receive. Use "lend" (to give temporarily).`,
@@ -993,10 +1163,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Borrow / Lend',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Redundant expressions ─────────────────────────────────────────────
   {
+    id: 'very-unique',
     regex: wordBoundary("(very\\s+unique|completely\\s+unique|totally\\s+unique|most\\s+unique|absolutely\\s+unique|really\\s+unique|quite\\s+unique|somewhat\\s+unique|rather\\s+unique)"),
     match: 0,
     message: `"Unique" is absolute — it can't be modified by degree. Something is either unique or it isn't.`,
@@ -1004,8 +1176,10 @@ const RULES = [
     kind: 'Style',
     pretty: 'Redundant',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
   {
+    id: 'redundant-pairs',
     regex: wordBoundary("(end\\s+result|free\\s+gift|past\\s+history|future\\s+plans|unexpected\\s+surprise|repeat\\s+again|revert\\s+back|return\\s+back|advance\\s+planning|added\\s+bonus|basic\\s+fundamentals|close\\s+proximity|combine\\s+together|completely\\s+finished|consensus\\s+of\\s+opinion|exact\\s+same|final\\s+outcome|first\\s+priority|general\\s+public|new\\s+innovation|null\\s+and\\s+void|personal\\s+opinion|reason\\s+why|true\\s+fact|usual\\s+custom|various\\s+different)"),
     match: 0,
     message: (m) => `"${m[1]}" is redundant.`,
@@ -1030,10 +1204,12 @@ const RULES = [
     kind: 'Style',
     pretty: 'Redundant',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Try and → Try to ──────────────────────────────────────────────────
   {
+    id: 'try-and',
     regex: wordBoundary("(try|be\\s+sure)\\s+and\\s+(\\w+)"),
     match: 0,
     message: (m) => `"${m[1]} and" is informal. Use "${m[1]} to" in formal writing.`,
@@ -1041,11 +1217,13 @@ const RULES = [
     kind: 'Style',
     pretty: 'Informal',
     category: 'style',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Sentence fragments (subordinate clauses alone) ────────────────────
   {
     // "Because I said so." / "Although it was raining." as standalone sentences
+    id: 'fragment',
     regex: /(?:^|[.!?]\s+)(Because|Although|Though|Unless|Until|While|When|Since|If|Whereas|Wherever|Whenever|Before|After)\s+[^.!?]{5,}\.(?:\s+[A-Z]|$)/gm,
     match: 0,
     enabled: false, // tricky — can cause false positives, disabled for now
@@ -1054,10 +1232,12 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Fragment',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Who vs That (for people) ──────────────────────────────────────────
   {
+    id: 'who-that',
     regex: wordBoundary("(person|people|man|woman|boy|girl|child|children|student|students|teacher|teachers|doctor|doctors|friend|friends|employee|employees|worker|workers|player|players|member|members|anyone|someone|everyone|nobody|somebody|anybody|everybody)\\s+that\\s+(is|are|was|were|has|have|had|will|would|can|could|should|might|may|does|did|do)"),
     match: 0,
     message: `Prefer "who" instead of "that" when referring to people.`,
@@ -1065,10 +1245,12 @@ const RULES = [
     kind: 'Style',
     pretty: 'Who / That',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Different than → Different from ───────────────────────────────────
   {
+    id: 'different-than',
     regex: wordBoundary("different\\s+than"),
     match: 0,
     message: `In formal writing, "different from" is preferred over "different than".`,
@@ -1076,10 +1258,12 @@ const RULES = [
     kind: 'Style',
     pretty: 'Word Choice',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
 
   // ── Plural after numbers ──────────────────────────────────────────────
   {
+    id: 'plural-after-number',
     regex: wordBoundary("(\\d{1,}|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|twenty|thirty|forty|fifty|hundred|thousand|million|billion|several|many|few|multiple|numerous|various|countless|numerous)\\s+(apple|orange|egg|car|house|dog|cat|book|page|file|item|thing|problem|issue|error|mistake|word|sentence|question|answer|step|day|week|month|year|hour|minute|second|person|student|employee|user|member|friend|game|goal|idea|option|reason|result|example|feature|change|task|job|project|attempt|meeting|call|email|message|vote|complaint|request|application|order|payment|customer|visitor|follower|phone|computer|table|chair|window|door|box|bag|cup|glass|plate|bottle|piece|picture|photo|video|song|movie|show|story|article|report|letter|note|test|class|lesson|rule|law|type|kind|sort|way|point|part|side|line|level|place|country|city|state|team|group|company|school|room|floor|road|tree|flower|animal|bird|fish|child)(?!s|es|'s)\\b"),
     match: 0,
     message: (m) => `"${m[1]} ${m[2]}" — use the plural: "${m[2]}s".`,
@@ -1100,6 +1284,7 @@ const RULES = [
     kind: 'Grammar',
     pretty: 'Plural',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
 
   // ── Punctuation / comma rules ─────────────────────────────────────────
@@ -1110,18 +1295,22 @@ const RULES = [
     // e.g. "…keep an eye here don't do this…" → needs comma before "don't"
     // We detect: a lowercase word, a space, then a subject+verb without a comma.
     // This is handled by the dedicated runOnClause detector below.
+    id: 'comma-placeholder',
     regex: /(?:$)(?!)/g, // never matches — placeholder so the entry is skipped
     match: 0,
     enabled: false,
+    hidden: true,
     message: '',
     suggest: () => [],
     kind: 'Punctuation',
     pretty: 'Comma',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
   {
     // Missing comma after introductory words/phrases
     // "However he left" → "However, he left"
+    id: 'intro-comma',
     regex: /(?:^|[.!?]\s+)(However|Therefore|Moreover|Furthermore|Nevertheless|Nonetheless|Meanwhile|Otherwise|Consequently|Additionally|Unfortunately|Fortunately|Honestly|Clearly|Obviously|Basically|Actually|Finally|Firstly|Secondly|Lastly|Indeed|Instead|Likewise|Similarly|Still|Also|Hence|Thus|Yet)\s+([a-z])/gim,
     match: 1,
     message: (m) => `Add a comma after "${m[1]}" when it starts a clause.`,
@@ -1129,9 +1318,11 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Missing Comma',
     category: 'grammar',
+    confidence: CONFIDENCE.medium,
   },
   {
     // Missing comma before "but" joining clauses: "word but pronoun/I verb"
+    id: 'comma-before-but',
     regex: /([a-z]+)\s+(but)\s+(I|he|she|it|we|they|you|this|that|there)\s+(am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|might|may|don't|doesn't|didn't|won't|can't|couldn't|shouldn't|isn't|aren't|wasn't|weren't|went|go|came|know|think|want|need|like|said|forgot|left|stayed|just|look|looked|must|shall)\b/gi,
     match: 0,
     message: `Add a comma before "but" when it joins two independent clauses.`,
@@ -1139,9 +1330,11 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Missing Comma',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
   {
     // Missing comma before "and" joining clauses: "word and pronoun verb"
+    id: 'comma-before-and',
     regex: /([a-z]+)\s+(and)\s+(I|he|she|we|they|you)\s+(am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|might|may|don't|doesn't|didn't|won't|can't|couldn't|shouldn't|went|go|came|know|think|want|need|like|said|left|stayed|just|look|looked|must|shall)\b/gi,
     match: 0,
     message: `Consider a comma before "and" when it joins two independent clauses.`,
@@ -1149,9 +1342,11 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Missing Comma',
     category: 'style',
+    confidence: CONFIDENCE.low,
   },
   {
     // Missing comma before "so" joining clauses
+    id: 'comma-before-so',
     regex: /([a-z]+)\s+(so)\s+(I|he|she|it|we|they|you|this|that|there)\s+(am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|might|may|don't|doesn't|didn't|won't|can't|couldn't|shouldn't|went|go|came|know|think|want|need|like|said|left|stayed|just|look|looked|must|shall)\b/gi,
     match: 0,
     message: `Add a comma before "so" when it joins two independent clauses.`,
@@ -1159,9 +1354,11 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Missing Comma',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
   {
     // Missing comma before "or" joining clauses
+    id: 'comma-before-or',
     regex: /([a-z]+)\s+(or)\s+(I|he|she|it|we|they|you|this|that|there)\s+(am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|might|may|don't|doesn't|didn't|won't|can't|couldn't|shouldn't|went|go|came|know|think|want|need|like|said|left|stayed|just|look|looked|must|shall)\b/gi,
     match: 0,
     message: `Add a comma before "or" when it joins two independent clauses.`,
@@ -1169,12 +1366,14 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Missing Comma',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
   {
     // Comma splice detection: "clause, clause" where a semicolon or period may be better
     // "..., I went" etc. after an already complete clause
     // This is tricky — we look for ", pronoun verb" patterns that suggest two independent clauses
     // joined only by a comma (no conjunction).
+    id: 'comma-splice',
     regex: /,\s+(I|he|she|it|we|they|you)\s+(am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|might|may|don't|doesn't|didn't|won't|can't|couldn't|shouldn't|went|go|goes|came|come|see|saw|know|knew|think|thought|want|wanted|need|needed|like|liked|said|told|asked|made|took|gave|found|got|let|run|ran|eat|ate|keep|kept|buy|bought|feel|felt|hear|heard|leave|left|start|started|stop|stopped|stayed|just|look|looked|must|shall)\b/gi,
     match: 0,
     message: (m) => `Possible comma splice. Consider using a semicolon, period, or adding a conjunction.`,
@@ -1186,9 +1385,142 @@ const RULES = [
     kind: 'Punctuation',
     pretty: 'Comma Splice',
     category: 'grammar',
+    confidence: CONFIDENCE.low,
   },
 ];
 
+/**
+ * Passes that aren't RULES entries but can still be switched off from the
+ * settings page: in runCustomRules, plus the repetition checks in
+ * repetition.js.
+ */
+const BUILTIN_PASSES = [
+  { id: 'sentence-capitalization', pretty: 'Capitalization', kind: 'Capitalization', category: 'grammar',
+    confidence: CONFIDENCE.high, message: 'This sentence does not start with a capital letter.' },
+  { id: 'run-on-sentence', pretty: 'Run-on Sentence', kind: 'Punctuation', category: 'grammar',
+    confidence: CONFIDENCE.low, message: 'Possible run-on sentence.' },
+  { id: 'hard-to-read', pretty: 'Hard to Read', kind: 'Readability', category: 'readability',
+    confidence: CONFIDENCE.low, message: 'This sentence is long or complex. Consider splitting it.' },
+  { id: 'passive-voice', pretty: 'Passive Voice', kind: 'Style', category: 'style', enabled: false,
+    confidence: CONFIDENCE.low, message: 'Passive voice. The active voice is usually clearer.' },
+  { id: 'repeated-word', pretty: 'Repeated Word', kind: 'Style', category: 'style',
+    confidence: CONFIDENCE.low, message: 'The same word several times in a few sentences.' },
+  { id: 'repeated-sentence-start', pretty: 'Repeated Start', kind: 'Style', category: 'style',
+    confidence: CONFIDENCE.low, message: 'Back-to-back sentences start with the same word.' },
+];
+
+/** The BUILTIN_PASSES entry with this id. */
+export function getBuiltinPass(id) {
+  return BUILTIN_PASSES.find(p => p.id === id);
+}
+
+/**
+ * Describe every configurable custom rule for the settings page.
+ * Returns [{ id, pretty, kind, category, description, defaultEnabled }].
+ */
+export function getRuleCatalog() {
+  return [...RULES, ...BUILTIN_PASSES]
+    .filter(rule => !rule.hidden)
+    .map(rule => ({
+      id: rule.id,
+      pretty: rule.pretty,
+      kind: rule.kind,
+      category: rule.category,
+      description: typeof rule.message === 'string' ? rule.message : null,
+      defaultEnabled: rule.enabled !== false,
+    }));
+}
+
+// ── User-defined rules ───────────────────────────────────────────────────
+
+export const USER_RULE_CATEGORIES = ['spelling', 'grammar', 'style'];
+
+const USER_RULE_KINDS = { spelling: 'Spelling', grammar: 'Grammar', style: 'Style' };
+
+/** Expand $& and $1–$9 in a replacement template. */
+function expandReplacement(template, match) {
+  return template.replace(/\$(&|\d)/g, (_, ref) => (ref === '&' ? match[0] : match[Number(ref)] ?? ''));
+}
+
+// A repeated group that itself repeats ("(a+)+", "(\w*){2,}") can backtrack
+// for seconds on one long line, and rules run on every keystroke
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * Turn a rule written on the options page into a RULES entry.
+ *
+ * A user rule is plain data so it can live in chrome.storage:
+ *   { id, pattern, replacement, message, category, wholeWord, matchCase, enabled }
+ * `pattern` is a RegExp source; `replacement` may use $& and $1–$9.
+ * Throws an Error with a user-facing message if the rule can't be used.
+ */
+export function compileUserRule(rule) {
+  const pattern = typeof rule?.pattern === 'string' ? rule.pattern : '';
+  if (!pattern.trim()) throw new Error('Enter a pattern.');
+  if (pattern.length > 500) throw new Error('Pattern is too long (500 characters max).');
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    throw new Error('Pattern repeats a group that repeats inside (like "(a+)+"), which can freeze checking.');
+  }
+
+  const category = USER_RULE_CATEGORIES.includes(rule.category) ? rule.category : 'style';
+  const source = rule.wholeWord === false ? pattern : `\\b(?:${pattern})\\b`;
+  const flags = rule.matchCase ? 'g' : 'gi';
+
+  let regex;
+  try {
+    regex = new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid pattern: ${err.message.replace(/^Invalid regular expression: /, '')}`);
+  }
+  // A pattern that can match nothing (e.g. "a*") would produce empty lints
+  if (new RegExp(`^(?:${pattern})$`, flags.replace('g', '')).test('')) {
+    throw new Error('Pattern must not match empty text.');
+  }
+
+  const replacement = typeof rule.replacement === 'string' ? rule.replacement : '';
+  const suggest = (m) => {
+    const text = expandReplacement(replacement, m);
+    return [rule.matchCase ? text : matchCase(text, m[0])];
+  };
+  const message = rule.message?.trim()
+    ? rule.message.trim()
+    : (m) => (replacement ? `Use "${suggest(m)[0]}" instead of "${m[0]}".` : `Avoid "${m[0]}".`);
+
+  return {
+    id: rule.id,
+    regex,
+    match: 0,
+    message,
+    suggest: replacement ? suggest : [],
+    kind: USER_RULE_KINDS[category],
+    pretty: 'Custom Rule',
+    category,
+    // The user wrote the replacement, so it's exactly what they want
+    confidence: CONFIDENCE.high,
+    enabled: rule.enabled !== false,
+  };
+}
+
+/**
+ * Run a single user rule over sample text, for validation on the options page.
+ * Returns { lints } or { error }.
+ */
+export function testUserRule(rule, sample) {
+  let compiled;
+  try {
+    compiled = compileUserRule(rule);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const ruleOverrides = { 'sentence-capitalization': false, 'run-on-sentence': false };
+  for (const r of RULES) ruleOverrides[r.id] = false;
+  const lints = runCustomRules(sample || '', [], {
+    ruleOverrides,
+    userRules: [{ ...compiled, enabled: true }],
+  });
+  return { lints };
+}
+
 /**
  * Detect run-on clauses: places where two independent clauses are mashed together
  * without any punctuation or conjunction.
@@ -1273,6 +1605,7 @@ function detectRunOnClauses(text, occupied) {
         { text: `${match[1]}; ${subject} ${verb}`, kind: 'ReplaceWith' },
         { text: `${match[1]}. ${subject.charAt(0).toUpperCase() + subject.slice(1)} ${verb}`, kind: 'ReplaceWith' },
       ],
+      confidence: CONFIDENCE.low,
     });
 
     occupied.push([fullStart, fullEnd]);
@@ -1338,6 +1671,7 @@ function detectRunOnClauses(text, occupied) {
         { text: `${impMatch[1]}, ${verb} ${object}`, kind: 'ReplaceWith' },
         { text: `${impMatch[1]}. ${verb.charAt(0).toUpperCase() + verb.slice(1)} ${object}`, kind: 'ReplaceWith' },
       ],
+      confidence: CONFIDENCE.low,
     });
 
     occupied.push([fullStart, fullEnd]);
@@ -1346,6 +1680,119 @@ function detectRunOnClauses(text, occupied) {
   return results;
 }
 
+// ── Hard-to-read sentences ───────────────────────────────────────────────
+
+export const DEFAULT_READABILITY = { maxWords: 35, maxGrade: 16 };
+
+// Grade levels swing wildly on short sentences, so only longer ones are graded
+const MIN_GRADED_WORDS = 12;
+
+const SENTENCE_END = /[.!?]+["'’”)\]]*(?=\s|$)|\n/g;
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/** Flesch–Kincaid grade level of one sentence's `words`. */
+export function sentenceGrade(words) {
+  if (words.length === 0) return 0;
+  const syllables = words.reduce((n, w) => n + countSyllables(w), 0);
+  return 0.39 * words.length + 11.8 * (syllables / words.length) - 15.59;
+}
+
+/**
+ * Flag sentences with more than `maxWords` words, or (from MIN_GRADED_WORDS
+ * words up) a grade level above `maxGrade`. A limit of 0 turns that check
+ * off. The lint spans the whole sentence and has no suggestions; the page
+ * offers an AI split instead. Other lints inside the sentence are kept, so
+ * this pass ignores `occupied`.
+ */
+function detectHardSentences(text, masks, { maxWords, maxGrade }) {
+  const results = [];
+  const pass = BUILTIN_PASSES.find(p => p.id === 'hard-to-read');
+  const inMask = (i) => masks.some(([ms, me]) => i >= ms && i < me);
+
+  const check = (from, to) => {
+    const start = from + (text.slice(from, to).length - text.slice(from, to).trimStart().length);
+    const end = start + text.slice(start, to).trimEnd().length;
+    if (end <= start) return;
+    const sentence = text.slice(start, end);
+    const words = sentence.match(WORD) || [];
+    const grade = words.length >= MIN_GRADED_WORDS ? sentenceGrade(words) : 0;
+    let message;
+    if (maxWords > 0 && words.length > maxWords) {
+      message = `This sentence has ${words.length} words. Consider splitting it.`;
+    } else if (maxGrade > 0 && grade > maxGrade) {
+      message = `This sentence reads at grade ${Math.round(grade)}. Consider splitting it or using simpler words.`;
+    } else {
+      return;
+    }
+    results.push({
+      span: { start, end },
+      message,
+      lintKind: pass.kind,
+      lintKindPretty: pass.pretty,
+      category: pass.category,
+      problemText: sentence,
+      suggestions: [],
+      confidence: pass.confidence,
+      aiRewrite: 'split',
+    });
+  };
+
+  let from = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    // "Run `make all.` first" — a period inside code doesn't end the sentence
+    if (inMask(match.index)) continue;
+    const to = match[0] === '\n' ? match.index : match.index + match[0].length;
+    check(from, to);
+    from = match.index + match[0].length;
+  }
+  check(from, text.length);
+  return results;
+}
+
+// ── Passive voice ────────────────────────────────────────────────────────
+
+/**
+ * Flag passive voice (findPassive in passive-voice.js). No fixed
+ * suggestion: the popup offers an AI rewrite, and for simple past sentences
+ * with an agent the message shows how the active version starts ("The team
+ * wrote …").
+ */
+function detectPassiveVoice(text, occupied) {
+  const results = [];
+  const pass = BUILTIN_PASSES.find(p => p.id === 'passive-voice');
+  const overlaps = (start, end) => occupied.some(([os, oe]) => start < oe && end > os);
+
+  for (const { start, end, be, participle, agent, negated } of findPassive(text)) {
+    if (overlaps(start, end)) continue;
+
+    let message = pass.message;
+    if (agent && !negated && /^(?:was|were)$/i.test(be)) {
+      const lower = participle.toLowerCase();
+      const subject = agent.replace(/^by\s+(\w)/i, (_, first) => first.toUpperCase());
+      message += ` Try "${subject} ${IRREGULAR_PARTICIPLES[lower] || lower} …".`;
+    }
+
+    results.push({
+      span: { start, end },
+      message,
+      lintKind: pass.kind,
+      lintKindPretty: pass.pretty,
+      category: pass.category,
+      problemText: text.slice(start, end),
+      suggestions: [],
+      confidence: pass.confidence,
+      aiRewrite: 'active',
+    });
+    occupied.push([start, end]);
+  }
+  return results;
+}
+
+/** True for English, or when the language is unknown. */
+export function isEnglish(language) {
+  return !language || language === 'en' || language.startsWith('en-');
+}
+
 /**
  * Run all custom rules against the given text.
  * Returns an array of lint objects (same format as Harper serialization).
@@ -1353,12 +1800,34 @@ function detectRunOnClauses(text, occupied) {
  * @param {string} text
  * @param {Array<{span:{start:number,end:number}}>} existingLints – Harper lints,
  *   used to avoid overlapping spans.
+ * @param {object} [options]
+ * @param {Set<string>} [options.dictionary] – lowercase personal-dictionary
+ *   words; lints whose text contains one of them are skipped.
+ * @param {Object<string, boolean>} [options.ruleOverrides] – rule id → enabled,
+ *   from the settings page; rules not listed keep their default.
+ * @param {Array<object>} [options.userRules] – rules from compileUserRule.
+ *   They run before the built-in RULES, so house style wins on overlaps.
+ * @param {string} [options.language] – base language code of the text
+ *   ("en", "es", …). The built-in RULES and the run-on pass are English-only
+ *   and are skipped for any other language; user rules and sentence
+ *   capitalization still run.
+ * @param {Array<[number, number]>} [options.masks] – ranges that aren't
+ *   prose (code, URLs, …; see masking.js). No rule matches inside them, and
+ *   a sentence ending inside one doesn't start a new sentence.
+ * @param {{maxWords:number, maxGrade:number}} [options.readability] – limits
+ *   for the hard-to-read pass (DEFAULT_READABILITY when omitted). Its lints
+ *   cover whole sentences and may contain other lints.
  */
-export function runCustomRules(text, existingLints = []) {
+export function runCustomRules(text, existingLints = [], options = {}) {
   const results = [];
+  const dictionary = options.dictionary;
+  const ruleOverrides = options.ruleOverrides || {};
+  const isEnabled = (rule) => ruleOverrides[rule.id] ?? rule.enabled !== false;
+  const english = isEnglish(options.language);
 
   // Build a quick set of [start, end) ranges from existing lints so we skip overlaps.
-  const occupied = existingLints.map(l => [l.span.start, l.span.end]);
+  const masks = options.masks || [];
+  const occupied = [...existingLints.map(l => [l.span.start, l.span.end]), ...masks];
 
   function overlaps(start, end) {
     return occupied.some(([os, oe]) =>
@@ -1366,14 +1835,15 @@ export function runCustomRules(text, existingLints = []) {
     );
   }
 
-  for (const rule of RULES) {
-    if (rule.enabled === false) continue;
+  for (const rule of [...(options.userRules || []), ...(english ? RULES : [])]) {
+    if (!isEnabled(rule)) continue;
 
     const regex = new RegExp(rule.regex.source, rule.regex.flags); // fresh state
     let match;
 
     while ((match = regex.exec(text)) !== null) {
       const fullMatch = match[0];
+      if (!fullMatch) { regex.lastIndex++; continue; } // empty match, step past it
       const groupIdx = rule.match || 0;
       const matchedText = match[groupIdx] || fullMatch;
 
@@ -1403,6 +1873,7 @@ export function runCustomRules(text, existingLints = []) {
         category: rule.category,
         problemText: text.slice(start, end),
         suggestions: suggestions.map(s => ({ text: s, kind: 'ReplaceWith' })),
+        confidence: rule.confidence ?? CONFIDENCE.medium,
       });
 
       // Add to occupied to prevent overlapping custom rules
@@ -1415,37 +1886,72 @@ export function runCustomRules(text, existingLints = []) {
   // Detect: start of text (possibly after leading whitespace/newlines from
   // contenteditable DOM extraction), after newlines (paragraph breaks),
   // or after .!? followed by a lowercase letter.
-  const capPattern = /(?:^\s*|\n\s*|[.!?]\s+)([a-z])/g;
-  let capMatch;
-  while ((capMatch = capPattern.exec(text)) !== null) {
-    const charStart = capMatch.index + capMatch[0].length - 1;
-    const charEnd = charStart + 1;
-    const lowerChar = capMatch[1];
+  if (isEnabled(BUILTIN_PASSES.find(p => p.id === 'sentence-capitalization'))) {
+    const capPattern = /(?:^\s*|\n\s*|[.!?]\s+)([a-z])/g;
+    let capMatch;
+    while ((capMatch = capPattern.exec(text)) !== null) {
+      const charStart = capMatch.index + capMatch[0].length - 1;
+      const charEnd = charStart + 1;
+      const lowerChar = capMatch[1];
 
-    // Skip if already flagged by Harper or another rule
-    if (occupied.some(([os, oe]) => charStart < oe && charEnd > os)) continue;
+      // "Run `make all.` then …" — the period belongs to the code
+      if (masks.some(([ms, me]) => capMatch.index >= ms && capMatch.index < me)) continue;
 
-    // Skip single-letter words that aren't real sentence starts (code, variables)
-    // But always flag common pronouns and articles
-    const wordAfter = text.slice(charStart).match(/^[a-z]+/)?.[0];
-    if (!wordAfter) continue;
+      // Skip if already flagged by Harper or another rule
+      if (occupied.some(([os, oe]) => charStart < oe && charEnd > os)) continue;
 
-    results.push({
-      span: { start: charStart, end: charStart + wordAfter.length },
-      message: 'This sentence does not start with a capital letter.',
-      lintKind: 'Capitalization',
-      lintKindPretty: 'Capitalization',
-      category: 'grammar',
-      problemText: wordAfter,
-      suggestions: [{ text: wordAfter.charAt(0).toUpperCase() + wordAfter.slice(1), kind: 'ReplaceWith' }],
-    });
+      // Skip single-letter words that aren't real sentence starts (code, variables)
+      // But always flag common pronouns and articles
+      const wordAfter = text.slice(charStart).match(/^[a-z]+/)?.[0];
+      if (!wordAfter) continue;
+
+      results.push({
+        span: { start: charStart, end: charStart + wordAfter.length },
+        message: 'This sentence does not start with a capital letter.',
+        lintKind: 'Capitalization',
+        lintKindPretty: 'Capitalization',
+        category: 'grammar',
+        problemText: wordAfter,
+        suggestions: [{ text: wordAfter.charAt(0).toUpperCase() + wordAfter.slice(1), kind: 'ReplaceWith' }],
+        confidence: CONFIDENCE.high,
+      });
 
-    occupied.push([charStart, charEnd]);
+      occupied.push([charStart, charEnd]);
+    }
   }
 
   // Run-on clause detection (needs smarter logic than simple regex)
-  const runOnLints = detectRunOnClauses(text, occupied);
-  results.push(...runOnLints);
+  if (english && isEnabled(BUILTIN_PASSES.find(p => p.id === 'run-on-sentence'))) {
+    const runOnLints = detectRunOnClauses(text, occupied);
+    results.push(...runOnLints);
+  }
 
-  return results;
+  if (english && isEnabled(BUILTIN_PASSES.find(p => p.id === 'passive-voice'))) {
+    results.push(...detectPassiveVoice(text, occupied));
+  }
+
+  // Whole sentences: a dictionary word inside one doesn't make it easier to read
+  const hardSentences = english && isEnabled(BUILTIN_PASSES.find(p => p.id === 'hard-to-read'))
+    ? detectHardSentences(text, masks, options.readability || DEFAULT_READABILITY)
+    : [];
+
+  if (dictionary && dictionary.size > 0) {
+    return [...results.filter(l => !isDictionaryWord(text, l.span, dictionary)), ...hardSentences];
+  }
+  return [...results, ...hardSentences];
+}
+
+/**
+ * True if `span` flags a word that is in the (lowercase) personal dictionary.
+ * The span is widened to whole words first, so a capitalization lint on the
+ * "i" of "iPhone" still sees "iphone". Lints over a phrase that merely
+ * contains a dictionary word ("eat apple") are kept.
+ */
+export function isDictionaryWord(text, span, dictionary) {
+  const isWordChar = (ch) => /[\p{L}\p{N}'’-]/u.test(ch);
+  let start = span.start;
+  let end = span.end;
+  while (start > 0 && isWordChar(text[start - 1])) start--;
+  while (end < text.length && isWordChar(text[end])) end++;
+  return dictionary.has(text.slice(start, end).toLowerCase());
 }
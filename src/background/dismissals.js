@@ -0,0 +1,71 @@
+/**
+ * Dismissed lints, stored in chrome.storage.local per site.
+ *
+ * The content script fingerprints a lint (kind, problem text, and the words
+ * around it — see content/dismissals.js) and asks for it to be remembered
+ * either for one field or for the whole site:
+ *   { "github.com": { site: [fp, …], fields: { "/new#body": [fp, …] } } }
+ * Only the fingerprints are stored, never the text itself.
+ */
+
+const STORAGE_KEY = 'dismissedLints';
+const MAX_PER_LIST = 500;
+
+let dismissed = {}; // site -> { site: [], fields: {} }
+
+const fingerprints = (list) => (Array.isArray(list) ? list : [])
+  .filter(fp => typeof fp === 'string' && fp)
+  .slice(-MAX_PER_LIST);
+
+function sanitize(raw) {
+  const clean = {};
+  if (!raw || typeof raw !== 'object') return clean;
+  for (const [site, entry] of Object.entries(raw)) {
+    if (!entry || typeof entry !== 'object') continue;
+    const fields = {};
+    for (const [key, list] of Object.entries(entry.fields || {})) {
+      const fps = fingerprints(list);
+      if (fps.length > 0) fields[key] = fps;
+    }
+    clean[site] = { site: fingerprints(entry.site), fields };
+  }
+  return clean;
+}
+
+export async function loadDismissals() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  dismissed = sanitize(result[STORAGE_KEY]);
+}
+
+/** Everything dismissed on `site`: { site: [fp], fields: { fieldKey: [fp] } }. */
+export function getDismissals(site) {
+  return dismissed[site] || { site: [], fields: {} };
+}
+
+/** Number of dismissals on `site`, for the popup. */
+export function countDismissals(site) {
+  const entry = getDismissals(site);
+  return entry.site.length + Object.values(entry.fields).reduce((n, list) => n + list.length, 0);
+}
+
+/** Remember a fingerprint for one field (`fieldKey`) or, without one, for the whole site. */
+export async function addDismissal(site, fingerprint, fieldKey = null) {
+  if (!site || typeof fingerprint !== 'string' || !fingerprint) return;
+  const entry = dismissed[site] || { site: [], fields: {} };
+  const list = fieldKey ? (entry.fields[fieldKey] || []) : entry.site;
+  if (!list.includes(fingerprint)) list.push(fingerprint);
+  if (list.length > MAX_PER_LIST) list.shift();
+  if (fieldKey) entry.fields[fieldKey] = list;
+  dismissed[site] = entry;
+  await chrome.storage.local.set({ [STORAGE_KEY]: dismissed });
+}
+
+export async function clearDismissals(site) {
+  delete dismissed[site];
+  await chrome.storage.local.set({ [STORAGE_KEY]: dismissed });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[STORAGE_KEY]) return;
+  dismissed = sanitize(changes[STORAGE_KEY].newValue);
+});
@@ -0,0 +1,79 @@
+/**
+ * One queue for lint requests from every field on every tab.
+ *
+ * Each request names its field and carries a request id that grows with
+ * every check of that field. A newer request supersedes the field's older
+ * ones: queued requests are dropped and a running one is told to stop
+ * (tasks poll isCancelled() between paragraphs). Requests from the focused
+ * field jump the queue, so background frames can't starve the one the user
+ * is typing in.
+ */
+
+export const PRIORITY_FOCUSED = 0;
+export const PRIORITY_BACKGROUND = 1;
+
+export class LintScheduler {
+  /** @param {number} [concurrency] – requests run at once (one per Harper worker) */
+  constructor(concurrency = 1) {
+    this.concurrency = concurrency;
+    this.queue = [];
+    this.running = new Set();
+    this.latest = new Map(); // fieldKey -> newest requestId seen
+  }
+
+  /**
+   * Queue `task(isCancelled)` for a field. Resolves to the task's result, or
+   * to null when a newer request for the same field superseded this one.
+   */
+  schedule({ fieldKey, requestId, priority = PRIORITY_BACKGROUND, task }) {
+    const newest = this.latest.get(fieldKey);
+    if (newest !== undefined && requestId <= newest) return Promise.resolve(null); // overtaken in transit
+    this.latest.set(fieldKey, requestId);
+
+    this.queue = this.queue.filter(job => {
+      if (job.fieldKey !== fieldKey) return true;
+      job.resolve(null);
+      return false;
+    });
+    for (const job of this.running) {
+      if (job.fieldKey === fieldKey) job.cancelled = true;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fieldKey, priority, task, resolve, reject, cancelled: false });
+      this._pump();
+    });
+  }
+
+  /** Forget the request history of fields whose key starts with `prefix` (e.g. a closed tab). */
+  forget(prefix) {
+    for (const key of this.latest.keys()) {
+      if (key.startsWith(prefix)) this.latest.delete(key);
+    }
+  }
+
+  _pump() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      // Highest priority first; the queue is in arrival order, so ties go to the oldest
+      let next = 0;
+      for (let i = 1; i < this.queue.length; i++) {
+        if (this.queue[i].priority < this.queue[next].priority) next = i;
+      }
+      const [job] = this.queue.splice(next, 1);
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this.running.add(job);
+    try {
+      const result = await job.task(() => job.cancelled);
+      job.resolve(job.cancelled ? null : result);
+    } catch (err) {
+      job.reject(err);
+    } finally {
+      this.running.delete(job);
+      this._pump();
+    }
+  }
+}
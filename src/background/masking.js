@@ -0,0 +1,46 @@
+/**
+ * Ranges of a paragraph that aren't prose: URLs, email addresses,
+ * @mentions, and — in markdown — inline code spans and link targets.
+ *
+ * Lints overlapping a masked range are dropped, and the custom rules treat
+ * masked text as already taken (see `masks` in runCustomRules). Code from
+ * the page itself (fenced blocks, <code> / <pre>) arrives from the content
+ * script as extra ranges with the lint request.
+ */
+
+const PATTERNS = [
+  /\b(?:https?:\/\/|www\.)[^\s<>()]+(?:\([^\s<>()]*\)[^\s<>()]*)*/g, // URLs
+  /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,                              // email addresses
+  /(?<![\w@.])@[A-Za-z0-9](?:[\w-]*[A-Za-z0-9])?/g,                  // @mentions
+];
+
+const MARKDOWN_PATTERNS = [
+  /(`+)[^`\n]+?\1/g,   // `inline code`
+  /\]\([^)\s]*\)/g,    // ](link target)
+];
+
+/** Masked [start, end) ranges in `text`, sorted by start. */
+export function findMaskedRanges(text, markup = 'plain') {
+  const patterns = markup === 'markdown' ? [...MARKDOWN_PATTERNS, ...PATTERNS] : PATTERNS;
+  const ranges = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      // Sentence punctuation after a URL isn't part of it
+      const trimmed = match[0].replace(/[.,;:!?'"]+$/, '');
+      if (trimmed) ranges.push([match.index, match.index + trimmed.length]);
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/** True if [start, end) overlaps any of `ranges`. */
+export function overlapsMask(start, end, ranges) {
+  return ranges.some(([ms, me]) => start < me && end > ms);
+}
+
+/** Client-supplied ranges for a `text.length`-long paragraph, validated. */
+export function sanitizeMasks(masks, length) {
+  if (!Array.isArray(masks)) return [];
+  return masks.filter(m => Array.isArray(m) && Number.isInteger(m[0]) && Number.isInteger(m[1]) &&
+    m[0] >= 0 && m[0] < m[1] && m[1] <= length);
+}
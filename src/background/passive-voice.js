@@ -0,0 +1,96 @@
+/**
+ * Passive voice detection: the passive-voice lint pass in custom-rules.js
+ * and the passive share on the popup's Document tab both count with this.
+ * No imports — document-stats.js runs in the content script.
+ */
+
+/**
+ * Irregular past participle → simple past, for the passive-voice pass.
+ * Regular participles ("reviewed") are recognized by their -ed ending.
+ */
+export const IRREGULAR_PARTICIPLES = {
+  arisen: 'arose', awoken: 'awoke', beaten: 'beat', begun: 'began', bent: 'bent', bitten: 'bit',
+  blown: 'blew', born: 'bore', borne: 'bore', bought: 'bought', bound: 'bound', bred: 'bred',
+  broadcast: 'broadcast', broken: 'broke', brought: 'brought', built: 'built', burnt: 'burnt',
+  cast: 'cast', caught: 'caught', chosen: 'chose', cut: 'cut', dealt: 'dealt', done: 'did',
+  drawn: 'drew', driven: 'drove', dug: 'dug', eaten: 'ate', fed: 'fed', felt: 'felt', fought: 'fought',
+  forbidden: 'forbade', forecast: 'forecast', forgiven: 'forgave', forgotten: 'forgot', found: 'found',
+  frozen: 'froze', given: 'gave', ground: 'ground', grown: 'grew', heard: 'heard', held: 'held',
+  hidden: 'hid', hit: 'hit', hung: 'hung', hurt: 'hurt', kept: 'kept', known: 'knew', laid: 'laid',
+  led: 'led', left: 'left', lent: 'lent', lit: 'lit', lost: 'lost', made: 'made', meant: 'meant',
+  met: 'met', overcome: 'overcame', overseen: 'oversaw', overtaken: 'overtook', overthrown: 'overthrew',
+  overwritten: 'overwrote', paid: 'paid', proven: 'proved', put: 'put', read: 'read', rebuilt: 'rebuilt',
+  rewritten: 'rewrote', ridden: 'rode', run: 'ran', rung: 'rang', said: 'said', seen: 'saw', sent: 'sent',
+  set: 'set', sewn: 'sewed', shaken: 'shook', shed: 'shed', shot: 'shot', shown: 'showed', shut: 'shut',
+  slain: 'slew', sold: 'sold', sought: 'sought', spent: 'spent', split: 'split', spoken: 'spoke',
+  spread: 'spread', spun: 'spun', stolen: 'stole', struck: 'struck', stuck: 'stuck', sung: 'sang',
+  sunk: 'sank', sworn: 'swore', swept: 'swept', swung: 'swung', taken: 'took', taught: 'taught',
+  thought: 'thought', thrown: 'threw', told: 'told', torn: 'tore', understood: 'understood',
+  undertaken: 'undertook', undone: 'undid', upheld: 'upheld', upset: 'upset', withdrawn: 'withdrew',
+  withheld: 'withheld', woken: 'woke', won: 'won', worn: 'wore', wound: 'wound', woven: 'wove',
+  written: 'wrote',
+};
+
+// -ed words that aren't participles
+const NOT_PARTICIPLES = new Set([
+  'bed', 'bleed', 'breed', 'exceed', 'feed', 'greed', 'hundred', 'indeed', 'kindred', 'naked', 'need',
+  'proceed', 'ragged', 'red', 'rugged', 'sacred', 'seed', 'shed', 'speed', 'succeed', 'wicked', 'wed',
+]);
+
+// Participles that usually describe a state after "be" ("I am tired"), unless a "by" agent follows
+const STATIVE_PARTICIPLES = new Set([
+  'amazed', 'annoyed', 'ashamed', 'bored', 'bound', 'concerned', 'confused', 'delighted', 'determined',
+  'disappointed', 'embarrassed', 'excited', 'exhausted', 'frightened', 'interested', 'married',
+  'pleased', 'relieved', 'satisfied', 'scared', 'supposed', 'surprised', 'tired', 'upset', 'worried',
+]);
+
+// "by hand", "by Monday" — not agents
+const NOT_AGENTS = new Set([
+  'accident', 'default', 'design', 'email', 'far', 'hand', 'mail', 'midnight', 'mistake', 'noon', 'now',
+  'phone', 'then', 'today', 'tomorrow', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+  'saturday', 'sunday',
+]);
+
+/** True if `word` is a past participle: an irregular one, or a regular -ed form. */
+export function isPastParticiple(word) {
+  const w = word.toLowerCase();
+  if (w in IRREGULAR_PARTICIPLES) return true;
+  return /^[a-z]{2,}ed$/.test(w) && !NOT_PARTICIPLES.has(w);
+}
+
+const PASSIVE_VOICE = new RegExp(
+  "\\b(am|is|are|was|were|be|been|being|isn't|aren't|wasn't|weren't)\\s+" +
+  "((?:(?:not|never|also|always|often|usually|already|just|still|being|been|[a-z]+ly)\\s+)*)" +
+  '([a-z]+)' +
+  '(\\s+by\\s+(?:(?:the|a|an|this|that|these|those|my|your|his|her|its|our|their)\\s+)?([a-z][\\w-]*))?',
+  'gi',
+);
+
+/**
+ * Passive constructions in `text`: a form of "be" followed by a past
+ * participle ("was reviewed", "is being written by the team"), as
+ * [{ start, end, be, participle, agent, negated }]. The span runs to the end
+ * of a "by" agent when there is one (`agent`, "by the team"; null for none
+ * or "by hand"). Participles describing a state ("I was tired") count only
+ * with an agent.
+ */
+export function findPassive(text) {
+  const found = [];
+  for (const match of text.matchAll(PASSIVE_VOICE)) {
+    const [, be, between, participle, byPhrase, agentHead] = match;
+    if (!isPastParticiple(participle)) continue;
+    const hasAgent = !!byPhrase && !NOT_AGENTS.has(agentHead.toLowerCase());
+    if (!hasAgent && STATIVE_PARTICIPLES.has(participle.toLowerCase())) continue;
+
+    const start = match.index;
+    found.push({
+      start,
+      end: start + match[0].length - (byPhrase && !hasAgent ? byPhrase.length : 0),
+      be,
+      participle,
+      agent: hasAgent ? byPhrase.trim() : null,
+      negated: /n't$/i.test(be) || /\b(?:not|never)\b/i.test(between),
+    });
+  }
+  return found;
+}
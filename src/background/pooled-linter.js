@@ -0,0 +1,63 @@
+/**
+ * Stands in for harper.js's LocalLinter in the service worker.
+ *
+ * Harper runs in dedicated workers owned by the offscreen document (a
+ * service worker can't start workers of its own); each method forwards
+ * there as a { type: 'harper', method, args } message. lint() resolves to
+ * plain serialized lints rather than WASM Lint objects.
+ */
+export class PooledLinter {
+  /** @param {(message: object) => Promise<object>} send – delivers a message to the offscreen document */
+  constructor(send) {
+    this.send = send;
+  }
+
+  setup() {
+    return this._call('setup');
+  }
+
+  /** `options.language` is 'plaintext' (the default) or 'markdown'. */
+  lint(text, options = {}) {
+    return this._call('lint', [text, options]);
+  }
+
+  getDefaultLintConfig() {
+    return this._call('getDefaultLintConfig');
+  }
+
+  getLintDescriptions() {
+    return this._call('getLintDescriptions');
+  }
+
+  setLintConfig(config) {
+    return this._call('setLintConfig', [config]);
+  }
+
+  clearWords() {
+    return this._call('clearWords');
+  }
+
+  importWords(words) {
+    return this._call('importWords', [words]);
+  }
+
+  /**
+   * Switch English dialect: 'us', 'uk', 'ca', or 'au'. Harper rebuilds its
+   * linter for a new dialect, so the lint config and words must be set again.
+   */
+  setDialect(dialect) {
+    return this._call('setDialect', [dialect]);
+  }
+
+  /** Number of Harper workers, i.e. how many paragraphs can lint at once. */
+  poolSize() {
+    return this._call('poolSize');
+  }
+
+  async _call(method, args = []) {
+    const response = await this.send({ type: 'harper', method, args });
+    if (!response || response.available === false) throw new Error('Harper workers unavailable');
+    if (response.error) throw new Error(response.error);
+    return response.result;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Repetition checks over a whole field's text:
+ *   - repeated-word: the same content word several times within a few
+ *     dozen words ("very … very … very")
+ *   - repeated-sentence-start: back-to-back sentences opening with the
+ *     same word ("We … We …")
+ *
+ * runCustomRules only sees what one regex match can; these count across
+ * sentences, and across lines and paragraphs, so the service worker runs them
+ * on the 'check-document' request alongside the mixed-spelling check.
+ * Suggestions are synonyms from the offline thesaurus, for the user to pick
+ * from (`pickOnly`: Tab fix-all leaves them alone — the same synonym
+ * everywhere is repetition again). As in runCustomRules, nothing is flagged
+ * over an existing lint or a mask.
+ */
+
+import { getBuiltinPass, isDictionaryWord } from './custom-rules.js';
+import { hasSynonyms, synonymsFor } from './thesaurus.js';
+import { STOP_WORDS, matchCase } from './words.js';
+
+const WINDOW_WORDS = 50;
+const THESAURUS_WORD_LIMIT = 3; // "very", "good", "thing", … — words with ready synonyms
+const CONTENT_WORD_LIMIT = 4;   // any other content word
+const MAX_SUGGESTIONS = 5;
+
+// Openers that need three sentences in a row before they're worth a note
+const COMMON_STARTERS = new Set([
+  'the', 'a', 'an', 'i', 'it', 'this', 'we', 'you', 'he', 'she', 'they', 'there', 'in', 'if', 'when',
+]);
+
+// What the previous word says a word can be: "the use" is a noun, "to use" a verb
+const CONTEXT_POS = [
+  [/^(?:the|a|an|this|that|these|those|its|his|her|their|our|my|your|of|no|any|some|every|each)$/, ['noun', 'adj']],
+  [/^(?:to|will|would|can|could|should|may|might|must|i|we|you|they|don't|doesn't|didn't|won't|can't|please)$/, ['verb']],
+  [/^(?:am|is|are|was|were|be|been|being|very|too|more|most)$/, ['adj']],
+];
+
+const WORD = /[A-Za-z]+(?:['’][A-Za-z]+)*/g;
+const SENTENCE_END = /[.!?]+["'’”)\]]*(?=\s|$)|\n/g;
+
+/** Parts of speech `words[i]` can be, going by the word before it; null when that says nothing. */
+function possiblePos(words, i) {
+  const previous = words[i - 1]?.word.toLowerCase().replace('’', "'");
+  if (!previous) return null;
+  return CONTEXT_POS.find(([re]) => re.test(previous))?.[1] || null;
+}
+
+/** Case-matched synonyms for `word` as one of the `possible` parts of speech. */
+function synonymSuggestions(word, possible = null) {
+  return synonymsFor(word, possible).slice(0, MAX_SUGGESTIONS)
+    .map(s => ({ text: matchCase(s, word), kind: 'ReplaceWith' }));
+}
+
+/** True if the word at `index` starts a sentence (so a capital says nothing). */
+function startsSentence(text, index) {
+  const before = text.slice(0, index).trimEnd();
+  return before === '' || /[.!?:\n]["'’”)\]]*$/.test(before);
+}
+
+function repeatedWords(text, words, occupied, pass) {
+  const results = [];
+  const byWord = new Map(); // lowercase word -> indices into `words`
+  words.forEach(({ word, start }, i) => {
+    const key = word.toLowerCase();
+    if (key.length < 3 || STOP_WORDS.has(key)) return;
+    if (!byWord.has(key)) byWord.set(key, []);
+    byWord.get(key).push(i);
+  });
+
+  for (const [key, positions] of byWord) {
+    // A capital mid-sentence means a name, which has to repeat
+    if (positions.some(i => /^[A-Z]/.test(words[i].word) && !startsSentence(text, words[i].start))) continue;
+    const limit = hasSynonyms(key) ? THESAURUS_WORD_LIMIT : CONTENT_WORD_LIMIT;
+    if (positions.length < limit) continue;
+
+    // Every occurrence after the first in a window holding `limit` of them
+    const flagged = new Set();
+    for (let j = limit - 1; j < positions.length; j++) {
+      if (positions[j] - positions[j - limit + 1] >= WINDOW_WORDS) continue;
+      for (let k = j - limit + 2; k <= j; k++) flagged.add(positions[k]);
+    }
+
+    for (const i of flagged) {
+      const { word, start } = words[i];
+      const end = start + word.length;
+      if (occupied.some(([os, oe]) => start < oe && end > os)) continue;
+      results.push({
+        span: { start, end },
+        message: `"${key}" is used ${positions.length} times in this text. Try a synonym, or cut some.`,
+        lintKind: pass.kind,
+        lintKindPretty: pass.pretty,
+        category: pass.category,
+        problemText: word,
+        suggestions: synonymSuggestions(word, possiblePos(words, i)),
+        confidence: pass.confidence,
+        pickOnly: true,
+      });
+      occupied.push([start, end]);
+    }
+  }
+  return results;
+}
+
+function repeatedStarts(text, words, masks, occupied, pass) {
+  const results = [];
+  // First word of each sentence, in order
+  const openers = [];
+  let from = 0;
+  const ends = [...text.matchAll(SENTENCE_END)]
+    .filter(m => !masks.some(([ms, me]) => m.index >= ms && m.index < me))
+    .map(m => m.index + m[0].length);
+  for (const to of [...ends, text.length]) {
+    const first = words.find(w => w.start >= from && w.start < to);
+    if (first) openers.push(first);
+    from = to;
+  }
+
+  let runStart = 0;
+  for (let i = 1; i <= openers.length; i++) {
+    const same = i < openers.length && openers[i].word.toLowerCase() === openers[runStart].word.toLowerCase();
+    if (same) continue;
+    const key = openers[runStart].word.toLowerCase();
+    const length = i - runStart;
+    if (length >= (COMMON_STARTERS.has(key) ? 3 : 2)) {
+      for (const { word, start } of openers.slice(runStart + 1, i)) {
+        const end = start + word.length;
+        if (occupied.some(([os, oe]) => start < oe && end > os)) continue;
+        results.push({
+          span: { start, end },
+          message: `${length} sentences in a row start with "${openers[runStart].word}". Try varying the opening.`,
+          lintKind: pass.kind,
+          lintKindPretty: pass.pretty,
+          category: pass.category,
+          problemText: word,
+          suggestions: synonymSuggestions(word),
+          confidence: pass.confidence,
+          pickOnly: true,
+        });
+        occupied.push([start, end]);
+      }
+    }
+    runStart = i;
+  }
+  return results;
+}
+
+/**
+ * Repetition lints for a whole English field's `text`. A line break ends a
+ * sentence, so lines in a row that open with the same word count too.
+ *
+ * @param {string} text
+ * @param {Array<{span:{start:number,end:number}}>} existingLints – lints
+ *   already found (mixed spellings); nothing is flagged over them.
+ * @param {object} [options] – `dictionary`, `ruleOverrides`, and `masks`,
+ *   as for runCustomRules. Masked words aren't counted.
+ */
+export function findRepetition(text, existingLints = [], options = {}) {
+  const ruleOverrides = options.ruleOverrides || {};
+  const masks = options.masks || [];
+  const occupied = [...existingLints.map(l => [l.span.start, l.span.end]), ...masks];
+  const isEnabled = (pass) => ruleOverrides[pass.id] ?? pass.enabled !== false;
+
+  const words = [...text.matchAll(WORD)]
+    .map(m => ({ word: m[0], start: m.index }))
+    .filter(({ start }) => !masks.some(([ms, me]) => start >= ms && start < me));
+
+  const results = [];
+  const wordPass = getBuiltinPass('repeated-word');
+  if (isEnabled(wordPass)) results.push(...repeatedWords(text, words, occupied, wordPass));
+  const startPass = getBuiltinPass('repeated-sentence-start');
+  if (isEnabled(startPass)) results.push(...repeatedStarts(text, words, masks, occupied, startPass));
+
+  const dictionary = options.dictionary;
+  if (dictionary && dictionary.size > 0) {
+    return results.filter(l => !isDictionaryWord(text, l.span, dictionary));
+  }
+  return results;
+}
@@ -0,0 +1,113 @@
+/**
+ * Per-rule enable/disable settings, stored in chrome.storage.sync so they
+ * follow the user across machines.
+ *
+ * Only overrides are stored — a rule missing from a map uses its default:
+ *   rules       – custom rule id → enabled (see RULES in custom-rules.js)
+ *   harperRules – Harper LinterConfig rule name → enabled
+ *   harperKinds – Harper lintKind → enabled (filters results after linting)
+ *
+ * plus:
+ *   safeFixesOnly      – Tab fix-all applies only high-confidence fixes (see confidence.js)
+ *   dialect            – English dialect for Harper and the misspelling table: one of DIALECTS
+ *   dialectConsistency – flag spellings from another dialect when a document mixes them
+ *   maxSentenceWords   – hard-to-read pass: flag longer sentences (0 = off)
+ *   maxSentenceGrade   – hard-to-read pass: flag sentences above this grade level (0 = off)
+ */
+
+const STORAGE_KEY = 'ruleSettings';
+
+/** American, British, Canadian, Australian. */
+export const DIALECTS = ['us', 'uk', 'ca', 'au'];
+
+let settings = {
+  rules: {}, harperRules: {}, harperKinds: {}, safeFixesOnly: false, dialect: 'us', dialectConsistency: false,
+  maxSentenceWords: 35, maxSentenceGrade: 16,
+};
+const listeners = [];
+
+function sanitizeMap(map) {
+  const clean = {};
+  if (!map || typeof map !== 'object') return clean;
+  for (const [key, value] of Object.entries(map)) {
+    if (typeof value === 'boolean') clean[key] = value;
+  }
+  return clean;
+}
+
+function sanitizeLimit(value, fallback, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max ? value : fallback;
+}
+
+function sanitize(raw) {
+  return {
+    rules: sanitizeMap(raw?.rules),
+    harperRules: sanitizeMap(raw?.harperRules),
+    harperKinds: sanitizeMap(raw?.harperKinds),
+    safeFixesOnly: raw?.safeFixesOnly === true,
+    dialect: DIALECTS.includes(raw?.dialect) ? raw.dialect : 'us',
+    dialectConsistency: raw?.dialectConsistency === true,
+    maxSentenceWords: sanitizeLimit(raw?.maxSentenceWords, 35, 200),
+    maxSentenceGrade: sanitizeLimit(raw?.maxSentenceGrade, 16, 30),
+  };
+}
+
+export async function loadRuleSettings() {
+  const result = await chrome.storage.sync.get(STORAGE_KEY);
+  settings = sanitize(result[STORAGE_KEY]);
+}
+
+export function getRuleSettings() {
+  return settings;
+}
+
+export async function setRuleSettings(next) {
+  settings = sanitize(next);
+  await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+}
+
+/** Register a callback for when settings change (locally or via sync). */
+export function onRuleSettingsChanged(callback) {
+  listeners.push(callback);
+}
+
+/** Limits for the hard-to-read pass in runCustomRules. */
+export function getReadabilityLimits() {
+  return { maxWords: settings.maxSentenceWords, maxGrade: settings.maxSentenceGrade };
+}
+
+/** Overrides for runCustomRules: { [ruleId]: boolean }. */
+export function getCustomRuleOverrides() {
+  return settings.rules;
+}
+
+/**
+ * Merge the user's Harper overrides onto Harper's default config.
+ * Harper's defaults come from the linter so new rules keep their own default;
+ * `disabledByDefault` (from style packs) switches rules off beneath the
+ * user's overrides.
+ */
+export async function buildHarperConfig(linter, disabledByDefault = []) {
+  const config = await linter.getDefaultLintConfig();
+  for (const name of disabledByDefault) {
+    if (name in config) config[name] = false;
+  }
+  for (const [name, enabled] of Object.entries(settings.harperRules)) {
+    if (name in config) config[name] = enabled;
+  }
+  return config;
+}
+
+/** Drop Harper lints whose kind the user has switched off. */
+export function filterDisabledKinds(lints) {
+  const kinds = settings.harperKinds;
+  if (!Object.values(kinds).includes(false)) return lints;
+  return lints.filter(l => kinds[l.lintKind] !== false);
+}
+
+// Settings can change from another device (sync) or from the options page.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes[STORAGE_KEY]) return;
+  settings = sanitize(changes[STORAGE_KEY].newValue);
+  listeners.forEach(cb => cb(settings));
+});
@@ -1,9 +1,98 @@
-import { LocalLinter, BinaryModule } from 'harper.js';
-import { runCustomRules, COMMON_MISSPELLINGS } from './custom-rules.js';
+import { runCustomRules, getRuleCatalog, testUserRule, misspellingsFor, isEnglish } from './custom-rules.js';
+import { findMixedSpellings } from './spelling-consistency.js';
+import { findMaskedRanges, overlapsMask, sanitizeMasks } from './masking.js';
+import { findRepetition } from './repetition.js';
+import { lookupSynonyms } from './thesaurus.js';
+import { matchCase } from './words.js';
+import {
+  loadDictionary, getDictionary, getDictionaryWordSet, addWord, ignoreEverywhere,
+  setDictionary, applyDictionaryToLinter, filterIgnoredLints,
+} from './user-dictionary.js';
+import {
+  loadRuleSettings, getRuleSettings, setRuleSettings, onRuleSettingsChanged,
+  getCustomRuleOverrides, getReadabilityLimits, buildHarperConfig, filterDisabledKinds,
+} from './rule-settings.js';
+import {
+  loadSiteProfiles, getSiteProfile, setSiteProfile, siteFromUrl,
+  filterLintsForProfile, profileAllowsAI,
+} from './site-profiles.js';
+import {
+  loadUserRules, getUserRules, setUserRules, getCompiledUserRules, onUserRulesChanged,
+} from './user-rules.js';
+import {
+  loadStylePacks, getStylePacks, installStylePack, removeStylePack, onStylePacksChanged,
+  getPackRules, getPackWords, getPackDisabledRules, getPackSpellings,
+  STYLE_PACK_FORMAT, STYLE_PACK_VERSION,
+} from './style-packs.js';
+import { loadDismissals, getDismissals, countDismissals, addDismissal, clearDismissals } from './dismissals.js';
+import { correctionsToLints } from './ai-lints.js';
+import { harperConfidence } from './confidence.js';
+import { PooledLinter } from './pooled-linter.js';
+import { LintScheduler, PRIORITY_FOCUSED, PRIORITY_BACKGROUND } from './lint-scheduler.js';
+import { restoreSessionState, saveTabLints, saveSessionSettings } from './session-state.js';
 
 let linter = null;
+const lintScheduler = new LintScheduler();
 let isEnabled = true;
-const tabLints = new Map(); // tabId -> lints array
+const tabLints = new Map(); // tabId -> Map(frameId -> lints)
+const dictionaryReady = loadDictionary().catch(err => {
+  console.warn('Writing Helper: failed to load personal dictionary', err);
+});
+const ruleSettingsReady = loadRuleSettings().catch(err => {
+  console.warn('Writing Helper: failed to load rule settings', err);
+});
+const siteProfilesReady = loadSiteProfiles().catch(err => {
+  console.warn('Writing Helper: failed to load site profiles', err);
+});
+const userRulesReady = loadUserRules().catch(err => {
+  console.warn('Writing Helper: failed to load custom rules', err);
+});
+const stylePacksReady = loadStylePacks().catch(err => {
+  console.warn('Writing Helper: failed to load style packs', err);
+});
+const dismissalsReady = loadDismissals().catch(err => {
+  console.warn('Writing Helper: failed to load dismissed lints', err);
+});
+// Gemini Nano download progress (0–1), reported by the popup while it downloads
+let modelDownloadProgress = null;
+// `enabled` lives in local storage; lints and the rest were mirrored into
+// session storage before the worker was last suspended
+const stateReady = Promise.all([chrome.storage.local.get('enabled'), restoreSessionState()])
+  .then(([local, session]) => {
+    isEnabled = session.settings.enabled ?? local.enabled ?? true;
+    modelDownloadProgress = session.settings.modelDownloadProgress ?? null;
+    for (const [tabId, frameLints] of session.tabLints) {
+      if (!tabLints.has(tabId)) tabLints.set(tabId, frameLints);
+    }
+  })
+  .catch(err => {
+    console.warn('Writing Helper: failed to restore saved state', err);
+  });
+// Messages wait for this, so no handler sees half-restored state
+const workerReady = Promise.all([
+  stateReady, dictionaryReady, ruleSettingsReady, siteProfilesReady, userRulesReady, stylePacksReady,
+  dismissalsReady,
+]);
+// Harper's LinterConfig is pushed lazily, on the next lint after a change
+let harperConfigStale = true;
+// The dialect Harper's workers were last set to; null for a new linter
+let harperDialect = null;
+
+onRuleSettingsChanged(() => {
+  harperConfigStale = true;
+  broadcastToTabs({ type: 'rule-settings-changed' });
+});
+
+onUserRulesChanged(() => {
+  broadcastToTabs({ type: 'rule-settings-changed' });
+});
+
+// Packs touch every layer: rules, Harper config, and Harper's dictionary
+onStylePacksChanged(async () => {
+  harperConfigStale = true;
+  if (linter) await applyDictionaryToLinter(linter, getPackWords());
+  broadcastToTabs({ type: 'rule-settings-changed' });
+});
 
 // ── Offscreen Document (for Prompt API — needs DOM context) ──────────────
 
@@ -16,8 +105,8 @@ async function ensureOffscreen() {
   try {
     offscreenCreating = chrome.offscreen.createDocument({
       url: 'offscreen/offscreen.html',
-      reasons: ['DOM_PARSER'],
-      justification: 'Chrome Prompt API requires DOM context for AI text improvement',
+      reasons: ['DOM_PARSER', 'WORKERS'],
+      justification: 'Chrome Prompt API requires DOM context for AI text improvement; Harper linting runs in dedicated workers',
     });
     await offscreenCreating;
   } finally {
@@ -35,13 +124,72 @@ async function sendToOffscreen(message) {
   }
 }
 
-async function initLinter() {
-  if (linter) return linter;
-  const wasmUrl = chrome.runtime.getURL('wasm/harper_wasm_bg.wasm');
-  const binary = BinaryModule.create(wasmUrl);
-  linter = new LocalLinter({ binary });
-  await linter.setup();
-  return linter;
+/**
+ * Harper runs in a pool of workers in the offscreen document; `linter` is
+ * the service worker's handle to it. Concurrent first calls share one setup.
+ */
+let linterInit = null;
+
+function initLinter() {
+  if (linter) return Promise.resolve(linter);
+  linterInit ??= (async () => {
+    const l = new PooledLinter(sendToOffscreen);
+    await l.setup();
+    await Promise.all([dictionaryReady, stylePacksReady]);
+    await applyDictionaryToLinter(l, getPackWords());
+    lintScheduler.concurrency = await l.poolSize();
+    harperConfigStale = true;
+    harperDialect = null;
+    linter = l;
+    return l;
+  })().finally(() => { linterInit = null; });
+  return linterInit;
+}
+
+/** Apply the user's dialect and Harper rule toggles if they changed since the last lint. */
+async function ensureHarperConfig(l) {
+  if (!harperConfigStale) return;
+  harperConfigStale = false;
+  await Promise.all([ruleSettingsReady, stylePacksReady]);
+  const { dialect } = getRuleSettings();
+  if (dialect !== harperDialect) {
+    // A new dialect rebuilds Harper's linter without the user's words
+    await l.setDialect(dialect);
+    harperDialect = dialect;
+    await applyDictionaryToLinter(l, getPackWords());
+  }
+  await l.setLintConfig(await buildHarperConfig(l, getPackDisabledRules()));
+}
+
+/**
+ * The site a message came from. Uses the tab's top-level URL so a site's
+ * profile also covers the iframes embedded in it.
+ */
+function siteForSender(sender) {
+  return siteFromUrl(sender.tab?.url || sender.url || '');
+}
+
+/** Custom rule overrides with style-pack defaults beneath the user's own toggles. */
+function customRuleOverrides() {
+  const overrides = {};
+  for (const id of getPackDisabledRules()) overrides[id] = false;
+  return { ...overrides, ...getCustomRuleOverrides() };
+}
+
+/** Send a message to the content scripts in every tab. */
+function broadcastToTabs(message) {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+    }
+  });
+}
+
+/** Persisted dictionary changed — reload Harper's words and tell pages to re-check. */
+async function onDictionaryChanged() {
+  if (linter) await applyDictionaryToLinter(linter, getPackWords());
+  broadcastToTabs({ type: 'dictionary-changed' });
+  return getDictionary();
 }
 
 /**
@@ -58,8 +206,8 @@ function fixHarperSuggestions(lints, text) {
     const problem = lint.problemText?.toLowerCase();
     if (!problem) continue;
 
-    // Check if it's a known misspelling we can correct
-    const knownFix = COMMON_MISSPELLINGS[problem];
+    // Check if it's a known misspelling we can correct (style packs first)
+    const knownFix = getPackSpellings()[problem] ?? misspellingsFor(getRuleSettings().dialect)[problem];
     if (knownFix) {
       // Replace all suggestions with the correct one
       lint.suggestions = [{ text: knownFix, kind: 'ReplaceWith' }];
@@ -123,12 +271,13 @@ function fixHarperSuggestions(lints, text) {
 /**
  * Fix common doubled-letter misspellings by trying single-consonant
  * de-duplication one pair at a time. Only returns a candidate if it's
- * in the COMMON_MISSPELLINGS table — avoids mangling real words like
- * "butter", "happy", "tapping".
+ * in the misspelling table for the user's dialect — avoids mangling real
+ * words like "butter", "happy", "tapping".
  */
 function fixDoubledLetters(word) {
+  const misspellings = misspellingsFor(getRuleSettings().dialect);
   // First check if the whole word (with all doubles removed) is known
-  const knownFix = COMMON_MISSPELLINGS[word];
+  const knownFix = misspellings[word];
   if (knownFix) return knownFix;
 
   // Try removing one doubled consonant at a time
@@ -136,28 +285,48 @@ function fixDoubledLetters(word) {
   let match;
   while ((match = doublePattern.exec(word)) !== null) {
     const candidate = word.substring(0, match.index) + match[1] + word.substring(match.index + 2);
-    const knownCandidate = COMMON_MISSPELLINGS[candidate];
+    const knownCandidate = misspellings[candidate];
     if (knownCandidate) return knownCandidate;
   }
 
   return null;
 }
 
-/** Preserve the case pattern of the original when applying a fix */
-function matchCase(fixed, original) {
-  if (!original || !fixed) return fixed;
-  if (original === original.toUpperCase()) return fixed.toUpperCase();
-  if (original[0] === original[0].toUpperCase()) {
-    return fixed[0].toUpperCase() + fixed.slice(1);
-  }
-  return fixed;
+/** Bundle the user's own rules, dictionary, and switched-off rules as a style pack. */
+function buildStylePack(name, packVersion) {
+  const { rules, harperRules } = getRuleSettings();
+  const off = (map) => Object.keys(map).filter(key => map[key] === false);
+  return {
+    format: STYLE_PACK_FORMAT,
+    version: STYLE_PACK_VERSION,
+    name: name || 'My style',
+    packVersion: packVersion || '1.0.0',
+    rules: getUserRules().map(({ id, pattern, replacement, message, category, wholeWord, matchCase }) => (
+      { id, pattern, replacement, message, category, wholeWord, matchCase }
+    )),
+    dictionary: getDictionary().words,
+    disabledRules: [...off(rules), ...off(harperRules)],
+    // Preferred spellings can only come from packs, so the ones in effect go along
+    spellings: getPackSpellings(),
+  };
 }
 
+/** Harper's lintKind values, as shown on the settings page. */
+const HARPER_LINT_KINDS = [
+  'Spelling', 'Typo', 'Grammar', 'Agreement', 'Punctuation', 'Capitalization',
+  'WordChoice', 'Usage', 'Style', 'Readability', 'Redundancy', 'Repetition',
+  'Enhancement', 'Formatting', 'BoundaryError', 'Eggcorn', 'Malapropism',
+  'Nonstandard', 'Regionalism', 'Miscellaneous',
+];
+
 /**
  * Map Harper's 20 lintKind values into 3 visual categories:
  *  - 'spelling' → red underline (misspelled words)
  *  - 'grammar'  → blue underline (grammar, agreement, punctuation, etc.)
  *  - 'style'    → amber/yellow underline (suggestions, readability, enhancement)
+ *
+ * AI proofreading lints use a fourth category, 'ai' (purple), set in ai-lints.js,
+ * and the hard-to-read pass in custom-rules.js a fifth, 'readability' (teal).
  */
 function categorize(lintKind) {
   switch (lintKind) {
@@ -179,123 +348,485 @@ function categorize(lintKind) {
   }
 }
 
+/** Badge count: all lints across all frames of the tab. */
+function updateBadge(tabId) {
+  const frameLints = tabLints.get(tabId);
+  let totalCount = 0;
+  if (frameLints) for (const fl of frameLints.values()) totalCount += fl.length;
+  chrome.action.setBadgeText({
+    text: totalCount > 0 ? String(totalCount) : '',
+    tabId,
+  });
+  chrome.action.setBadgeBackgroundColor({ color: '#e74c3c' });
+}
+
+// ── AI proofreading (phase 2) ────────────────────────────────────────────
+//
+// After Harper's lints go back to the page, the paragraphs that were just
+// linted are proofread by Gemini Nano once the user pauses. Corrections
+// Harper and the custom rules didn't already catch are sent to the frame as
+// 'ai-lints-update', with spans relative to the paragraph. Paragraphs are
+// proofread in the field's language; the offscreen document reports AI as
+// unavailable for languages the model doesn't support. Corrections inside
+// code, URLs, and the like are dropped, as in phase 1.
+
+const AI_PROOFREAD_DELAY_MS = 1000;
+const AI_PROOFREAD_MAX_CHARS = 4000;
+const AI_PROOFREAD_CACHE_SIZE = 100;
+const aiProofreadTimers = new Map(); // "tabId:frameId" -> timeout id
+const aiProofreadCache = new Map(); // language + paragraph text -> corrections
+
+/**
+ * Proofread `paragraphs` ([{ text, lints, masks }]) after a pause, replacing
+ * any pending batch. `context` is the lint request's { language, markup }.
+ */
+function scheduleAIProofread(tabId, frameId, paragraphs, context) {
+  const key = `${tabId}:${frameId}`;
+  clearTimeout(aiProofreadTimers.get(key));
+  aiProofreadTimers.delete(key);
+
+  let budget = AI_PROOFREAD_MAX_CHARS;
+  const batch = paragraphs.filter(({ text }) => {
+    if (!text.trim() || text.length > budget) return false;
+    budget -= text.length;
+    return true;
+  });
+  if (batch.length === 0) return;
+
+  aiProofreadTimers.set(key, setTimeout(async () => {
+    aiProofreadTimers.delete(key);
+    try {
+      for (const paragraph of batch) {
+        if (!(await runAIProofread(tabId, frameId, paragraph, context))) break;
+      }
+    } catch (err) {
+      console.warn('Writing Helper: AI proofreading failed', err);
+    }
+  }, AI_PROOFREAD_DELAY_MS));
+}
+
+/** Proofread one paragraph. Resolves to false when AI is unavailable. */
+async function runAIProofread(tabId, frameId, { text, lints, masks }, { language, markup }) {
+  const cacheKey = `${language}\n${text}`;
+  let corrections = aiProofreadCache.get(cacheKey);
+  if (!corrections) {
+    const response = await sendToOffscreen({ type: 'ai-proofread', text, language });
+    if (!response?.available) return false;
+    corrections = response.corrections;
+    aiProofreadCache.set(cacheKey, corrections);
+    if (aiProofreadCache.size > AI_PROOFREAD_CACHE_SIZE) {
+      aiProofreadCache.delete(aiProofreadCache.keys().next().value);
+    }
+  }
+
+  const masked = [...masks, ...findMaskedRanges(text, markup)].map(([start, end]) => ({ span: { start, end } }));
+  const aiLints = filterIgnoredLints(
+    correctionsToLints(text, corrections, [...lints, ...masked], getDictionaryWordSet(getPackWords())),
+  );
+  if (aiLints.length > 0) {
+    // language, markup, and masks identify the paragraph in the page's lint cache
+    chrome.tabs.sendMessage(tabId, { type: 'ai-lints-update', text, language, markup, masks, lints: aiLints }, { frameId })
+      .catch(() => {});
+  }
+  return true;
+}
+
+function handleAIMessage(message) {
+  switch (message.type) {
+    case 'ai-improve':
+      return sendToOffscreen({ type: 'ai-improve', text: message.text, language: message.language });
+    case 'ai-rephrase':
+      return sendToOffscreen({ type: 'ai-rephrase', text: message.text, tone: message.tone, language: message.language });
+    case 'ai-draft':
+      return sendToOffscreen({ type: 'ai-draft', prompt: message.prompt, tone: message.tone, language: message.language });
+    case 'ai-prewarm':
+      return sendToOffscreen({ type: 'ai-prewarm' });
+  }
+}
+
+/**
+ * Relay a streaming AI request between a content script and the offscreen
+ * document. The content script posts { type: 'start', request } where
+ * `request` is an ai-improve / ai-rephrase / ai-draft message; chunks flow
+ * back unchanged. Either side disconnecting tears down the other, which
+ * aborts the model session.
+ */
+function relayAIStream(port) {
+  let offscreenPort = null;
+  let closed = false;
+
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    offscreenPort?.disconnect();
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'cancel') {
+      offscreenPort?.postMessage({ type: 'cancel' });
+      return;
+    }
+    if (message.type !== 'start' || offscreenPort) return;
+
+    await workerReady;
+    if (!isEnabled || !profileAllowsAI(getSiteProfile(siteForSender(port.sender)))) {
+      port.postMessage({ type: 'error', reason: 'unavailable' });
+      return;
+    }
+
+    try {
+      await ensureOffscreen();
+    } catch (err) {
+      console.warn('Writing Helper: offscreen document unavailable', err);
+      if (!closed) port.postMessage({ type: 'error', reason: 'unavailable' });
+      return;
+    }
+    if (closed) return;
+
+    offscreenPort = chrome.runtime.connect({ name: 'offscreen-ai-stream' });
+    offscreenPort.onMessage.addListener((msg) => {
+      if (!closed) port.postMessage(msg);
+    });
+    offscreenPort.onDisconnect.addListener(() => {
+      if (!closed) port.disconnect();
+      closed = true;
+    });
+    offscreenPort.postMessage({ type: 'start', request: message.request });
+  });
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'ai-stream') relayAIStream(port);
+});
+
+/**
+ * Lint one paragraph: Harper, then the custom rules, filtered for the
+ * dictionary, ignore list, and site profile. Returns lints sorted by position.
+ * Harper and the built-in rules only know English, so text in another
+ * `language` gets just the user's own rules and sentence capitalization.
+ *
+ * `markup` ('plain' or 'markdown') picks Harper's parser. Nothing is flagged
+ * inside `masks` (code ranges from the page) or the URLs, emails, mentions,
+ * and inline code found by findMaskedRanges.
+ */
+async function lintText(l, text, profile, language, { markup = 'plain', masks = [] } = {}) {
+  const masked = [...masks, ...findMaskedRanges(text, markup)];
+  const harperLints = isEnglish(language)
+    ? await l.lint(text, { language: markup === 'markdown' ? 'markdown' : 'plaintext' })
+    : [];
+  const serialized = harperLints
+    .filter(lint => !overlapsMask(lint.span.start, lint.span.end, masked))
+    .map(lint => ({ ...lint, category: categorize(lint.lintKind) }));
+
+  // Fix bad Harper suggestions (SplitWords nonsense etc.)
+  const fixedHarper = filterDisabledKinds(fixHarperSuggestions(serialized, text));
+  for (const lint of fixedHarper) lint.confidence = harperConfidence(lint);
+
+  // Run custom pattern-based rules (built-in + the user's own) to supplement Harper
+  const customLints = runCustomRules(text, fixedHarper, {
+    dictionary: getDictionaryWordSet(getPackWords()),
+    ruleOverrides: customRuleOverrides(),
+    userRules: [...getCompiledUserRules(), ...getPackRules()],
+    language,
+    masks: masked,
+    readability: getReadabilityLimits(),
+  });
+  const allLints = filterLintsForProfile(
+    filterIgnoredLints([...fixedHarper, ...customLints]),
+    profile,
+  );
+
+  // Sort by position in text
+  allLints.sort((a, b) => a.span.start - b.span.start);
+  return allLints;
+}
+
+/**
+ * Lints that need a whole English field's `text` rather than one paragraph:
+ * mixed spellings (spelling-consistency.js, when that setting is on) and
+ * repetition (repetition.js). Filtered like lintText's: dictionary words,
+ * masked ranges, rule and kind toggles, the ignore list, and the site profile.
+ */
+function documentLints(text, profile, { markup = 'plain', masks = [] } = {}) {
+  const { dialect, dialectConsistency } = getRuleSettings();
+  const dictionary = getDictionaryWordSet(getPackWords());
+  const masked = [...masks, ...findMaskedRanges(text, markup)];
+  const mixed = dialectConsistency
+    ? filterDisabledKinds(findMixedSpellings(text, dialect, { dictionary, masks: masked }))
+    : [];
+  const repetition = findRepetition(text, mixed, { dictionary, ruleOverrides: customRuleOverrides(), masks: masked });
+  const lints = filterLintsForProfile(filterIgnoredLints([...mixed, ...repetition]), profile);
+  lints.sort((a, b) => a.span.start - b.span.start);
+  return lints;
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message, sender).then(sendResponse);
+  workerReady.then(() => handleMessage(message, sender)).then(sendResponse);
   return true; // keep channel open for async
 });
 
+/** Handle a runtime message. Only called once workerReady has settled. */
 async function handleMessage(message, sender) {
   switch (message.type) {
     case 'lint': {
-      if (!isEnabled) return { lints: [] };
+      // Paragraphs the content script has no cached lints for; each result
+      // has spans relative to its own paragraph. `cancelled` means a newer
+      // request for the same field superseded this one.
+      if (!isEnabled) return { results: [] };
+      const profile = getSiteProfile(siteForSender(sender));
+      if (profile === 'off') return { results: [] };
+      const paragraphs = Array.isArray(message.paragraphs) ? message.paragraphs : [];
+      const language = typeof message.language === 'string' ? message.language : 'en';
+      // Markup mode and per-paragraph code ranges from the page (fenced blocks, <code>)
+      const markup = message.markup === 'markdown' ? 'markdown' : 'plain';
+      const masks = paragraphs.map((text, i) => sanitizeMasks(message.masks?.[i], text.length));
+      const tabId = sender.tab?.id;
+      const frameId = sender.frameId ?? 0;
       try {
         const l = await initLinter();
-        const lints = await l.lint(message.text, { language: 'plaintext' });
-        const serialized = lints.map(lint => {
-          const span = lint.span();
-          const suggestions = lint.suggestions();
-          const lintKind = lint.lint_kind();
-          const result = {
-            span: { start: span.start, end: span.end },
-            message: lint.message(),
-            lintKind: lintKind,
-            lintKindPretty: lint.lint_kind_pretty(),
-            category: categorize(lintKind),
-            problemText: lint.get_problem_text(),
-            suggestions: suggestions.map(s => ({
-              text: s.get_replacement_text(),
-              kind: s.kind(),
-            })),
-          };
-          // Free WASM objects
-          span.free();
-          suggestions.forEach(s => s.free());
-          lint.free();
-          return result;
+        await ensureHarperConfig(l);
+        // A reloaded frame's content script numbers fields and requests from
+        // 1 again; the document id keeps them apart from the old page's
+        const results = await lintScheduler.schedule({
+          fieldKey: `${tabId}:${frameId}:${sender.documentId ?? ''}:${message.fieldId}`,
+          requestId: message.requestId,
+          priority: message.focused ? PRIORITY_FOCUSED : PRIORITY_BACKGROUND,
+          task: async (isCancelled) => {
+            const out = [];
+            for (const [i, text] of paragraphs.entries()) {
+              if (isCancelled()) return null;
+              out.push(await lintText(l, text, profile, language, { markup, masks: masks[i] }));
+            }
+            return out;
+          },
         });
+        if (!results) return { cancelled: true };
 
-        // Fix bad Harper suggestions (SplitWords nonsense etc.)
-        const fixedHarper = fixHarperSuggestions(serialized, message.text);
-
-        // Run custom pattern-based rules to supplement Harper
-        const customLints = runCustomRules(message.text, fixedHarper);
-        const allLints = [...fixedHarper, ...customLints];
-
-        // Sort by position in text
-        allLints.sort((a, b) => a.span.start - b.span.start);
-
-        // Store lints for this tab so popup can access them.
-        // Use tabId+frameId as key so multiple frames don't overwrite each other.
-        const tabId = sender.tab?.id;
-        const frameId = sender.frameId ?? 0;
-        if (tabId) {
-          if (!tabLints.has(tabId)) tabLints.set(tabId, new Map());
-          const frameLints = tabLints.get(tabId);
-          frameLints.set(frameId, allLints);
-
-          // Aggregate all lints across all frames for the badge count
-          let totalCount = 0;
-          for (const fl of frameLints.values()) totalCount += fl.length;
-          chrome.action.setBadgeText({
-            text: totalCount > 0 ? String(totalCount) : '',
-            tabId,
-          });
-          chrome.action.setBadgeBackgroundColor({ color: '#e74c3c' });
+        if (tabId && profileAllowsAI(profile)) {
+          scheduleAIProofread(
+            tabId, frameId,
+            // Hard-to-read lints cover whole sentences; they don't rule out corrections inside
+            paragraphs.map((text, i) => ({
+              text, lints: results[i].filter(l => l.category !== 'readability'), masks: masks[i],
+            })),
+            { language, markup },
+          );
         }
-
-        return { lints: allLints };
+        return { results };
       } catch (err) {
         console.error('Writing Helper lint error:', err);
-        return { lints: [] };
+        linter = null; // the offscreen document may have gone; set up again next time
+        return { results: [] };
       }
     }
 
+    case 'check-document': {
+      // Checks that look across paragraphs, so they aren't part of the
+      // per-paragraph 'lint' request
+      if (!isEnabled) return { lints: [] };
+      if (!isEnglish(typeof message.language === 'string' ? message.language : 'en')) return { lints: [] };
+      const profile = getSiteProfile(siteForSender(sender));
+      const text = typeof message.text === 'string' ? message.text : '';
+      const markup = message.markup === 'markdown' ? 'markdown' : 'plain';
+      return { lints: documentLints(text, profile, { markup, masks: sanitizeMasks(message.masks, text.length) }) };
+    }
+
+    case 'report-lints': {
+      // A field's assembled lints, kept so the popup and badge can see them.
+      // Use tabId+frameId as key so multiple frames don't overwrite each other.
+      const tabId = sender.tab?.id;
+      if (!tabId) return { ok: false };
+      if (!tabLints.has(tabId)) tabLints.set(tabId, new Map());
+      tabLints.get(tabId).set(sender.frameId ?? 0, Array.isArray(message.lints) ? message.lints : []);
+      saveTabLints(tabLints);
+      updateBadge(tabId);
+      return { ok: true };
+    }
+
     case 'get-lints': {
       // Popup requests current lints for a tab — aggregate across all frames
       const frameLints = tabLints.get(message.tabId);
       if (!frameLints) return { lints: [] };
       const allLints = [];
       for (const fl of frameLints.values()) allLints.push(...fl);
-      return { lints: allLints };
+      return { lints: allLints, safeFixesOnly: getRuleSettings().safeFixesOnly };
     }
     case 'ai-improve':
-      return sendToOffscreen({ type: 'ai-improve', text: message.text });
     case 'ai-rephrase':
-      return sendToOffscreen({ type: 'ai-rephrase', text: message.text, tone: message.tone });
     case 'ai-draft':
-      return sendToOffscreen({ type: 'ai-draft', prompt: message.prompt, tone: message.tone });
+    case 'ai-prewarm': {
+      if (!profileAllowsAI(getSiteProfile(siteForSender(sender)))) return { available: false };
+      return handleAIMessage(message);
+    }
+
+    case 'ai-status': {
+      // Popup status panel and content-script AI buttons
+      const result = await sendToOffscreen({ type: 'ai-status' });
+      const status = result?.status || 'unavailable';
+      if (status !== 'downloading' && modelDownloadProgress !== null) {
+        // The download finished (or failed) without the popup reporting it
+        modelDownloadProgress = null;
+        saveSessionSettings({ modelDownloadProgress });
+        broadcastToTabs({ type: 'ai-status-changed' });
+      }
+      return { status, progress: status === 'downloading' ? modelDownloadProgress : null };
+    }
+    case 'ai-download-progress':
+      // Only start and finish change what pages show, so skip the ticks between
+      if (modelDownloadProgress === null || message.progress >= 1) {
+        broadcastToTabs({ type: 'ai-status-changed' });
+      }
+      modelDownloadProgress = message.progress;
+      await saveSessionSettings({ modelDownloadProgress });
+      return {};
+
+    case 'get-site-profile': {
+      // From a content script the site comes from the sender; the popup names it
+      const site = message.site ?? siteForSender(sender);
+      return { site, profile: getSiteProfile(site) };
+    }
+    case 'set-site-profile':
+      await setSiteProfile(message.site, message.profile);
+      broadcastToTabs({ type: 'site-profile-changed' });
+      return { site: message.site, profile: getSiteProfile(message.site) };
+
+    case 'get-dismissals': {
+      // Content scripts get their site's fingerprints; the popup names a site for the count
+      if (message.site) return { site: message.site, count: countDismissals(message.site) };
+      return getDismissals(siteForSender(sender));
+    }
+    case 'dismiss-lint':
+      await addDismissal(siteForSender(sender), message.fingerprint, message.fieldKey || null);
+      broadcastToTabs({ type: 'dismissals-changed' });
+      return {};
+    case 'clear-dismissals':
+      await clearDismissals(message.site);
+      broadcastToTabs({ type: 'dismissals-changed' });
+      return { site: message.site, count: 0 };
 
     case 'get-enabled':
       return { enabled: isEnabled };
+    case 'get-fix-settings': {
+      const { safeFixesOnly, dialect, dialectConsistency } = getRuleSettings();
+      return { safeFixesOnly, dialect, dialectConsistency };
+    }
     case 'set-enabled':
       isEnabled = message.enabled;
       chrome.storage.local.set({ enabled: isEnabled });
+      saveSessionSettings({ enabled: isEnabled });
       // Broadcast to all content scripts
-      chrome.tabs.query({}, (tabs) => {
-        for (const tab of tabs) {
-          chrome.tabs.sendMessage(tab.id, { type: 'enabled-changed', enabled: isEnabled }).catch(() => {});
-        }
-      });
+      broadcastToTabs({ type: 'enabled-changed', enabled: isEnabled });
       return { enabled: isEnabled };
+
+    case 'synonyms': {
+      // Selection toolbar's Synonyms button: one word, senses best first
+      const word = typeof message.word === 'string' ? message.word.trim() : '';
+      if (!/^[A-Za-z]+(?:['’-][A-Za-z]+)*$/.test(word)) return { word, senses: [] };
+      return { word, senses: await lookupSynonyms(word) };
+    }
+
+    case 'get-dictionary':
+      return getDictionary();
+    case 'add-to-dictionary':
+      await addWord(message.word);
+      return onDictionaryChanged();
+    case 'ignore-everywhere':
+      await ignoreEverywhere(message.text);
+      return onDictionaryChanged();
+    case 'set-dictionary':
+      await setDictionary({ words: message.words, ignored: message.ignored });
+      return onDictionaryChanged();
+
+    case 'get-rule-catalog': {
+      // Everything the options page needs to render its toggles.
+      // Defaults account for style packs, so "Reset" returns to the pack's choice.
+      const l = await initLinter();
+      const [harperDefaults, harperDescriptions] = await Promise.all([
+        l.getDefaultLintConfig(),
+        l.getLintDescriptions(),
+      ]);
+      const packDisabled = new Set(getPackDisabledRules());
+      return {
+        customRules: getRuleCatalog().map(rule => ({
+          ...rule,
+          defaultEnabled: rule.defaultEnabled && !packDisabled.has(rule.id),
+        })),
+        harperRules: Object.keys(harperDefaults).sort().map(name => ({
+          name,
+          description: harperDescriptions[name] || '',
+          defaultEnabled: harperDefaults[name] !== false && !packDisabled.has(name),
+        })),
+        harperKinds: HARPER_LINT_KINDS,
+        settings: getRuleSettings(),
+      };
+    }
+    case 'set-rule-settings':
+      // storage.onChanged picks this up and re-lints open tabs
+      await setRuleSettings(message.settings);
+      return { settings: getRuleSettings() };
+
+    case 'get-user-rules':
+      return { rules: getUserRules() };
+    case 'set-user-rules':
+      // storage.onChanged picks this up and re-lints open tabs
+      await setUserRules(message.rules);
+      return { rules: getUserRules() };
+    case 'test-user-rule':
+      // Options page: validate a rule and show what it matches in the sample
+      return testUserRule(message.rule, message.sample);
+
+    case 'get-style-packs':
+      return { packs: getStylePacks() };
+    case 'import-style-pack': {
+      let data;
+      try {
+        data = JSON.parse(message.text);
+      } catch (_) {
+        return { error: 'That file is not valid JSON.' };
+      }
+      try {
+        const { pack, replaced } = await installStylePack(data);
+        return { packs: getStylePacks(), name: pack.name, packVersion: pack.packVersion, replaced };
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    case 'remove-style-pack':
+      await removeStylePack(message.id);
+      return { packs: getStylePacks() };
+    case 'export-style-pack':
+      // The user's own setup as a pack, plus the preferred spellings now in effect
+      return {
+        pack: buildStylePack(message.name, message.packVersion),
+      };
     default:
       return {};
   }
 }
 
 // Clean up when tabs are closed
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
   tabLints.delete(tabId);
+  saveTabLints(tabLints);
+  lintScheduler.forget(`${tabId}:`);
 });
 
 // Clean up stale lints on navigation (SPA pages don't close tabs)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
   if (changeInfo.url || changeInfo.status === 'loading') {
+    await stateReady;
     tabLints.delete(tabId);
+    saveTabLints(tabLints);
+    lintScheduler.forget(`${tabId}:`);
     chrome.action.setBadgeText({ text: '', tabId });
   }
 });
 
-// Restore saved state on startup
-chrome.storage.local.get('enabled', (result) => {
-  if (result.enabled !== undefined) isEnabled = result.enabled;
+// Keyboard shortcuts from the manifest's "commands". Every frame gets the
+// message; only the one with a focused field acts on it.
+const ISSUE_COMMANDS = { 'next-issue': 1, 'previous-issue': -1 };
+chrome.commands.onCommand.addListener((command, tab) => {
+  const direction = ISSUE_COMMANDS[command];
+  if (!direction || !tab?.id) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'navigate-issue', direction }).catch(() => {});
 });
@@ -0,0 +1,53 @@
+/**
+ * Service-worker state mirrored into chrome.storage.session.
+ *
+ * MV3 suspends an idle service worker and its module state goes with it.
+ * Per-tab lints (for the popup and badge) and the few settings the worker
+ * keeps in memory are written here, and read back before the first message
+ * after a restart is handled. Session storage is cleared when the browser
+ * closes and is only readable by extension pages.
+ */
+
+const TAB_LINTS_KEY = 'tabLints';
+const SETTINGS_KEY = 'workerSettings';
+const TAB_LINTS_WRITE_DELAY_MS = 250;
+
+let tabLintsTimer = null;
+
+/**
+ * Read the mirrored state. Resolves to
+ * { tabLints: Map<tabId, Map<frameId, lints>>, settings: object }.
+ */
+export async function restoreSessionState() {
+  const result = await chrome.storage.session.get([TAB_LINTS_KEY, SETTINGS_KEY]);
+  const tabLints = new Map();
+  for (const [tabId, frames] of Object.entries(result[TAB_LINTS_KEY] || {})) {
+    const frameLints = new Map();
+    for (const [frameId, lints] of Object.entries(frames)) {
+      if (Array.isArray(lints)) frameLints.set(Number(frameId), lints);
+    }
+    tabLints.set(Number(tabId), frameLints);
+  }
+  return { tabLints, settings: result[SETTINGS_KEY] || {} };
+}
+
+/**
+ * Mirror the tab → frame → lints map. Writes are batched, since fields
+ * report lints on every check.
+ */
+export function saveTabLints(tabLints) {
+  clearTimeout(tabLintsTimer);
+  tabLintsTimer = setTimeout(() => {
+    const plain = {};
+    for (const [tabId, frameLints] of tabLints) plain[tabId] = Object.fromEntries(frameLints);
+    chrome.storage.session.set({ [TAB_LINTS_KEY]: plain }).catch(err => {
+      console.warn('Writing Helper: failed to save lints to session storage', err);
+    });
+  }, TAB_LINTS_WRITE_DELAY_MS);
+}
+
+/** Mirror in-memory settings (merged into what's already saved). */
+export async function saveSessionSettings(settings) {
+  const result = await chrome.storage.session.get(SETTINGS_KEY);
+  await chrome.storage.session.set({ [SETTINGS_KEY]: { ...result[SETTINGS_KEY], ...settings } });
+}
@@ -0,0 +1,98 @@
+/**
+ * Per-site check profiles, stored in chrome.storage.sync.
+ *
+ * A profile decides how much checking a site gets:
+ *   off      – nothing; fields aren't even tracked
+ *   spelling – spelling lints only
+ *   grammar  – spelling + grammar (no style suggestions, no AI)
+ *   all      – everything, including AI (the default)
+ *
+ * Sites are keyed by hostname without a leading "www.". A setting on a
+ * parent domain also covers its subdomains unless they have their own.
+ */
+
+const STORAGE_KEY = 'siteProfiles';
+
+export const SITE_PROFILES = ['off', 'spelling', 'grammar', 'all'];
+export const DEFAULT_SITE_PROFILE = 'all';
+
+let profiles = {}; // site -> profile (only entries that differ from what the site inherits)
+
+function sanitize(raw) {
+  const clean = {};
+  if (!raw || typeof raw !== 'object') return clean;
+  for (const [site, profile] of Object.entries(raw)) {
+    if (SITE_PROFILES.includes(profile)) clean[site] = profile;
+  }
+  return clean;
+}
+
+/** "https://www.github.com/foo" → "github.com"; '' for non-web URLs. */
+export function siteFromUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return '';
+    return hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+export async function loadSiteProfiles() {
+  const result = await chrome.storage.sync.get(STORAGE_KEY);
+  profiles = sanitize(result[STORAGE_KEY]);
+}
+
+export function getSiteProfile(site) {
+  if (!site) return DEFAULT_SITE_PROFILE;
+  // Walk up the domain: "review.corp.example.com" → "corp.example.com" → …
+  let host = site;
+  while (host) {
+    if (profiles[host]) return profiles[host];
+    const dot = host.indexOf('.');
+    if (dot === -1) break;
+    host = host.slice(dot + 1);
+  }
+  return DEFAULT_SITE_PROFILE;
+}
+
+/** The profile `site` gets from its parent domains (or the default) without its own entry. */
+function inheritedProfile(site) {
+  const dot = site.indexOf('.');
+  return dot === -1 ? DEFAULT_SITE_PROFILE : getSiteProfile(site.slice(dot + 1));
+}
+
+export async function setSiteProfile(site, profile) {
+  if (!site || !SITE_PROFILES.includes(profile)) return;
+  // Drop the entry only when the parent domain already gives this profile;
+  // "All checks" on sub.example.com must stay explicit when example.com is off
+  if (profile === inheritedProfile(site)) {
+    delete profiles[site];
+  } else {
+    profiles[site] = profile;
+  }
+  await chrome.storage.sync.set({ [STORAGE_KEY]: profiles });
+}
+
+/** Keep only the lint categories the profile allows. */
+export function filterLintsForProfile(lints, profile) {
+  switch (profile) {
+    case 'off':
+      return [];
+    case 'spelling':
+      return lints.filter(l => l.category === 'spelling');
+    case 'grammar':
+      return lints.filter(l => l.category === 'spelling' || l.category === 'grammar');
+    default:
+      return lints;
+  }
+}
+
+export function profileAllowsAI(profile) {
+  return profile === 'all';
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes[STORAGE_KEY]) return;
+  profiles = sanitize(changes[STORAGE_KEY].newValue);
+});
@@ -0,0 +1,82 @@
+/**
+ * Mixed-spelling check: flags words spelled for another English dialect
+ * when the same document also uses the chosen dialect's spellings ("color"
+ * in one paragraph, "colour" in the next).
+ *
+ * Runs on the whole field text rather than per paragraph, since the point
+ * is consistency across the document. The service worker runs it on a
+ * 'check-document' request and filters the result like any other lints.
+ */
+
+import { CONFIDENCE } from './confidence.js';
+import { matchCase } from './words.js';
+
+const DIALECT_NAMES = { us: 'American', uk: 'British', ca: 'Canadian', au: 'Australian' };
+
+// [American, British, pattern]. Canadian follows British except for -ize / -yze.
+const VARIANTS = [
+  ['color', 'colour', 'our'], ['colors', 'colours', 'our'], ['colored', 'coloured', 'our'],
+  ['colorful', 'colourful', 'our'], ['favor', 'favour', 'our'], ['favors', 'favours', 'our'],
+  ['favorite', 'favourite', 'our'], ['favorites', 'favourites', 'our'], ['honor', 'honour', 'our'],
+  ['humor', 'humour', 'our'], ['labor', 'labour', 'our'], ['neighbor', 'neighbour', 'our'],
+  ['neighbors', 'neighbours', 'our'], ['behavior', 'behaviour', 'our'], ['behaviors', 'behaviours', 'our'],
+  ['flavor', 'flavour', 'our'], ['rumor', 'rumour', 'our'], ['harbor', 'harbour', 'our'],
+  ['center', 'centre', 're'], ['centers', 'centres', 're'], ['centered', 'centred', 're'],
+  ['theater', 'theatre', 're'], ['fiber', 'fibre', 're'], ['liter', 'litre', 're'],
+  ['organize', 'organise', 'ize'], ['organized', 'organised', 'ize'], ['organizing', 'organising', 'ize'],
+  ['organization', 'organisation', 'ize'], ['organizations', 'organisations', 'ize'],
+  ['realize', 'realise', 'ize'], ['realized', 'realised', 'ize'], ['recognize', 'recognise', 'ize'],
+  ['recognized', 'recognised', 'ize'], ['apologize', 'apologise', 'ize'], ['prioritize', 'prioritise', 'ize'],
+  ['customize', 'customise', 'ize'], ['optimize', 'optimise', 'ize'], ['optimized', 'optimised', 'ize'],
+  ['summarize', 'summarise', 'ize'], ['analyze', 'analyse', 'ize'], ['analyzed', 'analysed', 'ize'],
+  ['analyzing', 'analysing', 'ize'],
+  ['traveled', 'travelled', 'll'], ['traveling', 'travelling', 'll'], ['traveler', 'traveller', 'll'],
+  ['canceled', 'cancelled', 'll'], ['canceling', 'cancelling', 'll'], ['labeled', 'labelled', 'll'],
+  ['labeling', 'labelling', 'll'], ['modeling', 'modelling', 'll'],
+  ['defense', 'defence', 'ence'], ['offense', 'offence', 'ence'],
+  ['catalog', 'catalogue', 'ogue'], ['gray', 'grey', 'misc'],
+];
+
+/** word → { preferred: { dialect: spelling } } */
+const LOOKUP = new Map();
+for (const [us, uk, pattern] of VARIANTS) {
+  const preferred = { us, uk, au: uk, ca: pattern === 'ize' ? us : uk };
+  LOOKUP.set(us, preferred);
+  LOOKUP.set(uk, preferred);
+}
+
+/**
+ * Lints for words in `text` spelled for a dialect other than `dialect`, or
+ * [] unless the text also uses at least one of `dialect`'s own spellings.
+ * Words in `dictionary` (lowercased) and inside `masks` are left alone and
+ * don't count either way.
+ */
+export function findMixedSpellings(text, dialect, { dictionary = new Set(), masks = [] } = {}) {
+  const words = [];
+  let consistent = 0;
+  for (const match of text.matchAll(/\p{L}+/gu)) {
+    const preferred = LOOKUP.get(match[0].toLowerCase());
+    if (!preferred || dictionary.has(match[0].toLowerCase())) continue;
+    const end = match.index + match[0].length;
+    if (masks.some(([ms, me]) => match.index < me && end > ms)) continue;
+    const expected = preferred[dialect] || preferred.us;
+    if (match[0].toLowerCase() === expected) consistent++;
+    else words.push({ word: match[0], start: match.index, expected });
+  }
+  if (consistent === 0) return [];
+
+  const name = DIALECT_NAMES[dialect] || DIALECT_NAMES.us;
+  return words.map(({ word, start, expected }) => {
+    const replacement = matchCase(expected, word);
+    return {
+      span: { start, end: start + word.length },
+      message: `This document mixes spellings. Use the ${name} spelling "${replacement}".`,
+      lintKind: 'Regionalism',
+      lintKindPretty: 'Mixed Spelling',
+      category: 'spelling',
+      problemText: word,
+      suggestions: [{ text: replacement, kind: 'ReplaceWith' }],
+      confidence: CONFIDENCE.medium,
+    };
+  });
+}
@@ -0,0 +1,237 @@
+/**
+ * Style packs: a shareable JSON bundle of house style, stored in
+ * chrome.storage.local.
+ *
+ *   {
+ *     "format": "writing-helper-style-pack",
+ *     "version": 1,                  // pack format version
+ *     "name": "Acme style guide",
+ *     "packVersion": "2.1.0",        // the pack author's own version
+ *     "rules": [ ...user rules, see user-rules.js ],
+ *     "dictionary": ["Kubernetes", "OAuth"],
+ *     "disabledRules": ["in-order-to", "SpellCheck"],
+ *     "spellings": { "e-mail": "email", "colour": "color" }
+ *   }
+ *
+ * Installed packs layer between the built-ins and the user's own settings:
+ * pack rules run alongside user rules, pack words join the dictionary,
+ * disabled ids become the new defaults (the user's toggles still win), and
+ * preferred spellings extend COMMON_MISSPELLINGS.
+ */
+
+import { compileUserRule } from './custom-rules.js';
+import { sanitizeUserRule, MAX_RULES } from './user-rules.js';
+import { CONFIDENCE } from './confidence.js';
+
+const STORAGE_KEY = 'stylePacks';
+const MAX_SPELLINGS = 1000;
+export const STYLE_PACK_FORMAT = 'writing-helper-style-pack';
+export const STYLE_PACK_VERSION = 1;
+
+let packs = [];
+let compiled = { rules: [], words: [], disabled: [], spellings: {} };
+const listeners = [];
+
+/** "Acme Style Guide!" → "acme-style-guide" */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'pack';
+}
+
+const strings = (list, max) => (Array.isArray(list) ? list : [])
+  .filter(v => typeof v === 'string' && v.trim())
+  .map(v => v.trim().slice(0, max));
+
+/**
+ * Validate and normalize a parsed pack. Throws an Error with a user-facing
+ * message when the pack can't be used.
+ */
+export function normalizeStylePack(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not a style pack: expected a JSON object.');
+  }
+  if (data.format !== STYLE_PACK_FORMAT) {
+    throw new Error(`Not a style pack: "format" must be "${STYLE_PACK_FORMAT}".`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Style pack is missing its format "version".');
+  }
+  if (data.version > STYLE_PACK_VERSION) {
+    throw new Error(`This pack uses format version ${data.version}; update Writing Helper to import it.`);
+  }
+  const name = typeof data.name === 'string' ? data.name.trim().slice(0, 80) : '';
+  if (!name) throw new Error('Style pack needs a "name".');
+
+  // Same checks and limits as the user's own rules: these run on every keystroke too
+  const rules = [];
+  (Array.isArray(data.rules) ? data.rules : []).slice(0, MAX_RULES).forEach((rule, i) => {
+    try {
+      compileUserRule(rule);
+    } catch (err) {
+      throw new Error(`Rule ${i + 1} (${JSON.stringify(String(rule?.pattern ?? '').slice(0, 60))}): ${err.message}`);
+    }
+    rules.push(sanitizeUserRule({ ...rule, id: rule.id || `rule-${i + 1}` }, i + 1));
+  });
+
+  const spellings = {};
+  if (data.spellings && typeof data.spellings === 'object' && !Array.isArray(data.spellings)) {
+    for (const [from, to] of Object.entries(data.spellings).slice(0, MAX_SPELLINGS)) {
+      const key = from.trim().toLowerCase().slice(0, 60);
+      if (key && typeof to === 'string' && to.trim()) spellings[key] = to.trim().slice(0, 60);
+    }
+  }
+
+  return {
+    id: slugify(name),
+    name,
+    packVersion: typeof data.packVersion === 'string' ? data.packVersion.slice(0, 20) : '',
+    rules,
+    dictionary: strings(data.dictionary, 100),
+    disabledRules: strings(data.disabledRules, 100),
+    spellings,
+  };
+}
+
+/** Build the layers the service worker reads on every lint. */
+function compileAll() {
+  const rules = [];
+  const words = new Set();
+  const disabled = new Set();
+  const spellings = {};
+
+  for (const pack of packs) {
+    for (const rule of pack.rules) {
+      try {
+        rules.push(compileUserRule({ ...rule, id: `pack:${pack.id}:${rule.id}` }));
+      } catch (err) {
+        console.warn(`Writing Helper: skipping rule in style pack "${pack.name}"`, err.message);
+      }
+    }
+    pack.dictionary.forEach(w => words.add(w));
+    pack.disabledRules.forEach(id => disabled.add(id));
+    Object.assign(spellings, pack.spellings); // later packs win
+  }
+
+  const spellingRule = compileSpellingRule(spellings);
+  if (spellingRule) rules.push(spellingRule);
+
+  compiled = { rules, words: [...words], disabled: [...disabled], spellings };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One RULES entry covering every preferred spelling, so words Harper
+ * accepts ("colour") are still flagged when a pack prefers another form.
+ */
+function compileSpellingRule(spellings) {
+  const keys = Object.keys(spellings).sort((a, b) => b.length - a.length);
+  if (keys.length === 0) return null;
+
+  const preferred = (m) => {
+    const fixed = spellings[m[0].toLowerCase()];
+    if (m[0][0] === m[0][0].toUpperCase()) return fixed[0].toUpperCase() + fixed.slice(1);
+    return fixed;
+  };
+  return {
+    id: 'pack:spellings',
+    regex: new RegExp(`\\b(?:${keys.map(escapeRegExp).join('|')})\\b`, 'gi'),
+    match: 0,
+    message: (m) => `Your style guide prefers "${preferred(m)}".`,
+    suggest: (m) => [preferred(m)],
+    kind: 'Spelling',
+    pretty: 'Preferred Spelling',
+    category: 'spelling',
+    confidence: CONFIDENCE.high,
+  };
+}
+
+/**
+ * Stored packs, checked again: storage may hold packs saved by an older
+ * build or edited by hand. A pack that no longer validates is dropped.
+ */
+function sanitizeStored(list) {
+  if (!Array.isArray(list)) return [];
+  const valid = [];
+  for (const stored of list) {
+    try {
+      valid.push(normalizeStylePack({ ...stored, format: STYLE_PACK_FORMAT, version: STYLE_PACK_VERSION }));
+    } catch (err) {
+      console.warn(`Writing Helper: dropping stored style pack "${stored?.name}"`, err.message);
+    }
+  }
+  return valid;
+}
+
+export async function loadStylePacks() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  packs = sanitizeStored(result[STORAGE_KEY]);
+  compileAll();
+}
+
+/** Installed packs, summarized for the options page. */
+export function getStylePacks() {
+  return packs.map(p => ({
+    id: p.id,
+    name: p.name,
+    packVersion: p.packVersion,
+    counts: {
+      rules: p.rules.length,
+      dictionary: p.dictionary.length,
+      disabledRules: p.disabledRules.length,
+      spellings: Object.keys(p.spellings).length,
+    },
+  }));
+}
+
+/**
+ * Install a pack, replacing an installed pack of the same name.
+ * Returns { pack, replaced } where `replaced` is the old packVersion (or null).
+ */
+export async function installStylePack(data) {
+  const pack = normalizeStylePack(data);
+  const existing = packs.find(p => p.id === pack.id);
+  packs = existing ? packs.map(p => (p.id === pack.id ? pack : p)) : [...packs, pack];
+  compileAll();
+  await chrome.storage.local.set({ [STORAGE_KEY]: packs });
+  return { pack, replaced: existing ? existing.packVersion || '' : null };
+}
+
+export async function removeStylePack(id) {
+  packs = packs.filter(p => p.id !== id);
+  compileAll();
+  await chrome.storage.local.set({ [STORAGE_KEY]: packs });
+}
+
+/** Compiled pack rules (including preferred spellings) for runCustomRules. */
+export function getPackRules() {
+  return compiled.rules;
+}
+
+/** Dictionary words contributed by packs. */
+export function getPackWords() {
+  return compiled.words;
+}
+
+/** Rule ids (custom rules or Harper rules) that packs switch off by default. */
+export function getPackDisabledRules() {
+  return compiled.disabled;
+}
+
+/** Preferred spellings from packs: lowercase word → preferred form. */
+export function getPackSpellings() {
+  return compiled.spellings;
+}
+
+/** Register a callback for when installed packs change. */
+export function onStylePacksChanged(callback) {
+  listeners.push(callback);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[STORAGE_KEY]) return;
+  packs = sanitizeStored(changes[STORAGE_KEY].newValue);
+  compileAll();
+  listeners.forEach(cb => cb(packs));
+});
@@ -0,0 +1,189 @@
+/**
+ * Offline thesaurus, in two parts:
+ *   - ENTRIES below: synonyms for the words writers lean on most, always
+ *     at hand for the repetition checks (repetition.js)
+ *   - thesaurus.txt: a WordNet-style list of ~550 common words, shipped
+ *     gzipped and fetched the first time someone asks for synonyms (the
+ *     `synonyms` message behind the selection toolbar's Synonyms button)
+ *
+ * Both use `word|pos:synonym,synonym;pos:…`, senses and synonyms best first.
+ * Parsed on first lookup.
+ */
+
+const ENTRIES = `
+very|adv:extremely,highly,truly,remarkably,exceptionally
+really|adv:truly,genuinely,actually,indeed
+just|adv:only,simply,merely,barely
+quite|adv:fairly,rather,somewhat,pretty
+actually|adv:in fact,really,in reality
+basically|adv:essentially,fundamentally,mainly
+totally|adv:completely,entirely,fully,wholly
+simply|adv:merely,only,just,plainly
+definitely|adv:certainly,surely,undoubtedly,clearly
+literally|adv:exactly,precisely,actually
+good|adj:great,fine,excellent,solid,sound
+great|adj:excellent,superb,wonderful,outstanding
+bad|adj:poor,weak,faulty,unpleasant
+big|adj:large,huge,major,substantial,sizable
+small|adj:little,minor,slight,modest,compact
+important|adj:significant,key,crucial,essential,vital
+interesting|adj:intriguing,engaging,fascinating,compelling
+nice|adj:pleasant,kind,lovely,agreeable
+easy|adj:simple,straightforward,effortless
+hard|adj:difficult,tough,demanding,challenging;adv:diligently,strenuously,intently
+different|adj:distinct,separate,various,other
+new|adj:recent,fresh,latest,modern
+many|adj:numerous,several,countless,plenty of
+amazing|adj:remarkable,astonishing,incredible,impressive
+awesome|adj:impressive,excellent,outstanding,superb
+clear|adj:obvious,plain,evident,apparent;verb:empty,remove,tidy
+thing|noun:item,object,matter,issue,aspect
+things|noun:items,objects,matters,issues,aspects
+stuff|noun:material,items,things,belongings
+lot|noun:deal,great deal,plenty,many
+way|noun:method,approach,manner,means
+problem|noun:issue,difficulty,challenge,obstacle
+problems|noun:issues,difficulties,challenges,obstacles
+idea|noun:concept,notion,thought,plan
+help|verb:assist,support,aid;noun:assistance,support,aid
+use|verb:employ,apply,utilize;noun:purpose,function,application,value
+make|verb:create,build,produce,form
+get|verb:obtain,receive,gain,acquire
+got|verb:obtained,received,gained,acquired
+show|verb:demonstrate,reveal,display,present;noun:performance,display,exhibition
+shows|verb:demonstrates,reveals,displays,presents;noun:performances,displays,exhibitions
+need|verb:require,want,call for;noun:requirement,necessity,demand
+needs|verb:requires,wants,calls for;noun:requirements,necessities,demands
+think|verb:believe,consider,suppose,feel
+start|verb:begin,launch,initiate;noun:beginning,outset,launch
+change|verb:alter,modify,adjust,revise;noun:shift,alteration,modification
+look|verb:appear,seem;noun:glance,view
+also|adv:additionally,too,as well,furthermore
+however|adv:still,nevertheless,even so,yet
+but|conj:yet,however,still,though
+so|conj:therefore,thus,as a result,hence;adv:very,extremely,really
+then|adv:next,afterward,later,subsequently
+and|conj:also,plus,as well as
+because|conj:since,as,given that
+`;
+
+const BUNDLED_PATH = 'background/thesaurus.txt.gz';
+
+let index = null; // word -> [{ pos, synonyms }], from ENTRIES
+let bundled = null; // Promise of the same, from thesaurus.txt
+
+function parse(text) {
+  const map = new Map();
+  for (const line of text.split('\n')) {
+    const [word, senses] = line.trim().split('|');
+    if (!word || !senses) continue;
+    map.set(word, senses.split(';').map(sense => {
+      const [pos, list] = sense.split(':');
+      return { pos, synonyms: list.split(',') };
+    }));
+  }
+  return map;
+}
+
+function load() {
+  if (!index) index = parse(ENTRIES);
+  return index;
+}
+
+async function fetchBundled() {
+  const response = await fetch(chrome.runtime.getURL(BUNDLED_PATH));
+  const stream = response.body.pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+/**
+ * Load the bundled thesaurus (once). `readText` stands in for the fetch in
+ * tests. If it can't be read, lookups fall back to ENTRIES alone.
+ */
+export function loadThesaurus(readText = fetchBundled) {
+  if (!bundled) {
+    bundled = readText().then(parse).catch(err => {
+      console.warn('Writing Helper: failed to load thesaurus', err);
+      bundled = null; // try again next time
+      return new Map();
+    });
+  }
+  return bundled;
+}
+
+/** "idea" -> "ideas", "try" -> "tries", "reach" -> "reaches" */
+function addS(word) {
+  if (word === 'be') return 'is';
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(?:s|x|z|ch|sh)$/.test(word)) return word + 'es';
+  return word + 's';
+}
+
+/** Headwords "ideas", "tries" or "reaches" might be the -s form of. */
+function stemsOf(word) {
+  const stems = [];
+  if (word.endsWith('ies')) stems.push(word.slice(0, -3) + 'y');
+  if (/(?:s|x|z|ch|sh)es$/.test(word)) stems.push(word.slice(0, -2));
+  if (/[^s]s$/.test(word)) stems.push(word.slice(0, -1));
+  return stems;
+}
+
+/**
+ * Senses of `word` from the given indexes, same part of speech merged,
+ * earlier indexes ranked first. A plural noun or third-person verb that
+ * isn't a headword itself is looked up by its stem, and the synonyms are
+ * given the -s back (nouns that would need it on a later word are left out).
+ */
+function sensesIn(indexes, word) {
+  const key = word.toLowerCase();
+  let found = indexes.flatMap(map => map.get(key) || []);
+  if (found.length === 0) {
+    for (const stem of stemsOf(key)) {
+      found = indexes.flatMap(map => map.get(stem) || [])
+        .filter(s => s.pos === 'noun' || s.pos === 'verb')
+        .map(s => ({
+          pos: s.pos,
+          synonyms: s.pos === 'verb'
+            ? s.synonyms.map(syn => syn.replace(/^\S+/, addS))
+            : s.synonyms.filter(syn => !syn.includes(' ')).map(addS),
+        }));
+      if (found.length > 0) break;
+    }
+  }
+
+  const byPos = new Map(); // pos -> Set of synonyms, in rank order
+  for (const { pos, synonyms } of found) {
+    if (!byPos.has(pos)) byPos.set(pos, new Set());
+    for (const syn of synonyms) if (syn !== key) byPos.get(pos).add(syn);
+  }
+  return [...byPos].map(([pos, synonyms]) => ({ pos, synonyms: [...synonyms] }))
+    .filter(s => s.synonyms.length > 0);
+}
+
+/** True if `word` (any case) is in ENTRIES. */
+export function hasSynonyms(word) {
+  return load().has(word.toLowerCase());
+}
+
+/**
+ * Synonyms for an overused `word` (any case) from ENTRIES, best first, from
+ * the one sense whose part of speech is in `possible` (all of them when it's
+ * omitted). [] when that leaves no sense or more than one part of speech:
+ * "use" could be a noun or a verb, and the wrong guess is worse than no
+ * suggestion. Synchronous, so the lint pass never waits on the fetch.
+ */
+export function synonymsFor(word, possible = null) {
+  const senses = (load().get(word.toLowerCase()) || [])
+    .filter(s => !possible || possible.includes(s.pos));
+  if (new Set(senses.map(s => s.pos)).size !== 1) return [];
+  return senses.flatMap(s => s.synonyms);
+}
+
+/**
+ * Synonyms for `word` grouped by part of speech, for the synonym picker:
+ * [{ pos: 'noun' | 'verb' | 'adj' | 'adv' | 'conj', synonyms }], most
+ * common sense first. Lowercase; the caller matches the word's case.
+ */
+export async function lookupSynonyms(word) {
+  return sensesIn([load(), await loadThesaurus()], word);
+}
@@ -0,0 +1,104 @@
+/**
+ * Personal dictionary for the service worker.
+ *
+ * Two word lists, both persisted in chrome.storage.local:
+ *   words   – "Add to dictionary": fed into Harper's dictionary so the word is
+ *             no longer a spelling error, and skipped by runCustomRules.
+ *   ignored – "Ignore everywhere": spelling lints whose problem text matches
+ *             are dropped. Grammar and style lints over the same words
+ *             still show.
+ */
+
+const STORAGE_KEY = 'userDictionary';
+
+const words = new Set();
+const ignored = new Set(); // lowercase
+
+/** Trim a user-supplied entry; returns '' for anything unusable. */
+function normalizeEntry(entry) {
+  if (typeof entry !== 'string') return '';
+  return entry.trim().replace(/\s+/g, ' ').slice(0, 100);
+}
+
+export async function loadDictionary() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  const saved = result[STORAGE_KEY] || {};
+  words.clear();
+  ignored.clear();
+  for (const w of saved.words || []) {
+    const n = normalizeEntry(w);
+    if (n) words.add(n);
+  }
+  for (const w of saved.ignored || []) {
+    const n = normalizeEntry(w).toLowerCase();
+    if (n) ignored.add(n);
+  }
+}
+
+async function saveDictionary() {
+  await chrome.storage.local.set({ [STORAGE_KEY]: getDictionary() });
+}
+
+/** Snapshot of both lists, sorted for display. */
+export function getDictionary() {
+  const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+  return {
+    words: [...words].sort(byName),
+    ignored: [...ignored].sort(byName),
+  };
+}
+
+/**
+ * Lowercased dictionary words, in the shape runCustomRules expects.
+ * `extraWords` (e.g. from style packs) are merged in.
+ */
+export function getDictionaryWordSet(extraWords = []) {
+  return new Set([...words, ...extraWords].map(w => w.toLowerCase()));
+}
+
+export async function addWord(word) {
+  const n = normalizeEntry(word);
+  if (!n) return false;
+  words.add(n);
+  await saveDictionary();
+  return true;
+}
+
+export async function ignoreEverywhere(text) {
+  const n = normalizeEntry(text).toLowerCase();
+  if (!n) return false;
+  ignored.add(n);
+  await saveDictionary();
+  return true;
+}
+
+/** Replace both lists wholesale (popup edits and imports). */
+export async function setDictionary(next) {
+  words.clear();
+  ignored.clear();
+  for (const w of next.words || []) {
+    const n = normalizeEntry(w);
+    if (n) words.add(n);
+  }
+  for (const w of next.ignored || []) {
+    const n = normalizeEntry(w).toLowerCase();
+    if (n) ignored.add(n);
+  }
+  await saveDictionary();
+}
+
+/**
+ * Push the dictionary (plus any `extraWords`) into Harper.
+ * Harper has no single-word removal, so reload all.
+ */
+export async function applyDictionaryToLinter(linter, extraWords = []) {
+  await linter.clearWords();
+  const all = [...new Set([...words, ...extraWords])];
+  if (all.length > 0) await linter.importWords(all);
+}
+
+/** Drop spelling lints the user asked to ignore everywhere. */
+export function filterIgnoredLints(lints) {
+  if (ignored.size === 0) return lints;
+  return lints.filter(l => l.category !== 'spelling' || !ignored.has((l.problemText || '').trim().toLowerCase()));
+}
@@ -0,0 +1,85 @@
+/**
+ * User-defined pattern rules (house style), stored in chrome.storage.local.
+ *
+ * Each rule is plain data written on the options page:
+ *   { id, pattern, replacement, message, category, wholeWord, matchCase, enabled }
+ * and compiled into a RULES entry by compileUserRule in custom-rules.js.
+ */
+
+import { compileUserRule, USER_RULE_CATEGORIES } from './custom-rules.js';
+
+const STORAGE_KEY = 'userRules';
+export const MAX_RULES = 200;
+
+let rules = [];
+let compiled = [];
+const listeners = [];
+
+/**
+ * A stored or imported rule with known fields and length limits, or null
+ * when it has no pattern. Style packs use it for their rules too.
+ */
+export function sanitizeUserRule(raw, index) {
+  if (!raw || typeof raw !== 'object' || typeof raw.pattern !== 'string') return null;
+  const str = (v, max) => (typeof v === 'string' ? v.slice(0, max) : '');
+  return {
+    id: str(raw.id, 40) || `user-${index}`,
+    pattern: str(raw.pattern, 500),
+    replacement: str(raw.replacement, 200),
+    message: str(raw.message, 300),
+    category: USER_RULE_CATEGORIES.includes(raw.category) ? raw.category : 'style',
+    wholeWord: raw.wholeWord !== false,
+    matchCase: raw.matchCase === true,
+    enabled: raw.enabled !== false,
+  };
+}
+
+function sanitize(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.slice(0, MAX_RULES).map(sanitizeUserRule).filter(Boolean);
+}
+
+/** Compile once per change; a rule that no longer compiles is skipped, not fatal. */
+function compileAll() {
+  compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push(compileUserRule(rule));
+    } catch (err) {
+      console.warn(`Writing Helper: skipping user rule "${rule.pattern}"`, err.message);
+    }
+  }
+}
+
+export async function loadUserRules() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  rules = sanitize(result[STORAGE_KEY]);
+  compileAll();
+}
+
+export function getUserRules() {
+  return rules;
+}
+
+export async function setUserRules(next) {
+  rules = sanitize(next);
+  compileAll();
+  await chrome.storage.local.set({ [STORAGE_KEY]: rules });
+}
+
+/** Compiled rules, in the shape runCustomRules expects for options.userRules. */
+export function getCompiledUserRules() {
+  return compiled;
+}
+
+/** Register a callback for when the rules change (here or in another context). */
+export function onUserRulesChanged(callback) {
+  listeners.push(callback);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[STORAGE_KEY]) return;
+  rules = sanitize(changes[STORAGE_KEY].newValue);
+  compileAll();
+  listeners.forEach(cb => cb(rules));
+});
@@ -0,0 +1,33 @@
+/**
+ * Word-level helpers shared by the service worker's rules and the content
+ * scripts (the Document tab, the synonym picker). Kept free of imports so
+ * the content bundle can use them without pulling in the rule tables.
+ */
+
+/** Approximate syllable count: vowel groups, less a silent final "e". */
+export function countSyllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const trimmed = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+/** `fixed` in the case of `original`: "COLOR" -> "COLOUR", "Color" -> "Colour". */
+export function matchCase(fixed, original) {
+  if (!fixed || !original || !/[a-z]/i.test(original)) return fixed;
+  if (original === original.toUpperCase() && original.length > 1) return fixed.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return fixed[0].toUpperCase() + fixed.slice(1);
+  return fixed;
+}
+
+// Function words: repeating them is just English, so neither the repetition
+// lints nor the Document tab's most repeated words count them
+export const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+  'out', 'has', 'him', 'his', 'how', 'its', 'may', 'she', 'who', 'did', 'that', 'with', 'have', 'this',
+  'will', 'your', 'from', 'they', 'been', 'were', 'what', 'when', 'which', 'their', 'there', 'would',
+  'could', 'should', 'about', 'into', 'than', 'then', 'them', 'these', 'those', 'some', 'each', 'does',
+  'because', 'here', 'both', 'also', 'being', 'where', 'while', 'after', 'before', 'over', 'such', 'other',
+  "it's", "don't", "i'm", "we're", "you're", "that's",
+]);
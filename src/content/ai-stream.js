@@ -0,0 +1,52 @@
+/**
+ * Stream an AI request (ai-improve / ai-rephrase / ai-draft message) through
+ * the service worker's 'ai-stream' port.
+ *
+ * onChunk(textSoFar) is called as tokens arrive. Returns { result, cancel }:
+ * `result` resolves to { status, text, changes, confidence } where status is
+ * 'done', 'cancelled', 'unavailable', or 'failed'; `changes` (the model's
+ * list of { original, replacement, reason }) and `confidence` (0–1) are only
+ * set when done. cancel() disconnects the port, which aborts the
+ * model session in the offscreen document.
+ */
+export function streamAI(request, onChunk) {
+  let settle;
+  const result = new Promise(resolve => { settle = resolve; });
+  let finished = false;
+  let text = '';
+
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: 'ai-stream' });
+  } catch (_) {
+    // Extension was reloaded — this content script is orphaned
+    settle({ status: 'unavailable', text: null });
+    return { result, cancel: () => {} };
+  }
+
+  const finish = (status, finalText = null, details = {}) => {
+    if (finished) return;
+    finished = true;
+    try { port.disconnect(); } catch (_) {}
+    settle({ status, text: finalText, changes: details.changes || [], confidence: details.confidence ?? null });
+  };
+
+  port.onMessage.addListener((message) => {
+    if (finished) return;
+    if (message.type === 'chunk') {
+      text = message.text;
+      onChunk?.(text);
+    } else if (message.type === 'done') {
+      finish(message.text ? 'done' : 'failed', message.text || null, message);
+    } else if (message.type === 'error') {
+      finish(message.reason === 'failed' ? 'failed' : 'unavailable');
+    }
+  });
+
+  // The service worker hung up without a result (offscreen doc closed, etc.)
+  port.onDisconnect.addListener(() => finish(text ? 'failed' : 'unavailable'));
+
+  port.postMessage({ type: 'start', request });
+
+  return { result, cancel: () => finish('cancelled', text || null) };
+}
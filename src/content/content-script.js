@@ -1,34 +1,153 @@
-import { LinterClient } from './linter-client.js';
+import { LinterClient, isTabFixable } from './linter-client.js';
 import { SuggestionPopup } from './suggestion-popup.js';
 import { OverlayManager } from './overlay-manager.js';
 import { ContentEditableHandler } from './contenteditable-handler.js';
-import { TabHint } from './fix-pill.js';
+import { TabHint, FixToast } from './fix-pill.js';
+import { FixHistory } from './fix-history.js';
+import { Dismissals } from './dismissals.js';
+import { fieldLanguage } from './language.js';
 import { ElementDetector, CE_SELECTOR } from './element-detector.js';
 import { DraftModal } from './draft-modal.js';
+import { computeDocumentStats } from './document-stats.js';
+import { matchCase } from '../background/words.js';
+import { streamAI } from './ai-stream.js';
 
 const linterClient = new LinterClient();
 const suggestionPopup = new SuggestionPopup();
 const overlayManager = new OverlayManager(linterClient, suggestionPopup);
 const ceHandler = new ContentEditableHandler(linterClient, suggestionPopup);
 const tabHint = new TabHint();
+const fixToast = new FixToast(tabHint);
+const fixHistory = new FixHistory();
+const dismissals = new Dismissals();
 const detector = new ElementDetector(overlayManager, ceHandler);
 
 // ── Extension enabled state ──────────────────────────────────────────
 let extensionEnabled = true;
 
+// Per-site profile: 'off' | 'spelling' | 'grammar' | 'all' (see site-profiles.js)
+let siteProfile = 'all';
+
 // Query initial state
 chrome.runtime.sendMessage({ type: 'get-enabled' }).then(r => {
   if (r && r.enabled === false) extensionEnabled = false;
 }).catch(() => {});
 
+function loadSiteProfile() {
+  return chrome.runtime.sendMessage({ type: 'get-site-profile' }).then(r => {
+    if (r?.profile) siteProfile = r.profile;
+  }).catch(() => {});
+}
+loadSiteProfile();
+
+/** AI features (sentence hints, toolbar, draft) only run on 'all' sites. */
+function isAIAllowed() {
+  return extensionEnabled && siteProfile === 'all';
+}
+overlayManager.isAIEnabled = isAIAllowed;
+ceHandler.isAIEnabled = isAIAllowed;
+
+// "Safe fixes only": Tab fix-all skips anything below high confidence.
+let safeFixesOnly = false;
+function loadFixSettings() {
+  return chrome.runtime.sendMessage({ type: 'get-fix-settings' }).then(r => {
+    safeFixesOnly = r?.safeFixesOnly === true;
+  }).catch(() => {});
+}
+loadFixSettings();
+overlayManager.isSafeFixesOnly = () => safeFixesOnly;
+ceHandler.isSafeFixesOnly = () => safeFixesOnly;
+
+// Dismissed lints are dropped before rendering, so Tab fix-all skips them too
+const filterDismissed = (element, text, lints) => dismissals.filter(element, text, lints);
+overlayManager.filterLints = filterDismissed;
+ceHandler.filterLints = filterDismissed;
+dismissals.load().then(refreshAllFields);
+
+// Gemini Nano status from the service worker: { status, progress }, where
+// status is 'unavailable' | 'downloadable' | 'downloading' | 'ready'.
+// Fetched when the first field is tracked; null until then.
+let aiStatus = null;
+
+function loadAIStatus() {
+  return chrome.runtime.sendMessage({ type: 'ai-status' }).then(r => {
+    if (r?.status) aiStatus = r;
+  }).catch(() => {});
+}
+
+/**
+ * Ask again while the model isn't ready and call `onChange` if the reason
+ * the AI buttons are disabled changed. The popup drives the download and
+ * may close before it reports that the model is ready.
+ */
+function refreshAIStatus(onChange) {
+  if (aiStatus?.status === 'ready') return;
+  const before = aiUnavailableReason();
+  loadAIStatus().then(() => {
+    if (aiUnavailableReason() !== before) onChange();
+  });
+}
+
+/** Why AI buttons are disabled, or '' when the model is ready (or not yet known). */
+function aiUnavailableReason() {
+  switch (aiStatus?.status) {
+    case 'unavailable':
+      return 'Chrome\'s built-in AI isn\'t available on this device.';
+    case 'downloadable':
+      return 'Gemini Nano isn\'t downloaded yet. Open the Writing Helper popup to download it.';
+    case 'downloading': {
+      const percent = aiStatus.progress != null ? ` (${Math.round(aiStatus.progress * 100)}%)` : '';
+      return `Gemini Nano is still downloading${percent}.`;
+    }
+    default:
+      return '';
+  }
+}
+
 // Listen for toggle changes from popup
 chrome.runtime.onMessage.addListener((message) => {
   if (message.type === 'enabled-changed') {
     extensionEnabled = message.enabled;
     if (!extensionEnabled) tabHint.hide();
+  } else if (message.type === 'dictionary-changed') {
+    recheckAllFields();
+  } else if (message.type === 'rule-settings-changed') {
+    loadFixSettings().then(recheckAllFields);
+  } else if (message.type === 'ai-lints-update') {
+    // Phase 2: AI proofreading results for a paragraph linted a moment ago
+    const { language, markup, masks } = message;
+    linterClient.addLints(message.text, message.lints, { language, markup, masks });
+    overlayManager.refreshParagraph(message.text);
+    ceHandler.refreshParagraph(message.text);
+  } else if (message.type === 'dismissals-changed') {
+    dismissals.load().then(refreshAllFields);
+  } else if (message.type === 'ai-status-changed') {
+    loadAIStatus();
+  } else if (message.type === 'site-profile-changed') {
+    loadSiteProfile().then(() => {
+      if (siteProfile === 'off') {
+        tabHint.hide();
+        hideAIToolbar();
+        hideDraftButton();
+      }
+      recheckAllFields();
+    });
   }
 });
 
+/** Re-render every tracked field from the lint cache (dismissals changed). */
+function refreshAllFields() {
+  for (const element of overlayManager.overlays.keys()) overlayManager.runCheck(element);
+  for (const element of ceHandler.tracked.keys()) ceHandler.runCheck(element);
+}
+
+/** Drop cached lints and re-lint every tracked field (dictionary or rule settings changed). */
+function recheckAllFields() {
+  linterClient.clearCache();
+  for (const element of overlayManager.overlays.keys()) overlayManager.scheduleCheck(element);
+  for (const element of ceHandler.tracked.keys()) ceHandler.scheduleCheck(element);
+}
+
 // Track which elements the user has actually typed in.
 const userHasTypedIn = new WeakSet();
 
@@ -39,11 +158,78 @@ document.addEventListener('input', (e) => {
     const ceParent = el.closest?.(CE_SELECTOR);
     if (ceParent) userHasTypedIn.add(ceParent);
   }
+  // Typing after a fix hands Ctrl+Z back to the browser
+  if (el && !fixHistory.applying) {
+    const tracked = el.closest?.(CE_SELECTOR) || el;
+    fixHistory.noteUserEdit(tracked);
+    if (fixToast.visible) fixToast.hide();
+  }
   // Hide the "Tab to fix" hint while user is actively typing.
   // It will reappear once linting finishes (after the 300ms debounce).
   tabHint.hide();
 }, true);
 
+// ── Undo / redo for applied fixes ────────────────────────────────────
+function handlerFor(element) {
+  return overlayManager.overlays.has(element) ? overlayManager : ceHandler;
+}
+
+function fixIO(element) {
+  const handler = handlerFor(element);
+  return {
+    getText: () => handler.getText(element),
+    replace: (start, end, text) => handler.replaceText(element, start, end, text),
+  };
+}
+
+function onFixesApplied(element, edits) {
+  if (edits.length === 0) return;
+  fixHistory.record(element, edits);
+  fixToast.show(element, edits.length);
+}
+overlayManager.onFixesApplied = onFixesApplied;
+ceHandler.onFixesApplied = onFixesApplied;
+
+function undoFixes(element) {
+  fixToast.hide();
+  tabHint.hide();
+  if (fixHistory.undo(element, fixIO(element)) === 0) return false;
+  handlerFor(element).scheduleCheck(element);
+  return true;
+}
+
+function redoFixes(element) {
+  fixToast.hide();
+  tabHint.hide();
+  if (fixHistory.redo(element, fixIO(element)) === 0) return false;
+  handlerFor(element).scheduleCheck(element);
+  return true;
+}
+
+fixToast.onUndo = undoFixes;
+
+// Ctrl/Cmd+Z right after a fix undoes the whole fix; once the user types
+// again it's the browser's undo as usual.
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  const isUndo = key === 'z' && !e.shiftKey;
+  const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+  if (!isUndo && !isRedo) return;
+
+  const target = getActiveTrackedElement();
+  if (!target || !target.element.contains(document.activeElement)) return;
+  if (!fixHistory.isFresh(target.element)) return;
+  if (isUndo && !fixHistory.canUndo(target.element)) return;
+  if (isRedo && !fixHistory.canRedo(target.element)) return;
+
+  const done = isUndo ? undoFixes(target.element) : redoFixes(target.element);
+  if (done) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+}, true);
+
 // Wire up suggestion popup apply callback
 suggestionPopup.onApply = (element, lint, suggestion) => {
   tabHint.hide();
@@ -54,9 +240,57 @@ suggestionPopup.onApply = (element, lint, suggestion) => {
   }
 };
 
+// Personal dictionary actions. The service worker broadcasts 'dictionary-changed'
+// to every tab afterwards, which triggers the re-check.
+suggestionPopup.onAddToDictionary = (element, lint) => {
+  chrome.runtime.sendMessage({ type: 'add-to-dictionary', word: lint.problemText.trim() }).catch(() => {});
+};
+
+suggestionPopup.onDismiss = (element, lint, scope) => {
+  const handler = handlerFor(element);
+  dismissals.dismiss(element, handler.getText(element), lint, scope);
+  handler.runCheck(element);
+};
+
+suggestionPopup.onIgnoreEverywhere = (element, lint) => {
+  chrome.runtime.sendMessage({ type: 'ignore-everywhere', text: lint.problemText.trim() }).catch(() => {});
+};
+
+// Lints with no fixed rewrite (hard-to-read sentences, passive voice) offer
+// an AI one, streamed into the same popup
+suggestionPopup.onAIRewrite = (element, lint, anchorEl) => {
+  const tracked = findTrackedElementFromNode(element);
+  if (!tracked) return;
+  const sentence = sentenceAround(handlerFor(element).getText(element), lint.span.start, lint.span.end);
+  if (sentence.text) {
+    handleAIAction('rewrite', lint.aiRewrite, sentence.text, tracked, anchorEl, sentence);
+  } else {
+    handleAIAction('rewrite', lint.aiRewrite, lint.problemText, tracked, anchorEl, lint.span);
+  }
+};
+
+/** The sentence of `text` containing [start, end), trimmed, as { start, end, text }. */
+function sentenceAround(text, start, end) {
+  const from = Math.max(text.lastIndexOf('\n', start - 1), ...['.', '!', '?'].map(p => text.lastIndexOf(p + ' ', start - 1))) + 1;
+  const stop = text.slice(end).search(/[.!?](?=\s|$)|\n/);
+  const to = stop === -1 ? text.length : end + stop + (text[end + stop] === '\n' ? 0 : 1);
+  const raw = text.slice(from, to);
+  const lead = raw.length - raw.trimStart().length;
+  const trimmed = raw.trim();
+  return { start: from + lead, end: from + lead + trimmed.length, text: trimmed };
+}
+
+suggestionPopup.aiUnavailableReason = () => aiUnavailableReason();
+
+/** Share a field's lints with the service worker for the popup and badge. */
+function reportLints(lints) {
+  chrome.runtime.sendMessage({ type: 'report-lints', lints }).catch(() => {});
+}
+
 // When lints change in overlay (textarea/input)
 overlayManager.onLintsChanged = (element, lints) => {
-  const fixable = lints.filter(l => l.suggestions.length > 0);
+  reportLints(lints);
+  const fixable = lints.filter(l => isTabFixable(l, safeFixesOnly));
 
   if (document.activeElement !== element) return;
   if (!userHasTypedIn.has(element)) return;
@@ -70,7 +304,8 @@ overlayManager.onLintsChanged = (element, lints) => {
 
 // When lints change in contenteditable
 ceHandler.onLintsChanged = (element, lints) => {
-  const fixable = lints.filter(l => l.suggestions.length > 0);
+  reportLints(lints);
+  const fixable = lints.filter(l => isTabFixable(l, safeFixesOnly));
 
   const active = document.activeElement;
   const isFocused = active === element || element.contains(active);
@@ -113,10 +348,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.type === 'fix-single') {
     applyFixByIndex(message.lintIndex, message.suggestionIndex || 0);
     sendResponse({ ok: true });
+  } else if (message.type === 'navigate-issue') {
+    navigateIssue(message.direction);
+  } else if (message.type === 'get-document-stats') {
+    // Frames without a field stay silent, so the frame that has one answers
+    const stats = documentStats();
+    if (stats) sendResponse(stats);
+  } else if (message.type === 'reveal-range') {
+    revealRange(message);
   }
   return false;
 });
 
+// ── Document statistics (popup's Document tab) ───────────────────────
+// The field the popup last asked about; `token` tells frames apart when
+// the popup asks one of them to reveal a range.
+let statsField = null; // { element, token }
+
+function documentStats() {
+  let target = getActiveTrackedElement();
+  if (!target) {
+    const element = [...overlayManager.overlays.keys(), ...ceHandler.tracked.keys()]
+      .find(el => handlerFor(el).getText(el)?.trim());
+    if (element) target = { element };
+  }
+  if (!target) return null;
+  const text = handlerFor(target.element).getText(target.element) || '';
+  if (!text.trim()) return null;
+  statsField = { element: target.element, token: crypto.randomUUID() };
+  return { token: statsField.token, stats: computeDocumentStats(text) };
+}
+
+function revealRange({ token, start, end }) {
+  if (!statsField || statsField.token !== token || !statsField.element.isConnected) return;
+  handlerFor(statsField.element).selectRange(statsField.element, start, end);
+}
+
 function getActiveTrackedElement() {
   const active = document.activeElement;
 
@@ -179,10 +446,64 @@ function applyFixByIndex(lintIndex, suggestionIndex = 0) {
   handler.applySingleFix(target.element, lint, suggestion);
 }
 
+// ── Keyboard issue navigation (next-issue / previous-issue commands) ──
+let lastJump = null; // { element, start } of the lint we last jumped to
+
+/** The field being navigated: the focused one, or the one the open popup belongs to. */
+function getNavigationTarget() {
+  if (!document.hasFocus()) return null;
+  if (suggestionPopup.hasFocus() && suggestionPopup.currentElement) {
+    const element = suggestionPopup.currentElement;
+    return { element, handler: handlerFor(element) };
+  }
+  const target = getActiveTrackedElement();
+  if (!target || !target.element.contains(document.activeElement)) return null;
+  return { element: target.element, handler: target.type === 'overlay' ? overlayManager : ceHandler };
+}
+
+function navigateIssue(direction) {
+  const target = getNavigationTarget();
+  if (!target) return;
+  const { element, handler } = target;
+  const state = handler === overlayManager ? overlayManager.overlays.get(element) : ceHandler.tracked.get(element);
+  const lints = [...(state?.lints || [])].sort((a, b) => a.span.start - b.span.start);
+  if (lints.length === 0) {
+    suggestionPopup.hide();
+    suggestionPopup.announce('No issues in this field.');
+    return;
+  }
+
+  const from = suggestionPopup.hasFocus() && lastJump?.element === element
+    ? lastJump.start
+    : handler.getCaret(element);
+  // Starting on the lint we just showed means "move past it"
+  const onLastJump = lastJump?.element === element && lastJump.start === from;
+
+  let index;
+  if (direction > 0) {
+    index = lints.findIndex(l => (onLastJump ? l.span.start > from : l.span.start >= from));
+    if (index === -1) index = 0;
+  } else {
+    index = lints.findLastIndex(l => l.span.start < from);
+    if (index === -1) index = lints.length - 1;
+  }
+
+  const lint = lints[index];
+  lastJump = { element, start: lint.span.start };
+  tabHint.hide();
+  suggestionPopup.hide();
+  handler.setCaret(element, lint.span.start);
+  requestAnimationFrame(() => handler.showLintPopup(element, lint, {
+    keyboard: true,
+    position: `Issue ${index + 1} of ${lints.length}`,
+  }));
+}
+
 // Tab key handler — intercept in capture phase before browser focus navigation.
 // Only prevent default if applyFixAll actually fixes something in the current paragraph.
 document.addEventListener('keydown', (e) => {
   if (e.key !== 'Tab') return;
+  if (suggestionPopup.hasFocus()) return; // the popup keeps Tab for its own buttons
 
   const target = getActiveTrackedElement();
   if (!target) return;
@@ -195,7 +516,7 @@ document.addEventListener('keydown', (e) => {
   }
 
   if (!state || state.lints.length === 0) return;
-  if (!state.lints.some(l => l.suggestions.length > 0)) return;
+  if (!state.lints.some(l => isTabFixable(l, safeFixesOnly))) return;
 
   // Try to apply fixes — only consume Tab if something was actually fixed
   tabHint.hide();
@@ -233,6 +554,7 @@ document.addEventListener('spelling-tab-sentence-click', async (e) => {
       const result = await chrome.runtime.sendMessage({
         type: 'ai-improve',
         text: sentence.text,
+        language: fieldLanguage(tracked.element),
       });
       if (result?.available && result.improved && result.improved !== sentence.text) {
         improved = result.improved;
@@ -245,8 +567,9 @@ document.addEventListener('spelling-tab-sentence-click', async (e) => {
     anchorEl.style.removeProperty('cursor');
   }
 
-  if (improved) {
-    const { spanStart, spanEnd } = findSpanInField(tracked, sentence.text);
+  const found = improved && findSpanInField(tracked, sentence.text);
+  if (found) {
+    const { spanStart, spanEnd } = found;
     suggestionPopup.show({
       span: { start: spanStart, end: spanEnd },
       message: 'Writing suggestion',
@@ -260,7 +583,7 @@ document.addEventListener('spelling-tab-sentence-click', async (e) => {
   }
 });
 
-// ── AI toolbar on text selection (Improve + Rephrase tones) ──────────────
+// ── AI toolbar on text selection (Improve + Rephrase tones, Synonyms) ────
 
 let aiToolbar = null;
 let lastUsedTone = null;
@@ -338,70 +661,164 @@ function findTrackedElementFromNode(node) {
   return null;
 }
 
+/** Where `selectedText` first occurs in the field, or null when it's no longer there. */
 function findSpanInField(tracked, selectedText) {
-  let spanStart = 0;
-  let spanEnd = selectedText.length;
-
+  let fullText = '';
   if (tracked.type === 'overlay') {
-    const fullText = tracked.element.value || '';
-    const idx = fullText.indexOf(selectedText);
-    if (idx !== -1) { spanStart = idx; spanEnd = idx + selectedText.length; }
+    fullText = tracked.element.value || '';
   } else {
-    const state = ceHandler.tracked.get(tracked.element);
-    if (state) {
-      const fullText = state.text || '';
-      const idx = fullText.indexOf(selectedText);
-      if (idx !== -1) { spanStart = idx; spanEnd = idx + selectedText.length; }
+    fullText = ceHandler.tracked.get(tracked.element)?.text || '';
+  }
+  const idx = fullText.indexOf(selectedText);
+  return idx === -1 ? null : { spanStart: idx, spanEnd: idx + selectedText.length };
+}
+
+/**
+ * Stream an AI improve / rephrase / rewrite of `selectedText` into the
+ * suggestion popup. `span` is where the text sits in the field when the
+ * caller knows (a lint's sentence); otherwise it's looked up when the
+ * result arrives. Either way the result is offered only if the text is
+ * still there.
+ */
+async function handleAIAction(actionType, tone, selectedText, tracked, anchorEl, span = null) {
+  let request;
+  let label;
+  if (actionType === 'improve') {
+    request = { type: 'ai-improve', text: selectedText, language: fieldLanguage(tracked.element) };
+    label = 'AI-improved version';
+  } else if (actionType === 'rewrite') {
+    request = { type: 'ai-rephrase', text: selectedText, tone, language: fieldLanguage(tracked.element) };
+    const rewriteLabels = { split: 'Split into shorter sentences', active: 'Rewritten in active voice' };
+    label = rewriteLabels[tone] || 'AI rewrite';
+  } else {
+    request = { type: 'ai-rephrase', text: selectedText, tone, language: fieldLanguage(tracked.element) };
+    const toneLabels = { friendly: 'Friendly', professional: 'Professional', casual: 'Casual' };
+    label = `${toneLabels[tone] || 'AI'} rephrase`;
+  }
+
+  // The rewrite streams into the popup; closing the popup cancels it
+  const stream = streamAI(request, (text) => suggestionPopup.updateStreaming(text));
+  suggestionPopup.showStreaming(label, tracked.element, anchorEl, () => stream.cancel());
+  hideAIToolbar();
+
+  const { status, text, changes, confidence } = await stream.result;
+  if (status === 'cancelled') return;
+
+  if (status === 'done' && text !== selectedText) {
+    const fieldText = handlerFor(tracked.element).getText(tracked.element);
+    const found = span && fieldText.slice(span.start, span.end) === selectedText
+      ? { spanStart: span.start, spanEnd: span.end }
+      : findSpanInField(tracked, selectedText);
+    if (!found) {
+      suggestionPopup.failStreaming('The text changed while rewriting. Please try again.');
+      return;
     }
+    const { spanStart, spanEnd } = found;
+    suggestionPopup.finishStreaming({
+      span: { start: spanStart, end: spanEnd },
+      message: label,
+      lintKind: 'Enhancement',
+      lintKindPretty: 'AI Improvement',
+      category: 'style',
+      problemText: selectedText,
+      suggestions: [{ text, kind: 'ReplaceWith' }],
+      _aiDiff: true,
+      _aiResult: true, // no dictionary actions for AI rewrites
+      _aiChanges: changes,
+      _aiConfidence: confidence,
+    });
+  } else if (status === 'done') {
+    suggestionPopup.failStreaming('No changes suggested.');
+  } else if (status === 'unavailable') {
+    suggestionPopup.failStreaming(aiUnavailableReason() || 'AI not available.');
+  } else {
+    suggestionPopup.failStreaming('Something went wrong. Please try again.');
   }
+}
 
-  return { spanStart, spanEnd };
+// ── Synonym picker (offline thesaurus in the service worker) ───────────────
+
+const SINGLE_WORD = /^[A-Za-z]+(?:['’-][A-Za-z]+)*$/;
+const POS_LABELS = { noun: 'Noun', verb: 'Verb', adj: 'Adjective', adv: 'Adverb', conj: 'Conjunction' };
+const SYNONYMS_PER_SENSE = 6;
+
+/** The synonym picker only needs the thesaurus, not the AI model. */
+function isSynonymsAllowed() {
+  return extensionEnabled && siteProfile !== 'off';
 }
 
-async function handleAIAction(actionType, tone, selectedText, tracked, anchorEl) {
-  try {
-    let result;
-    let label;
-    let resultText;
-
-    if (actionType === 'improve') {
-      result = await chrome.runtime.sendMessage({ type: 'ai-improve', text: selectedText });
-      resultText = result?.improved;
-      label = 'AI-improved version';
-    } else {
-      result = await chrome.runtime.sendMessage({ type: 'ai-rephrase', text: selectedText, tone });
-      resultText = result?.rephrased;
-      const toneLabels = { friendly: 'Friendly', professional: 'Professional', casual: 'Casual' };
-      label = `${toneLabels[tone] || 'AI'} rephrase`;
-    }
+/**
+ * [start, end) of the selected `word` in the field. The selection start
+ * tells repeated words apart; falls back to the first occurrence.
+ */
+function wordSpanAtSelection(element, word) {
+  const handler = handlerFor(element);
+  const text = handler.getText(element);
+  const caret = handler.getCaret(element);
+  let start = caret >= 0 ? text.indexOf(word, caret) : -1;
+  // Double-click can select a leading space; anything further is another occurrence
+  if (start === -1 || start > caret + 1) start = text.indexOf(word);
+  return start === -1 ? null : { start, end: start + word.length };
+}
 
-    if (result?.available && resultText && resultText !== selectedText) {
-      const { spanStart, spanEnd } = findSpanInField(tracked, selectedText);
-      suggestionPopup.show({
-        span: { start: spanStart, end: spanEnd },
-        message: label,
-        lintKind: 'Enhancement',
-        lintKindPretty: 'AI Improvement',
-        category: 'style',
-        problemText: selectedText,
-        suggestions: [{ text: resultText, kind: 'ReplaceWith' }],
-      }, tracked.element, anchorEl);
-      hideAIToolbar();
-      return true;
-    }
-  } catch (err) {
-    // fall through
+/** Ask the service worker for synonyms and offer them in the suggestion popup. */
+async function showSynonyms(word, span, tracked, anchorEl) {
+  let senses = [];
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'synonyms', word });
+    senses = result?.senses || [];
+  } catch (_) {
+    // Service worker restarting — show the empty picker
   }
-  return false;
+
+  suggestionPopup.show({
+    span,
+    message: senses.length ? 'Pick a word to replace it.' : 'No synonyms in the offline thesaurus.',
+    lintKind: 'Synonyms',
+    lintKindPretty: 'Synonyms',
+    category: 'style',
+    problemText: word,
+    suggestions: senses.flatMap(({ pos, synonyms }) => synonyms.slice(0, SYNONYMS_PER_SENSE).map(text => ({
+      text: matchCase(text, word),
+      kind: 'ReplaceWith',
+      group: POS_LABELS[pos] || pos,
+    }))),
+    _synonyms: true,
+  }, tracked.element, anchorEl);
+  hideAIToolbar();
 }
 
 /**
  * Show the AI toolbar for a given selection, tracked element, and bounding rect.
+ * A single selected word gets the Synonyms button; AI actions need a longer
+ * selection.
  */
 function showAIToolbarForSelection(selectedText, tracked, rect) {
   const toolbar = createAIToolbar();
   toolbar.innerHTML = '';
 
+  const wordSpan = SINGLE_WORD.test(selectedText) && isSynonymsAllowed()
+    ? wordSpanAtSelection(tracked.element, selectedText)
+    : null;
+  if (wordSpan) {
+    const btn = document.createElement('button');
+    btn.className = 'spelling-tab-ai-btn';
+    btn.textContent = '📖 Synonyms';
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showSynonyms(selectedText, wordSpan, tracked, toolbar);
+    });
+    toolbar.appendChild(btn);
+  }
+  if (isAIAllowed() && selectedText.length >= 10) appendAIButtons(toolbar, selectedText, tracked);
+
+  if (!toolbar.firstChild) { hideAIToolbar(); return; }
+  positionAIToolbar(toolbar, rect);
+}
+
+/** Improve and the rephrase tones (last-used first), disabled with the reason while AI is off. */
+function appendAIButtons(toolbar, selectedText, tracked) {
   const toneOptions = [
     { label: '😊 Friendly', action: 'rephrase', tone: 'friendly' },
     { label: '💼 Professional', action: 'rephrase', tone: 'professional' },
@@ -422,12 +839,18 @@ function showAIToolbarForSelection(selectedText, tracked, rect) {
     ...toneOptions,
   ];
 
+  const reason = aiUnavailableReason();
+
   buttons.forEach(({ label, action, tone }) => {
     const btn = document.createElement('button');
     btn.className = 'spelling-tab-ai-btn';
     btn.textContent = label;
+    if (reason) {
+      btn.disabled = true;
+      btn.title = reason;
+    }
 
-    btn.addEventListener('click', async (e) => {
+    btn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
 
@@ -437,22 +860,22 @@ function showAIToolbarForSelection(selectedText, tracked, rect) {
         chrome.storage.local.set({ lastAITone: tone });
       }
 
-      // Disable all buttons and show spinner on clicked one
-      const allBtns = toolbar.querySelectorAll('.spelling-tab-ai-btn');
-      allBtns.forEach(b => { b.disabled = true; });
-      btn.classList.add('spelling-tab-ai-loading');
-      btn.textContent = 'Working...';
-
-      const success = await handleAIAction(action, tone, selectedText, tracked, toolbar);
-      if (!success) {
-        btn.textContent = 'AI not available';
-        setTimeout(hideAIToolbar, 1500);
-      }
+      handleAIAction(action, tone, selectedText, tracked, toolbar);
     });
 
     toolbar.appendChild(btn);
   });
 
+  if (reason) {
+    const note = document.createElement('span');
+    note.className = 'spelling-tab-ai-reason';
+    note.textContent = reason;
+    toolbar.appendChild(note);
+  }
+}
+
+/** Show `toolbar` just above `rect`, or below it when there's no room. */
+function positionAIToolbar(toolbar, rect) {
   toolbar.style.setProperty('display', 'flex', 'important');
   toolbar.style.setProperty('left', rect.left + 'px', 'important');
   toolbar.style.setProperty('top', (rect.top - 38 + window.scrollY) + 'px', 'important');
@@ -467,6 +890,15 @@ function showAIToolbarForSelection(selectedText, tracked, rect) {
       toolbar.style.setProperty('top', (rect.bottom + 4 + window.scrollY) + 'px', 'important');
     }
   });
+
+  refreshAIStatus(() => {
+    if (toolbar.style.getPropertyValue('display') !== 'none') showAIToolbarForSelection(selectedText, tracked, rect);
+  });
+}
+
+/** A selection the toolbar has something for: one word, or enough text for AI. */
+function isToolbarSelection(text) {
+  return (isSynonymsAllowed() && SINGLE_WORD.test(text)) || (isAIAllowed() && text.length >= 10);
 }
 
 /**
@@ -474,7 +906,7 @@ function showAIToolbarForSelection(selectedText, tracked, rect) {
  * Works for both main document and shadow DOM selections.
  */
 function tryShowAIToolbar(sel) {
-  if (!sel || sel.isCollapsed || sel.toString().trim().length < 10) {
+  if (!sel || sel.isCollapsed || !isToolbarSelection(sel.toString().trim())) {
     hideAIToolbar();
     return;
   }
@@ -512,6 +944,7 @@ document.addEventListener('mouseup', (e) => {
  * Uses selectionStart/selectionEnd since window.getSelection() doesn't work for these.
  */
 function tryShowAIToolbarForTextarea(element) {
+  if (!isSynonymsAllowed()) return;
   const start = element.selectionStart;
   const end = element.selectionEnd;
   if (start == null || end == null || start === end) {
@@ -520,7 +953,7 @@ function tryShowAIToolbarForTextarea(element) {
   }
 
   const selectedText = element.value.substring(start, end).trim();
-  if (selectedText.length < 10) {
+  if (!isToolbarSelection(selectedText)) {
     hideAIToolbar();
     return;
   }
@@ -610,7 +1043,7 @@ function hideDraftButton() {
 }
 
 function showDraftButton(element) {
-  if (!extensionEnabled) return;
+  if (!isAIAllowed()) return;
   const btn = createDraftButton();
   const rect = element.getBoundingClientRect();
 
@@ -628,7 +1061,7 @@ function showDraftButton(element) {
 }
 
 function openDraftModal() {
-  if (!extensionEnabled) return;
+  if (!isAIAllowed()) return;
 
   // Only open for the actively focused element — don't use getActiveTrackedElement's
   // fallback which picks any element with lints
@@ -655,6 +1088,10 @@ function openDraftModal() {
   if (!tracked) return;
   hideDraftButton();
   draftModal.show(tracked.element, tracked.type);
+  draftModal.setUnavailableReason(aiUnavailableReason());
+  refreshAIStatus(() => {
+    if (draftModal.isVisible()) draftModal.setUnavailableReason(aiUnavailableReason());
+  });
 }
 
 // Show draft button when a tracked element is focused
@@ -688,6 +1125,7 @@ document.addEventListener('focusout', () => {
 
 document.addEventListener('keydown', (e) => {
   if (!(e.ctrlKey && e.shiftKey && e.key === 'I')) return;
+  if (!isAIAllowed()) return;
 
   let selectedText = '';
   let tracked = null;
@@ -736,24 +1174,30 @@ document.addEventListener('keydown', (e) => {
   toolbar.style.setProperty('left', rect.left + 'px', 'important');
   toolbar.style.setProperty('top', (rect.top - 38 + window.scrollY) + 'px', 'important');
 
-  handleAIAction('improve', null, selectedText, tracked, toolbar).then(success => {
-    if (!success) {
-      loadingBtn.classList.remove('spelling-tab-ai-loading');
-      loadingBtn.textContent = 'AI not available';
-      setTimeout(hideAIToolbar, 1500);
-    }
-  });
+  // The toolbar only anchors the streaming popup; handleAIAction hides it
+  handleAIAction('improve', null, selectedText, tracked, toolbar);
 });
 
 // ── Keyboard shortcut: Ctrl+Shift+D to open AI Draft modal ───────────────
 
 document.addEventListener('keydown', (e) => {
   if (!(e.ctrlKey && e.shiftKey && e.key === 'D')) return;
-  if (!extensionEnabled) return;
+  if (!isAIAllowed()) return;
   e.preventDefault();
   e.stopPropagation();
   openDraftModal();
 });
 
-detector.isEnabled = () => extensionEnabled;
+detector.isEnabled = () => extensionEnabled && siteProfile !== 'off';
+
+// On the first field the user focuses: learn the model status, and warm up
+// the AI session so the first sentence suggestions don't pay its startup cost
+let aiPrewarmed = false;
+detector.onTrack = () => {
+  if (aiPrewarmed || !isAIAllowed()) return;
+  aiPrewarmed = true;
+  loadAIStatus().then(() => {
+    if (aiStatus?.status === 'ready') chrome.runtime.sendMessage({ type: 'ai-prewarm' }).catch(() => {});
+  });
+};
 detector.start();
@@ -1,12 +1,22 @@
+import { isTabFixable } from './linter-client.js';
+import { fieldLanguage } from './language.js';
+
+// Elements whose text is code, not prose — never linted
+const CODE_TAGS = new Set(['CODE', 'PRE', 'KBD', 'SAMP']);
+
 export class ContentEditableHandler {
   constructor(linterClient, suggestionPopup) {
     this.linterClient = linterClient;
     this.suggestionPopup = suggestionPopup;
     this.tracked = new Map(); // element -> { container, debounceTimer, lints, text, nodeMap }
     this.onLintsChanged = null; // callback: (element, lints) => void
+    this.onFixesApplied = null; // callback: (element, edits) => void, see fix-history.js
+    this.filterLints = null; // (element, text, lints) => lints, drops dismissed lints
     // Cache AI sentence check results: sentenceText -> { improved: string|null }
     this._aiSentenceCache = new Map();
     this._aiSentenceChecking = new Set(); // sentences currently being checked
+    this.isAIEnabled = () => true; // overridable check (site profile)
+    this.isSafeFixesOnly = () => false; // overridable check ("Safe fixes only" setting)
     this._styledShadowRoots = new WeakSet(); // shadow roots we've already injected CSS into
   }
 
@@ -126,19 +136,40 @@ export class ContentEditableHandler {
     // Make sure our container is still alive before building text map
     this.ensureContainer(element);
 
-    const { text, nodeMap } = this.buildTextMap(element);
-    const lints = await this.linterClient.lint(text);
+    const { text, nodeMap, codeRanges } = this.buildTextMap(element);
     const state = this.tracked.get(element);
     if (!state) return;
-    state.lints = lints;
+    const check = state.checkId = (state.checkId || 0) + 1;
+    const lints = await this.linterClient.lint(text, element, { codeRanges });
+    // null: superseded by a newer check; a newer runCheck may also have
+    // finished first when it was served from cache
+    if (lints === null || state.checkId !== check) return;
+    const visible = this.filterLints ? this.filterLints(element, text, lints) : lints;
+    state.lints = visible;
     state.text = text;
     state.nodeMap = nodeMap;
     this.renderUnderlines(element);
-    if (this.onLintsChanged) this.onLintsChanged(element, lints);
+    if (this.onLintsChanged) this.onLintsChanged(element, visible);
   }
 
+  /**
+   * Re-check every field containing `paragraph`, e.g. after AI proofreading
+   * lints for it were added to the lint cache. Served from the cache.
+   */
+  refreshParagraph(paragraph) {
+    for (const [element, state] of this.tracked) {
+      if (state.text?.includes(paragraph)) this.runCheck(element);
+    }
+  }
+
+  /**
+   * Flatten `root` into { text, nodeMap, codeRanges }: the field's text,
+   * which DOM text node each stretch of it came from, and the [start, end)
+   * ranges that sit inside <code>, <pre>, <kbd>, or <samp>.
+   */
   buildTextMap(root) {
     const nodeMap = [];
+    const codeRanges = [];
     let offset = 0;
     // Track which block-level elements we've already inserted newlines for,
     // so we don't double-count.
@@ -205,7 +236,9 @@ export class ContentEditableHandler {
         }
 
         // Recurse into children
+        const codeStart = offset;
         for (const child of node.childNodes) walk(child);
+        if (CODE_TAGS.has(tag) && offset > codeStart) codeRanges.push([codeStart, offset]);
       }
     };
 
@@ -221,7 +254,7 @@ export class ContentEditableHandler {
       }
     }
     const text = parts.join('');
-    return { text, nodeMap };
+    return { text, nodeMap, codeRanges };
   }
 
   /**
@@ -263,10 +296,17 @@ export class ContentEditableHandler {
       spelling: '#e74c3c',
       grammar: '#3498db',
       style: '#f59e0b',
+      ai: '#8b5cf6',
+      readability: '#0d9488',
     };
 
     // ── Render lint underlines ──────────────────────────────────
-    lints.forEach((lint, lintIndex) => {
+    // Hard-to-read underlines span whole sentences: draw them first, a little
+    // lower, so the lints inside the sentence stay visible and clickable.
+    const isSentenceWide = (lint) => lint.category === 'readability';
+    const drawOrder = [...lints.entries()]
+      .sort(([, a], [, b]) => isSentenceWide(b) - isSentenceWide(a));
+    drawOrder.forEach(([lintIndex, lint]) => {
       try {
         const range = document.createRange();
         const startInfo = this.findNodeAtOffset(nodeMap, lint.span.start);
@@ -284,7 +324,8 @@ export class ContentEditableHandler {
 
           // Position (always inline)
           const left = (rect.left - elementRect.left + element.scrollLeft) + 'px';
-          const top = (rect.bottom - elementRect.top + element.scrollTop - 2) + 'px';
+          const drop = isSentenceWide(lint) ? 1 : -2;
+          const top = (rect.bottom - elementRect.top + element.scrollTop + drop) + 'px';
           const width = rect.width + 'px';
 
           // Inline fallback styles — ensures visibility even without CSS (shadow DOM)
@@ -326,7 +367,9 @@ export class ContentEditableHandler {
     this._checkSentencesWithAI(sentences, element);
 
     // Only render highlights for sentences that AI has confirmed
-    const confirmedSentences = sentences.filter(s => this._aiSentenceCache.has(s.text));
+    const confirmedSentences = this.isAIEnabled()
+      ? sentences.filter(s => this._aiSentenceCache.has(s.text))
+      : [];
 
     confirmedSentences.forEach((sentence) => {
       const cached = this._aiSentenceCache.get(sentence.text);
@@ -464,6 +507,8 @@ export class ContentEditableHandler {
    * When a result arrives, re-renders underlines to show/hide highlights.
    */
   async _checkSentencesWithAI(sentences, element) {
+    if (!this.isAIEnabled()) return;
+
     // Check if there are actually new sentences to check
     const needsCheck = sentences.some(s =>
       !this._aiSentenceCache.has(s.text) && !this._aiSentenceChecking.has(s.text)
@@ -491,7 +536,7 @@ export class ContentEditableHandler {
       }
 
       // Fire and forget — re-render when result comes back
-      chrome.runtime.sendMessage({ type: 'ai-improve', text: sentenceText })
+      chrome.runtime.sendMessage({ type: 'ai-improve', text: sentenceText, language: fieldLanguage(element) })
         .then(result => {
           this._aiSentenceChecking.delete(sentenceText);
           if (result?.available && result.improved && result.improved !== sentenceText) {
@@ -667,7 +712,7 @@ export class ContentEditableHandler {
     // Only fix lints within the cursor's paragraph (or all if cursor not found).
     // Also skip any lint that spans across a newline — applying those would merge paragraphs.
     const fixable = state.lints.filter(l => {
-      if (l.suggestions.length === 0) return false;
+      if (!isTabFixable(l, this.isSafeFixesOnly())) return false;
       // Never auto-fix lints that cross paragraph boundaries
       const lintText = state.text.substring(l.span.start, l.span.end);
       if (lintText.includes('\n')) return false;
@@ -681,6 +726,7 @@ export class ContentEditableHandler {
     // Save the cursor offset so we can restore it after fixing.
     // As fixes are applied, we adjust this offset to account for text length changes.
     let savedCursorOffset = cursorOffset >= 0 ? cursorOffset : -1;
+    const applied = [];
 
     // Collect the original problem text, replacement, and original span offset.
     // Sort in reverse order so that applying fixes from the end doesn't shift earlier offsets.
@@ -757,6 +803,7 @@ export class ContentEditableHandler {
         sel.removeAllRanges();
         sel.addRange(range);
         document.execCommand('insertText', false, fix.replacement);
+        applied.push({ start: idx, original: fix.problem, replacement: fix.replacement });
 
         // Adjust saved cursor offset for this fix's text length change
         if (savedCursorOffset >= 0 && idx < savedCursorOffset) {
@@ -775,8 +822,8 @@ export class ContentEditableHandler {
       this._restoreCursorOffset(element, savedCursorOffset);
     }
 
-    this.linterClient.clearCache();
     this.scheduleCheck(element);
+    if (this.onFixesApplied) this.onFixesApplied(element, applied);
     return true;
   }
 
@@ -784,9 +831,66 @@ export class ContentEditableHandler {
     const state = this.tracked.get(element);
     if (!state) return;
 
+    const original = state.text.substring(lint.span.start, lint.span.end);
     this._applyRangedFix(element, state, lint, suggestion);
-    this.linterClient.clearCache();
     this.scheduleCheck(element);
+    if (this.onFixesApplied) {
+      this.onFixesApplied(element, [{ start: lint.span.start, original, replacement: suggestion.text }]);
+    }
+  }
+
+  getText(element) {
+    return this.buildTextMap(element).text;
+  }
+
+  getCaret(element) {
+    return this.getCursorOffset(element);
+  }
+
+  setCaret(element, offset) {
+    this._restoreCursorOffset(element, offset);
+  }
+
+  /** Select [start, end) and scroll it into view (the popup's Document tab). */
+  selectRange(element, start, end) {
+    try {
+      const { nodeMap } = this.buildTextMap(element);
+      const startInfo = this.findNodeAtOffset(nodeMap, start);
+      const endInfo = this.findNodeAtOffset(nodeMap, end);
+      if (!startInfo || !endInfo) return;
+
+      element.focus();
+      const range = document.createRange();
+      range.setStart(startInfo.node, Math.min(start - startInfo.start, startInfo.node.textContent.length));
+      range.setEnd(endInfo.node, Math.min(end - endInfo.start, endInfo.node.textContent.length));
+
+      const sel = this._getSelection(element) || window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+      startInfo.node.parentElement?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    } catch (_) {
+      // The text changed under us — leave the selection alone
+    }
+  }
+
+  /** Open the suggestion popup for `lint`, anchored on its underline when it's rendered. */
+  showLintPopup(element, lint, options) {
+    const state = this.tracked.get(element);
+    if (!state) return;
+    const index = state.lints.indexOf(lint);
+    const underline = state.container?.querySelector(`[data-lint-index="${index}"]`);
+    this.suggestionPopup.show(lint, element, underline || element, options);
+  }
+
+  /** Replace [start, end) of the element's text (used by undo / redo). */
+  replaceText(element, start, end, text) {
+    const state = this.tracked.get(element);
+    if (!state) return;
+    this.ensureContainer(element);
+    const { text: current, nodeMap } = this.buildTextMap(element);
+    state.text = current;
+    state.nodeMap = nodeMap;
+    this._applyRangedFix(element, state, { span: { start, end } }, { text });
   }
 
   /**
@@ -0,0 +1,77 @@
+/**
+ * Dismissed lints on this page, mirrored from the service worker
+ * (background/dismissals.js).
+ *
+ * A dismissal is remembered as a fingerprint of the lint kind, the flagged
+ * text, and a few words either side, so the same phrase elsewhere — or this
+ * one after the sentence around it is rewritten — is flagged again.
+ */
+
+const CONTEXT_WORDS = 3;
+
+/** FNV-1a, as 8 hex digits. */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+const normalize = (s) => s.toLowerCase().replace(/\s+/g, ' ').trim();
+
+export function lintFingerprint(text, lint) {
+  const before = normalize(text.slice(0, lint.span.start)).split(' ').slice(-CONTEXT_WORDS).join(' ');
+  const after = normalize(text.slice(lint.span.end)).split(' ').slice(0, CONTEXT_WORDS).join(' ');
+  const problem = normalize(text.slice(lint.span.start, lint.span.end));
+  return hash([lint.lintKind, problem, before, after].join('\u0000'));
+}
+
+/** Identifies a field across reloads: page path plus the field's id, name, or label. */
+export function fieldKey(element) {
+  const name = element.id || element.getAttribute('name') || element.getAttribute('aria-label') ||
+    element.getAttribute('placeholder') || element.tagName.toLowerCase();
+  return `${location.pathname}#${name}`.slice(0, 200);
+}
+
+export class Dismissals {
+  constructor() {
+    this.site = new Set();
+    this.fields = new Map(); // fieldKey -> Set of fingerprints
+  }
+
+  /** Fetch this site's dismissals from the service worker. */
+  async load() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'get-dismissals' });
+      this.site = new Set(response?.site || []);
+      this.fields = new Map(Object.entries(response?.fields || {}).map(([key, list]) => [key, new Set(list)]));
+    } catch (_) {
+      // Extension was reloaded — keep what we have
+    }
+  }
+
+  /** `lints` without the ones dismissed for this element or site. */
+  filter(element, text, lints) {
+    if (this.site.size === 0 && this.fields.size === 0) return lints;
+    const forField = this.fields.get(fieldKey(element));
+    return lints.filter(lint => {
+      const fp = lintFingerprint(text, lint);
+      return !this.site.has(fp) && !forField?.has(fp);
+    });
+  }
+
+  /** Dismiss `lint` for this field (scope 'field') or the whole site (scope 'site'). */
+  dismiss(element, text, lint, scope) {
+    const fingerprint = lintFingerprint(text, lint);
+    const key = scope === 'field' ? fieldKey(element) : null;
+    if (key) {
+      if (!this.fields.has(key)) this.fields.set(key, new Set());
+      this.fields.get(key).add(fingerprint);
+    } else {
+      this.site.add(fingerprint);
+    }
+    chrome.runtime.sendMessage({ type: 'dismiss-lint', fingerprint, fieldKey: key }).catch(() => {});
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Readability statistics for a field's text, for the popup's Document tab.
+ *
+ * Everything is a heuristic over plain text: sentences end at . ! ? or a
+ * line break, syllables are vowel groups, and passive voice is what the
+ * passive-voice lint pass finds (background/passive-voice.js).
+ */
+
+import { splitParagraphs } from './linter-client.js';
+import { countSyllables, STOP_WORDS } from '../background/words.js';
+import { findPassive } from '../background/passive-voice.js';
+
+const WORDS_PER_MINUTE = 238;
+const TOP_N = 5;
+
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/** Sentences in `text` as [{ start, end, text, words }], split at . ! ? and line breaks. */
+export function splitSentences(text) {
+  const sentences = [];
+  for (const paragraph of splitParagraphs(text)) {
+    const re = /[^.!?]+(?:[.!?]+["'’”)\]]*|$)/g;
+    let match;
+    while ((match = re.exec(paragraph.text)) !== null) {
+      if (!match[0]) { re.lastIndex++; continue; }
+      const lead = match[0].length - match[0].trimStart().length;
+      const body = match[0].trim();
+      const words = body.match(WORD)?.length || 0;
+      if (words === 0) continue;
+      const start = paragraph.start + match.index + lead;
+      sentences.push({ start, end: start + body.length, text: body, words });
+    }
+  }
+  return sentences;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Statistics for `text`: counts, reading time, Flesch–Kincaid grade,
+ * Gunning Fog index, average sentence length, passive-voice percentage,
+ * and the longest sentences and most repeated words with their positions
+ * (the first occurrence, for repeated words).
+ */
+export function computeDocumentStats(text) {
+  const words = [...text.matchAll(WORD)].map(m => ({ word: m[0], start: m.index }));
+  const sentences = splitSentences(text);
+  const paragraphs = splitParagraphs(text).length;
+
+  const wordCount = words.length;
+  const sentenceCount = Math.max(sentences.length, wordCount > 0 ? 1 : 0);
+  const syllables = words.reduce((n, w) => n + countSyllables(w.word), 0);
+  const complex = words.filter(w => countSyllables(w.word) >= 3).length;
+
+  const wordsPerSentence = sentenceCount ? wordCount / sentenceCount : 0;
+  const syllablesPerWord = wordCount ? syllables / wordCount : 0;
+  const passive = sentences.filter(s => findPassive(s.text).length > 0).length;
+
+  const counts = new Map(); // lowercase word -> { word, count, start, end }
+  for (const { word, start } of words) {
+    const key = word.toLowerCase();
+    if (key.length < 3 || STOP_WORDS.has(key) || /^\d+$/.test(key)) continue;
+    const entry = counts.get(key);
+    if (entry) entry.count++;
+    else counts.set(key, { word: key, count: 1, start, end: start + word.length });
+  }
+
+  return {
+    words: wordCount,
+    sentences: sentences.length,
+    paragraphs,
+    readingMinutes: wordCount ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0,
+    fleschKincaid: wordCount ? round1(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) : 0,
+    gunningFog: wordCount ? round1(0.4 * (wordsPerSentence + 100 * (complex / wordCount))) : 0,
+    avgSentenceLength: round1(wordsPerSentence),
+    passivePercent: sentences.length ? Math.round((passive / sentences.length) * 100) : 0,
+    longestSentences: [...sentences].sort((a, b) => b.words - a.words).slice(0, TOP_N),
+    repeatedWords: [...counts.values()]
+      .filter(e => e.count > 1)
+      .sort((a, b) => b.count - a.count || a.start - b.start)
+      .slice(0, TOP_N),
+  };
+}
@@ -1,3 +1,6 @@
+import { streamAI } from './ai-stream.js';
+import { fieldLanguage } from './language.js';
+
 export class DraftModal {
   constructor() {
     this.modalEl = null;
@@ -6,6 +9,8 @@ export class DraftModal {
     this.selectedTone = 'neutral';
     this.draftedText = null;
     this.isGenerating = false;
+    this._stream = null; // in-flight streamAI handle
+    this.unavailableReason = ''; // set while the AI model isn't ready
     this._savedSelStart = null;
     this._savedSelEnd = null;
     this._built = false;
@@ -94,6 +99,14 @@ export class DraftModal {
     const loadingText = document.createElement('span');
     loadingText.textContent = ' Generating...';
     this.loadingEl.appendChild(loadingText);
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'spelling-tab-draft-cancel';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._stream?.cancel();
+    });
+    this.loadingEl.appendChild(cancelBtn);
     container.appendChild(this.loadingEl);
 
     // Result area
@@ -199,7 +212,8 @@ export class DraftModal {
     if (this.modalEl) {
       this.modalEl.style.setProperty('display', 'none', 'important');
     }
-    // Reset generating state so reopening works cleanly
+    // Abort any in-flight generation and reset so reopening works cleanly
+    this._stream?.cancel();
     this.isGenerating = false;
     // Restore focus to the target element
     if (this.targetElement) {
@@ -222,6 +236,22 @@ export class DraftModal {
     return this.modalEl.style.getPropertyValue('display') !== 'none';
   }
 
+  /**
+   * Block generating while the AI model isn't ready, showing why.
+   * Pass '' to allow it again.
+   */
+  setUnavailableReason(reason) {
+    this._ensureBuilt();
+    this.unavailableReason = reason || '';
+    this.generateBtn.disabled = !!reason;
+    this.generateBtn.title = reason || '';
+    if (reason) {
+      this._showError(reason);
+    } else {
+      this.errorEl.style.setProperty('display', 'none', 'important');
+    }
+  }
+
   _selectTone(tone) {
     this.selectedTone = tone;
     this._toneButtons.forEach(btn => {
@@ -236,36 +266,50 @@ export class DraftModal {
       return;
     }
 
-    if (this.isGenerating) return;
+    if (this.isGenerating || this.unavailableReason) return;
     this.isGenerating = true;
 
     // Show loading, hide result/error
+    this.draftedText = null;
+    this.resultText.textContent = '';
     this.loadingEl.style.setProperty('display', 'flex', 'important');
     this.resultArea.style.setProperty('display', 'none', 'important');
     this.errorEl.style.setProperty('display', 'none', 'important');
+    this.insertBtn.disabled = true;
     this.generateBtn.disabled = true;
     this.generateBtn.textContent = 'Generating...';
 
+    // Show the draft as it streams in
+    const language = fieldLanguage(this.targetElement);
+    this._stream = streamAI({ type: 'ai-draft', prompt, tone: this.selectedTone, language }, (text) => {
+      this.resultText.textContent = text;
+      this.resultText.scrollTop = this.resultText.scrollHeight;
+      this.resultArea.style.setProperty('display', 'block', 'important');
+    });
+
     try {
-      const result = await chrome.runtime.sendMessage({
-        type: 'ai-draft',
-        prompt,
-        tone: this.selectedTone,
-      });
+      const { status, text } = await this._stream.result;
+      if (!this.isVisible()) return; // closed mid-stream
 
-      if (result?.available && result.drafted) {
-        this.draftedText = result.drafted;
-        this.resultText.textContent = result.drafted;
+      if (status === 'done' || (status === 'cancelled' && text)) {
+        // A cancelled draft keeps what was written so far
+        this.draftedText = status === 'done' ? text : text.trim();
+        this.resultText.textContent = this.draftedText;
         this.resultArea.style.setProperty('display', 'block', 'important');
-        this.loadingEl.style.setProperty('display', 'none', 'important');
-      } else {
+      } else if (status === 'cancelled') {
+        this.resultArea.style.setProperty('display', 'none', 'important');
+      } else if (status === 'unavailable') {
+        this.resultArea.style.setProperty('display', 'none', 'important');
         this._showError('AI is not available. Make sure Chrome\'s built-in AI (Gemini Nano) is enabled.');
+      } else {
+        this.resultArea.style.setProperty('display', 'none', 'important');
+        this._showError('Failed to generate draft. Please try again.');
       }
-    } catch (err) {
-      this._showError('Failed to generate draft. Please try again.');
     } finally {
+      this._stream = null;
       this.isGenerating = false;
-      this.generateBtn.disabled = false;
+      this.insertBtn.disabled = false;
+      this.generateBtn.disabled = !!this.unavailableReason;
       this.generateBtn.textContent = 'Generate';
       this.loadingEl.style.setProperty('display', 'none', 'important');
     }
@@ -7,6 +7,7 @@ export class ElementDetector {
     this.ceHandler = ceHandler;
     this.trackedElements = new WeakSet();
     this.isEnabled = () => true; // overridable check
+    this.onTrack = null; // (element) => void, once per newly tracked element
   }
 
   start() {
@@ -24,6 +25,8 @@ export class ElementDetector {
     } else {
       this.overlayManager.attach(element);
     }
+
+    if (this.onTrack) this.onTrack(element);
   }
 
   /**
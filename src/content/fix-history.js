@@ -0,0 +1,114 @@
+/**
+ * Undo / redo for applied fixes, kept per tracked element.
+ *
+ * An edit is { start, original, replacement }: the text at `start` was
+ * `original` and becomes `replacement`. A batch is every edit one action
+ * made (one popup fix, or a whole Tab fix-all). Batches are stored already
+ * inverted, with offsets into the text as it is after the action, so
+ * undoing is just applying the batch.
+ */
+
+const MAX_BATCHES = 20;
+
+/**
+ * Where `edits` (offsets into the text before they're applied, no overlaps)
+ * end up once all of them are applied.
+ */
+export function editsAfterApply(edits) {
+  let shift = 0;
+  return [...edits]
+    .sort((a, b) => a.start - b.start)
+    .map(edit => {
+      const moved = { ...edit, start: edit.start + shift };
+      shift += edit.replacement.length - edit.original.length;
+      return moved;
+    });
+}
+
+function invert(edits) {
+  return edits.map(e => ({ start: e.start, original: e.replacement, replacement: e.original }));
+}
+
+export class FixHistory {
+  constructor() {
+    this.stacks = new WeakMap(); // element -> { undo: [], redo: [], fresh }
+    this.applying = false; // true while undo()/redo() edit a field
+  }
+
+  _stack(element) {
+    if (!this.stacks.has(element)) this.stacks.set(element, { undo: [], redo: [], fresh: false });
+    return this.stacks.get(element);
+  }
+
+  /** Record edits just applied to `element`, with offsets from before the fix. */
+  record(element, edits) {
+    if (edits.length === 0) return;
+    const stack = this._stack(element);
+    stack.undo.push(invert(editsAfterApply(edits)));
+    if (stack.undo.length > MAX_BATCHES) stack.undo.shift();
+    stack.redo = [];
+    stack.fresh = true;
+  }
+
+  /** The user edited the field: redo is gone and Ctrl+Z is the browser's again. */
+  noteUserEdit(element) {
+    const stack = this.stacks.get(element);
+    if (!stack) return;
+    stack.redo = [];
+    stack.fresh = false;
+  }
+
+  canUndo(element) {
+    return (this.stacks.get(element)?.undo.length || 0) > 0;
+  }
+
+  canRedo(element) {
+    return (this.stacks.get(element)?.redo.length || 0) > 0;
+  }
+
+  /** True while the field's last change was a fix, undo, or redo. */
+  isFresh(element) {
+    return !!this.stacks.get(element)?.fresh;
+  }
+
+  /**
+   * Revert the element's last batch. `io` is { getText(), replace(start, end, text) }
+   * for the field. Returns the number of edits reverted — 0 when there's
+   * nothing to undo or the text changed under the batch.
+   */
+  undo(element, io) {
+    return this._move(element, 'undo', 'redo', io);
+  }
+
+  /** Re-apply the last undone batch. Same contract as undo(). */
+  redo(element, io) {
+    return this._move(element, 'redo', 'undo', io);
+  }
+
+  _move(element, from, to, io) {
+    const stack = this.stacks.get(element);
+    const batch = stack?.[from].pop();
+    if (!batch) return 0;
+
+    const text = io.getText();
+    if (!batch.every(e => text.slice(e.start, e.start + e.original.length) === e.original)) {
+      // Edited since; the remaining batches' offsets can't be trusted either
+      stack.undo = [];
+      stack.redo = [];
+      return 0;
+    }
+
+    this.applying = true;
+    try {
+      // Back to front, so earlier offsets stay valid
+      for (const e of [...batch].sort((a, b) => b.start - a.start)) {
+        io.replace(e.start, e.start + e.original.length, e.replacement);
+      }
+    } finally {
+      this.applying = false;
+    }
+    stack[to].push(invert(editsAfterApply(batch)));
+    stack.fresh = true;
+    return batch.length;
+  }
+}
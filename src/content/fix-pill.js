@@ -167,3 +167,74 @@ export class TabHint {
     }
   }
 }
+
+/**
+ * Transient "3 fixes applied · Undo" toast, shown where the Tab hint was
+ * (or under the field for textareas, where we have no caret position).
+ *
+ * NOT added to DOM until first needed.
+ */
+export class FixToast {
+  constructor(tabHint) {
+    this.tabHint = tabHint;
+    this.toastEl = null;
+    this.visible = false;
+    this._hideTimer = null;
+    this.onUndo = null; // callback: (element) => void
+    this._element = null;
+  }
+
+  _ensureElement() {
+    if (this.toastEl) return;
+    this.toastEl = document.createElement('div');
+    this.toastEl.className = 'spelling-tab-fix-toast';
+    this.toastEl.setAttribute('role', 'status');
+    this.toastEl.innerHTML =
+      '<span class="spelling-tab-fix-toast-text"></span>' +
+      '<button type="button" class="spelling-tab-fix-toast-undo">Undo</button>';
+    // Keep focus (and the caret) in the field
+    this.toastEl.addEventListener('mousedown', (e) => e.preventDefault());
+    this.toastEl.querySelector('.spelling-tab-fix-toast-undo').addEventListener('click', () => {
+      const element = this._element;
+      this.hide();
+      if (element && this.onUndo) this.onUndo(element);
+    });
+    document.body.appendChild(this.toastEl);
+  }
+
+  show(element, count) {
+    this._ensureElement();
+    this._element = element;
+    this.toastEl.querySelector('.spelling-tab-fix-toast-text').textContent =
+      count === 1 ? 'Fix applied' : `${count} fixes applied`;
+
+    // Prefer the caret position the Tab hint captured; else just under the field
+    let pos = this.tabHint?._caretPos;
+    if (!pos || pos.bottom === 0) {
+      const rect = element.getBoundingClientRect();
+      pos = { left: rect.left, top: rect.bottom, bottom: rect.bottom };
+    }
+    const toastWidth = 160;
+    const toastHeight = 24;
+    let left = Math.min(pos.left, window.innerWidth - toastWidth - 8);
+    let top = pos.bottom + 4;
+    if (top + toastHeight > window.innerHeight - 4) top = pos.top - toastHeight - 4;
+    if (left < 4) left = 4;
+    if (top < 4) top = 4;
+
+    this.toastEl.style.setProperty('left', left + 'px', 'important');
+    this.toastEl.style.setProperty('top', top + 'px', 'important');
+    this.toastEl.style.setProperty('display', 'flex', 'important');
+    this.visible = true;
+
+    clearTimeout(this._hideTimer);
+    this._hideTimer = setTimeout(() => this.hide(), 5000);
+  }
+
+  hide() {
+    clearTimeout(this._hideTimer);
+    if (this.toastEl) this.toastEl.style.setProperty('display', 'none', 'important');
+    this.visible = false;
+    this._element = null;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Which language a field is written in.
+ *
+ * Detected per field with chrome.i18n.detectLanguage (Chrome's built-in
+ * CLD). Short or ambiguous text keeps the field's last reliable result,
+ * else English. Pages often keep a site-wide `lang` whatever the user
+ * writes, so the nearest `lang` attribute only breaks ties: it is used when
+ * detection is unsure but lists it among the candidates. Languages are
+ * base codes: "en", "es", …
+ */
+
+const MIN_DETECT_CHARS = 40;
+
+const detected = new WeakMap(); // element -> last reliable language
+
+/** "en-US" -> "en"; '' for missing or undetermined. */
+export function baseLanguage(tag) {
+  const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return base === 'und' ? '' : base;
+}
+
+function declaredLanguage(element) {
+  if (typeof document === 'undefined') return '';
+  return baseLanguage(element?.closest?.('[lang]')?.lang || document.documentElement?.lang);
+}
+
+/** The language last seen in `element`, without detecting again. */
+export function fieldLanguage(element) {
+  return (element && detected.get(element)) || 'en';
+}
+
+/** Detect the language of `text`, the contents of `element`. */
+export async function detectLanguage(text, element = null) {
+  if (text.trim().length >= MIN_DETECT_CHARS && globalThis.chrome?.i18n?.detectLanguage) {
+    try {
+      const result = await chrome.i18n.detectLanguage(text);
+      const candidates = (result?.languages || []).map(l => baseLanguage(l.language)).filter(Boolean);
+      const declared = declaredLanguage(element);
+      const language = result?.isReliable ? candidates[0]
+        : candidates.includes(declared) ? declared : '';
+      if (language) {
+        if (element) detected.set(element, language);
+        return language;
+      }
+    } catch (_) {
+      // Not available in this context — fall through
+    }
+  }
+  return fieldLanguage(element);
+}
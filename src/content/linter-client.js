@@ -1,35 +1,198 @@
+/**
+ * Lints field text through the service worker, one paragraph at a time.
+ *
+ * Text is split into paragraphs (lines); lints are cached per paragraph
+ * text with paragraph-relative spans, so after a keystroke only the
+ * paragraph that changed goes to the service worker. Cached spans are
+ * rebased onto document offsets when the field's lints are assembled.
+ * The field's language and markup (plain or markdown) go with every request
+ * and are part of the cache key, since the service worker checks them
+ * differently. Code — fenced blocks, <code> / <pre> — is never sent for
+ * linting: all-code paragraphs are skipped, and code inside a paragraph is
+ * sent as masked ranges. With "Flag mixed spellings" on, the whole field
+ * also goes to the service worker once per change for the mixed-spelling
+ * check, which can't be done a paragraph at a time.
+ */
+
+import { SAFE_FIX_CONFIDENCE } from '../background/confidence.js';
+import { detectLanguage } from './language.js';
+import { fieldMarkup, codeBlockRanges } from './markup.js';
+
+const MAX_CACHED_PARAGRAPHS = 1000;
+
+/**
+ * Whether Tab fix-all may apply `lint`. With `safeOnly` ("Safe fixes only"
+ * setting) that takes a high-confidence lint; lints without a confidence
+ * never qualify. `pickOnly` lints (synonyms for a repeated word) are
+ * alternatives to choose from, not fixes.
+ */
+export function isTabFixable(lint, safeOnly = false) {
+  if (lint.suggestions.length === 0 || lint.pickOnly) return false;
+  return !safeOnly || (lint.confidence ?? 0) >= SAFE_FIX_CONFIDENCE;
+}
+
+/** Non-blank lines of `text` as [{ start, text }]. */
+export function splitParagraphs(text) {
+  const paragraphs = [];
+  const re = /[^\n]+/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    if (match[0].trim().length >= 2) paragraphs.push({ start: match.index, text: match[0] });
+  }
+  return paragraphs;
+}
+
+function isFocused(element) {
+  if (!element) return false;
+  const active = document.activeElement;
+  return !!active && (active === element || element.contains(active));
+}
+
+/** Cache key for a paragraph linted in `context` ({ language, markup, masks }). */
+function cacheKey({ language = 'en', markup = 'plain', masks = [] }, paragraph) {
+  return `${language}\n${markup}\n${masks.map(m => m.join('-')).join(',')}\n${paragraph}`;
+}
+
+/**
+ * `code` ranges within paragraph `p`, relative to it; null when the whole
+ * paragraph is code.
+ */
+function paragraphMasks(p, code) {
+  const end = p.start + p.text.length;
+  const masks = [];
+  for (const [cs, ce] of code) {
+    if (cs <= p.start && ce >= end) return null;
+    if (cs < end && ce > p.start) masks.push([Math.max(cs, p.start) - p.start, Math.min(ce, end) - p.start]);
+  }
+  return masks;
+}
+
+function rebase(lint, offset) {
+  if (offset === 0) return lint;
+  return { ...lint, span: { start: lint.span.start + offset, end: lint.span.end + offset } };
+}
+
 export class LinterClient {
   constructor() {
-    this.cache = new Map();
+    this.cache = new Map(); // cacheKey() -> lints (paragraph-relative spans)
+    this.fieldIds = new WeakMap(); // element -> id, so the service worker can tell fields apart
+    this.nextFieldId = 1;
+    this.nextRequestId = 1;
+    this.document = null; // { key, lints } for the last field text sent for the whole-document checks
   }
 
-  async lint(text) {
+  /**
+   * Lints for `text`, the current contents of `element`. Resolves to null
+   * when a newer check of the same field superseded this one — keep
+   * showing the previous lints until that one lands.
+   *
+   * `options.codeRanges` are [start, end) ranges of `text` that are code
+   * (from the page's markup); fenced blocks in markdown are found here.
+   */
+  async lint(text, element = null, options = {}) {
     if (!text || text.trim().length < 2) return [];
 
-    if (this.cache.has(text)) return this.cache.get(text);
+    const language = await detectLanguage(text, element);
+    const markup = fieldMarkup(element, text);
+    const code = [...(options.codeRanges || []), ...(markup === 'markdown' ? codeBlockRanges(text) : [])];
+    const paragraphs = [];
+    for (const p of splitParagraphs(text)) {
+      const masks = paragraphMasks(p, code);
+      if (masks) paragraphs.push({ ...p, masks, key: cacheKey({ language, markup, masks }, p.text) });
+    }
+    const missing = [...new Map(paragraphs.map(p => [p.key, p])).values()].filter(p => !this.cache.has(p.key));
+
+    if (missing.length > 0) {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'lint',
+          paragraphs: missing.map(p => p.text),
+          masks: missing.map(p => p.masks),
+          fieldId: this._fieldId(element),
+          requestId: this.nextRequestId++,
+          focused: isFocused(element),
+          language,
+          markup,
+        });
+        if (response?.cancelled) return null;
+        const results = response?.results || [];
+        missing.forEach((p, i) => this._remember(p.key, results[i] || []));
+      } catch (err) {
+        console.error('Writing Helper: lint request failed', err);
+        return [];
+      }
+    }
 
-    try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'lint',
-        text,
-      });
-      const lints = response?.lints || [];
-      this.cache.set(text, lints);
+    const lints = [];
+    for (const p of paragraphs) {
+      const cached = this.cache.get(p.key);
+      if (!cached) continue; // evicted meanwhile; the next check relints it
+      // Touch the entry so paragraphs still on screen stay cached
+      this.cache.delete(p.key);
+      this.cache.set(p.key, cached);
+      for (const lint of cached) lints.push(rebase(lint, p.start));
+    }
+    // Mixed spellings and repetition look across paragraphs, so they aren't cached per paragraph
+    if (language === 'en') {
+      return mergeLints(lints, await this._documentLints(text, { language, markup, masks: code }));
+    }
+    return lints;
+  }
 
-      // Keep cache bounded
-      if (this.cache.size > 50) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
+  /** Whole-document lints for `text`; the last answer is reused while the text is unchanged. */
+  async _documentLints(text, context) {
+    const key = cacheKey(context, text);
+    if (this.document?.key !== key) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'check-document', text, ...context });
+        this.document = { key, lints: response?.lints || [] };
+      } catch (err) {
+        console.error('Writing Helper: whole-document check failed', err);
+        return [];
       }
+    }
+    return this.document.lints;
+  }
+
+  _fieldId(element) {
+    if (!element) return 0;
+    if (!this.fieldIds.has(element)) this.fieldIds.set(element, this.nextFieldId++);
+    return this.fieldIds.get(element);
+  }
 
-      return lints;
-    } catch (err) {
-      console.error('Writing Helper: lint request failed', err);
-      return [];
+  _remember(key, lints) {
+    this.cache.set(key, lints);
+    // Keep cache bounded
+    if (this.cache.size > MAX_CACHED_PARAGRAPHS) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
     }
   }
 
+  /**
+   * Fold phase-2 (AI) lints into the cached result for a paragraph linted
+   * in `context` ({ language, markup, masks }, as sent with the request).
+   */
+  addLints(paragraph, extraLints, context = {}) {
+    const key = cacheKey(context, paragraph);
+    if (this.cache.has(key)) this.cache.set(key, mergeLints(this.cache.get(key), extraLints));
+  }
+
   clearCache() {
     this.cache.clear();
+    this.document = null;
   }
 }
+
+/**
+ * `lints` plus the `extraLints` that don't overlap any of them, sorted by
+ * position. Hard-to-read lints span whole sentences and don't block others.
+ * Returns `lints` itself when nothing new was added.
+ */
+export function mergeLints(lints, extraLints) {
+  const added = extraLints.filter(x =>
+    !lints.some(l => l.category !== 'readability' && x.span.start < l.span.end && x.span.end > l.span.start)
+  );
+  if (added.length === 0) return lints;
+  return [...lints, ...added].sort((a, b) => a.span.start - b.span.start);
+}
@@ -0,0 +1,57 @@
+/**
+ * Whether a field holds markdown, and where its code blocks are.
+ *
+ * Markdown fields are linted with Harper's markdown parser; fenced code
+ * blocks (and <code> / <pre> in contenteditable, see buildTextMap) are
+ * never linted. URLs, emails, mentions, and inline code inside a paragraph
+ * are masked by the service worker (background/masking.js).
+ */
+
+// Sites whose comment and post textareas take markdown
+const MARKDOWN_HOSTS = [
+  'github.com', 'gitlab.com', 'bitbucket.org', 'stackoverflow.com', 'stackexchange.com',
+  'superuser.com', 'serverfault.com', 'askubuntu.com', 'mathoverflow.net', 'reddit.com',
+];
+
+const MARKDOWN_HINT = /markdown|\bmd\b|wmd-input/i;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+function onMarkdownHost() {
+  if (typeof location === 'undefined') return false;
+  const host = location.hostname;
+  return MARKDOWN_HOSTS.some(h => host === h || host.endsWith('.' + h));
+}
+
+function hasMarkdownHint(element) {
+  const attrs = ['class', 'id', 'name', 'aria-label', 'placeholder', 'data-editor'];
+  return attrs.some(name => MARKDOWN_HINT.test(element.getAttribute?.(name) || ''));
+}
+
+/** 'markdown' or 'plain' for the field `element` holding `text`. */
+export function fieldMarkup(element, text) {
+  if (element?.tagName === 'TEXTAREA' && (hasMarkdownHint(element) || onMarkdownHost())) return 'markdown';
+  return text.split('\n').some(line => FENCE.test(line)) ? 'markdown' : 'plain';
+}
+
+/**
+ * [start, end) ranges of fenced code blocks, fences included. An unclosed
+ * fence runs to the end of the text, as it does in a markdown preview.
+ */
+export function codeBlockRanges(text) {
+  const ranges = [];
+  let open = null; // { start, marker }
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const fence = line.match(FENCE)?.[1];
+    if (open === null) {
+      if (fence) open = { start: offset, marker: fence };
+    } else if (fence && fence[0] === open.marker[0] && fence.length >= open.marker.length &&
+        line.trim() === fence) {
+      ranges.push([open.start, offset + line.length]);
+      open = null;
+    }
+    offset += line.length + 1;
+  }
+  if (open !== null) ranges.push([open.start, text.length]);
+  return ranges;
+}
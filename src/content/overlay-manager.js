@@ -1,12 +1,19 @@
+import { isTabFixable } from './linter-client.js';
+import { fieldLanguage } from './language.js';
+
 export class OverlayManager {
   constructor(linterClient, suggestionPopup) {
     this.linterClient = linterClient;
     this.suggestionPopup = suggestionPopup;
     this.overlays = new Map(); // element -> { overlay, debounceTimer, lints }
     this.onLintsChanged = null; // callback: (element, lints) => void
+    this.onFixesApplied = null; // callback: (element, edits) => void, see fix-history.js
+    this.filterLints = null; // (element, text, lints) => lints, drops dismissed lints
     // Cache AI sentence check results: sentenceText -> { improved: string|null }
     this._aiSentenceCache = new Map();
     this._aiSentenceChecking = new Set();
+    this.isAIEnabled = () => true; // overridable check (site profile)
+    this.isSafeFixesOnly = () => false; // overridable check ("Safe fixes only" setting)
   }
 
   attach(element) {
@@ -108,12 +115,26 @@ export class OverlayManager {
 
   async runCheck(element) {
     const text = element.value;
-    const lints = await this.linterClient.lint(text);
+    const lints = await this.linterClient.lint(text, element);
+    // null: superseded by a newer check. A changed value means a newer
+    // check (possibly served from cache) already rendered.
+    if (lints === null || element.value !== text) return;
     const state = this.overlays.get(element);
     if (!state) return;
-    state.lints = lints;
-    this.renderOverlay(element, text, lints);
-    if (this.onLintsChanged) this.onLintsChanged(element, lints);
+    const visible = this.filterLints ? this.filterLints(element, text, lints) : lints;
+    state.lints = visible;
+    this.renderOverlay(element, text, visible);
+    if (this.onLintsChanged) this.onLintsChanged(element, visible);
+  }
+
+  /**
+   * Re-check every field containing `paragraph`, e.g. after AI proofreading
+   * lints for it were added to the lint cache. Served from the cache.
+   */
+  refreshParagraph(paragraph) {
+    for (const element of this.overlays.keys()) {
+      if (element.value.includes(paragraph)) this.runCheck(element);
+    }
   }
 
   /**
@@ -151,14 +172,28 @@ export class OverlayManager {
     // Build marks: lints + AI changed-word highlights
     const marks = [];
 
-    // Add lint marks
+    // Add lint marks. A hard-to-read lint covers its whole sentence, so it's
+    // cut into pieces around the lints inside it.
     const sorted = [...lints].sort((a, b) => a.span.start - b.span.start);
+    const inner = sorted.filter(l => l.category !== 'readability');
     sorted.forEach((lint, i) => {
-      marks.push({ type: 'lint', start: lint.span.start, end: lint.span.end, lint, index: i });
+      if (lint.category !== 'readability') {
+        marks.push({ type: 'lint', start: lint.span.start, end: lint.span.end, lint, index: i });
+        return;
+      }
+      let start = lint.span.start;
+      for (const other of inner) {
+        if (other.span.end <= start || other.span.start >= lint.span.end) continue;
+        if (other.span.start > start) marks.push({ type: 'lint', start, end: other.span.start, lint, index: i });
+        start = Math.max(start, other.span.end);
+      }
+      if (start < lint.span.end) marks.push({ type: 'lint', start, end: lint.span.end, lint, index: i });
     });
 
     // Add AI changed-word marks (only specific words, not full sentences)
-    const confirmedSentences = sentences.filter(s => this._aiSentenceCache.has(s.text));
+    const confirmedSentences = this.isAIEnabled()
+      ? sentences.filter(s => this._aiSentenceCache.has(s.text))
+      : [];
     for (const sentence of confirmedSentences) {
       const cached = this._aiSentenceCache.get(sentence.text);
       if (!cached?.improved) continue;
@@ -243,6 +278,8 @@ export class OverlayManager {
    * Debounce is skipped if all sentences are already handled (cache/in-flight).
    */
   async _checkSentencesWithAI(sentences, element) {
+    if (!this.isAIEnabled()) return;
+
     // Check if there are actually new sentences to check
     const needsCheck = sentences.some(s =>
       !this._aiSentenceCache.has(s.text) && !this._aiSentenceChecking.has(s.text)
@@ -270,7 +307,7 @@ export class OverlayManager {
         this._aiSentenceCache.delete(firstKey);
       }
 
-      chrome.runtime.sendMessage({ type: 'ai-improve', text: sentenceText })
+      chrome.runtime.sendMessage({ type: 'ai-improve', text: sentenceText, language: fieldLanguage(element) })
         .then(result => {
           this._aiSentenceChecking.delete(sentenceText);
           if (result?.available && result.improved && result.improved !== sentenceText) {
@@ -361,31 +398,88 @@ export class OverlayManager {
 
     // Only fix lints within the cursor's paragraph
     const fixable = state.lints.filter(l =>
-      l.suggestions.length > 0 &&
+      isTabFixable(l, this.isSafeFixesOnly()) &&
       l.span.start >= paraStart &&
       l.span.end <= paraEnd
     );
     if (fixable.length === 0) return false;
 
-    let text = element.value;
-    const sorted = [...fixable].sort((a, b) => b.span.start - a.span.start);
-    sorted.forEach(lint => {
-      const replacement = lint.suggestions[0].text;
-      text = text.substring(0, lint.span.start) + replacement + text.substring(lint.span.end);
-    });
+    const text = element.value;
+    const edits = fixable.map(l => ({
+      start: l.span.start,
+      original: text.substring(l.span.start, l.span.end),
+      replacement: l.suggestions[0].text,
+    }));
+
+    // Keep the caret where it was, shifted by the fixes before it
+    let caret = element.selectionStart;
+    for (const edit of edits) {
+      if (caret != null && edit.start < caret) caret += edit.replacement.length - edit.original.length;
+    }
+
+    // Back to front, so earlier spans stay valid
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+      this.replaceText(element, edit.start, edit.start + edit.original.length, edit.replacement);
+    }
+    if (caret != null) element.setSelectionRange(caret, caret);
 
-    element.value = text;
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    this.linterClient.clearCache();
     this.scheduleCheck(element);
+    if (this.onFixesApplied) this.onFixesApplied(element, edits);
     return true;
   }
 
   applySingleFix(element, lint, suggestion) {
-    const text = element.value;
-    element.value = text.substring(0, lint.span.start) + suggestion.text + text.substring(lint.span.end);
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    this.linterClient.clearCache();
+    const original = element.value.substring(lint.span.start, lint.span.end);
+    this.replaceText(element, lint.span.start, lint.span.end, suggestion.text);
     this.scheduleCheck(element);
+    if (this.onFixesApplied) {
+      this.onFixesApplied(element, [{ start: lint.span.start, original, replacement: suggestion.text }]);
+    }
+  }
+
+  getText(element) {
+    return element.value;
+  }
+
+  getCaret(element) {
+    return element.selectionStart ?? -1;
+  }
+
+  setCaret(element, offset) {
+    element.focus();
+    element.setSelectionRange(offset, offset);
+  }
+
+  /** Select [start, end) and scroll it into view (the popup's Document tab). */
+  selectRange(element, start, end) {
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    // Re-focusing after setting the selection makes Chrome scroll the field to it
+    element.blur();
+    element.setSelectionRange(start, end);
+    element.focus();
+  }
+
+  /** Open the suggestion popup for `lint`, anchored on its underline when it's rendered. */
+  showLintPopup(element, lint, options) {
+    const state = this.overlays.get(element);
+    if (!state) return;
+    const sorted = [...state.lints].sort((a, b) => a.span.start - b.span.start);
+    const index = sorted.indexOf(lint);
+    const mark = state.overlay.querySelector(`mark[data-lint-index="${index}"]`);
+    this.suggestionPopup.show(lint, element, mark || element, options);
+  }
+
+  /**
+   * Replace [start, end) of the field's value. Goes through
+   * execCommand('insertText') so the edit lands on the browser's own undo
+   * stack; assigns `value` only where the browser refuses.
+   */
+  replaceText(element, start, end, text) {
+    element.focus();
+    element.setSelectionRange(start, end);
+    if (!document.execCommand('insertText', false, text)) {
+      element.value = element.value.substring(0, start) + text + element.value.substring(end);
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
   }
 }
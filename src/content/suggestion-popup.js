@@ -1,9 +1,24 @@
+/** Button labels for the lint `aiRewrite` values (ai-rephrase tones). */
+const AI_REWRITE_LABELS = {
+  split: 'Split with AI',
+  active: 'Rewrite in active voice',
+};
+
 export class SuggestionPopup {
   constructor() {
     this.popupEl = null;
     this.currentLint = null;
     this.currentElement = null;
     this.onApply = null; // callback set by caller
+    this.onAddToDictionary = null; // (element, lint) => void
+    this.onIgnoreEverywhere = null; // (element, lint) => void
+    this.onDismiss = null; // (element, lint, scope) => void, scope 'field' | 'site'
+    this.onAIRewrite = null; // (element, lint, anchorElement) => void, for lints with `aiRewrite`
+    this.aiUnavailableReason = null; // () => string, why AI rewrites are off ('' when they're on)
+    this._onStreamCancel = null; // set while an AI rewrite is streaming in
+    this._streamBody = null;
+    this._anchor = null; // element the popup was last positioned on
+    this.liveEl = null; // screen-reader announcements
     this.createPopupElement();
   }
 
@@ -11,8 +26,18 @@ export class SuggestionPopup {
     this.popupEl = document.createElement('div');
     this.popupEl.className = 'spelling-tab-popup';
     this.popupEl.style.display = 'none';
+    this.popupEl.setAttribute('role', 'dialog');
+    this.popupEl.setAttribute('aria-label', 'Writing suggestion');
     document.body.appendChild(this.popupEl);
 
+    this.liveEl = document.createElement('div');
+    this.liveEl.className = 'spelling-tab-sr-only';
+    this.liveEl.setAttribute('role', 'status');
+    this.liveEl.setAttribute('aria-live', 'polite');
+    document.body.appendChild(this.liveEl);
+
+    this.popupEl.addEventListener('keydown', (e) => this._onKeydown(e));
+
     // Close on click outside
     document.addEventListener('click', (e) => {
       if (this.popupEl.style.display !== 'none' && !this.popupEl.contains(e.target)) {
@@ -26,10 +51,18 @@ export class SuggestionPopup {
     });
   }
 
-  show(lint, targetElement, anchorElement) {
+  /**
+   * Open the popup for `lint`. With { keyboard: true } (issue navigation)
+   * focus moves into the popup, suggestions get number keys, and the lint is
+   * announced to screen readers, prefixed by `position` ("Issue 2 of 5").
+   */
+  show(lint, targetElement, anchorElement, options = {}) {
+    this._cancelStreaming();
     this.currentLint = lint;
     this.currentElement = targetElement;
     this.popupEl.innerHTML = '';
+    this.popupEl.classList.toggle('spelling-tab-popup-keyboard', !!options.keyboard);
+    this.popupEl.setAttribute('aria-label', 'Writing suggestion');
 
     // Use diff view for AI sentence suggestions
     if (lint._aiDiff) {
@@ -38,6 +71,91 @@ export class SuggestionPopup {
       this._renderStandardPopup(lint, targetElement);
     }
 
+    this._position(anchorElement);
+    this._setupRovingFocus(!!options.keyboard);
+    if (options.keyboard) this.announce(this._describe(lint, options.position));
+  }
+
+  isOpen() {
+    return this.popupEl.style.display !== 'none';
+  }
+
+  /** True while keyboard focus is inside the popup. */
+  hasFocus() {
+    return this.popupEl.contains(document.activeElement);
+  }
+
+  /** Speak `text` through the polite live region. */
+  announce(text) {
+    // Clear first so repeating the same message is announced again
+    this.liveEl.textContent = '';
+    setTimeout(() => { this.liveEl.textContent = text; }, 50);
+  }
+
+  _describe(lint, position) {
+    const parts = [];
+    if (position) parts.push(position + '.');
+    parts.push(`${lint.lintKindPretty || lint.lintKind || 'Issue'}: "${lint.problemText}".`);
+    if (lint.message) parts.push(lint.message);
+    const count = Math.min(lint.suggestions.length, 9);
+    if (lint._aiDiff) {
+      parts.push(`Suggested: "${lint.suggestions[0].text}". Press 1 to accept.`);
+    } else if (lint.aiRewrite && this.onAIRewrite) {
+      parts.push(`Press 1 to ${AI_REWRITE_LABELS[lint.aiRewrite].toLowerCase()}.`);
+    } else if (count === 1) {
+      parts.push(`Press 1 for "${lint.suggestions[0].text || 'remove'}".`);
+    } else if (count > 1) {
+      parts.push(`${lint.suggestions.length} suggestions, press 1 to ${count} to apply.`);
+    }
+    parts.push('Escape to close.');
+    return parts.join(' ');
+  }
+
+  /** Buttons in the popup, in tab order. */
+  _buttons() {
+    return [...this.popupEl.querySelectorAll('button')];
+  }
+
+  /** One tab stop for the whole popup; arrow keys move between buttons. */
+  _setupRovingFocus(focusFirst) {
+    const buttons = this._buttons();
+    buttons.forEach((btn, i) => btn.setAttribute('tabindex', i === 0 ? '0' : '-1'));
+    if (focusFirst && buttons.length > 0) buttons[0].focus();
+  }
+
+  _moveFocus(delta) {
+    const buttons = this._buttons();
+    if (buttons.length === 0) return;
+    const current = buttons.indexOf(document.activeElement);
+    const next = current === -1 ? 0 : (current + delta + buttons.length) % buttons.length;
+    buttons.forEach((btn, i) => btn.setAttribute('tabindex', i === next ? '0' : '-1'));
+    buttons[next].focus();
+  }
+
+  _onKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    let handled = true;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+      this._moveFocus(1);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+      this._moveFocus(-1);
+    } else if (e.key === 'Tab') {
+      // Keep focus inside the popup while it's open
+      this._moveFocus(e.shiftKey ? -1 : 1);
+    } else if (/^[1-9]$/.test(e.key)) {
+      const shortcut = this.popupEl.querySelector(`[data-key="${e.key}"]`);
+      if (shortcut) shortcut.click();
+    } else {
+      handled = false;
+    }
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  _position(anchorElement) {
+    this._anchor = anchorElement;
     // Position near the anchor
     const rect = anchorElement.getBoundingClientRect();
     this.popupEl.style.left = rect.left + 'px';
@@ -56,6 +174,87 @@ export class SuggestionPopup {
     });
   }
 
+  /**
+   * Show an AI rewrite while it streams in. Feed text with updateStreaming(),
+   * then finishStreaming(lint) or failStreaming(message). Closing the popup
+   * before then calls onCancel.
+   */
+  showStreaming(label, targetElement, anchorElement, onCancel) {
+    this._cancelStreaming();
+    this.currentLint = null;
+    this.currentElement = targetElement;
+    this.popupEl.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'spelling-tab-diff-header';
+    header.textContent = '✨ Writing suggestion';
+    this.popupEl.appendChild(header);
+
+    const sub = document.createElement('div');
+    sub.className = 'spelling-tab-diff-subtitle';
+    sub.textContent = label;
+    this.popupEl.appendChild(sub);
+
+    this._streamBody = document.createElement('div');
+    this._streamBody.className = 'spelling-tab-diff-body spelling-tab-diff-streaming';
+    this.popupEl.appendChild(this._streamBody);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'spelling-tab-diff-dismiss';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hide();
+    });
+    this.popupEl.appendChild(cancelBtn);
+
+    this._onStreamCancel = onCancel;
+    this._position(anchorElement);
+  }
+
+  updateStreaming(text) {
+    if (this._onStreamCancel && this._streamBody) this._streamBody.textContent = text;
+  }
+
+  /** Swap the streaming view for the finished lint, keeping the popup in place. */
+  finishStreaming(lint) {
+    if (!this._onStreamCancel) return; // closed meanwhile
+    this._endStreaming();
+    this.currentLint = lint;
+    this.popupEl.innerHTML = '';
+    if (lint._aiDiff) {
+      this._renderDiffPopup(lint, this.currentElement);
+    } else {
+      this._renderStandardPopup(lint, this.currentElement);
+    }
+  }
+
+  /** Replace the streaming text with a message (AI unavailable, no changes). */
+  failStreaming(message) {
+    if (!this._onStreamCancel) return;
+    this._endStreaming();
+    const body = this.popupEl.querySelector('.spelling-tab-diff-streaming');
+    if (body) {
+      body.classList.remove('spelling-tab-diff-streaming');
+      body.classList.add('spelling-tab-diff-note');
+      body.textContent = message;
+    }
+    const btn = this.popupEl.querySelector('.spelling-tab-diff-dismiss');
+    if (btn) btn.textContent = 'Close';
+  }
+
+  /** Leave streaming mode without cancelling. */
+  _endStreaming() {
+    this._onStreamCancel = null;
+    this._streamBody = null;
+  }
+
+  _cancelStreaming() {
+    const cancel = this._onStreamCancel;
+    this._endStreaming();
+    cancel?.();
+  }
+
   _renderStandardPopup(lint, targetElement) {
     // Category label
     const cat = lint.category || 'grammar';
@@ -70,6 +269,7 @@ export class SuggestionPopup {
     msg.className = 'spelling-tab-popup-message';
     msg.textContent = lint.message;
     this.popupEl.appendChild(msg);
+    this.popupEl.setAttribute('aria-label', `${label}: ${lint.problemText}`);
 
     // Problem text
     const problem = document.createElement('div');
@@ -78,16 +278,46 @@ export class SuggestionPopup {
     this.popupEl.appendChild(problem);
 
     // Suggestions
-    if (lint.suggestions.length === 0) {
+    if (lint.aiRewrite && this.onAIRewrite) {
+      // No fixed rewrite for this one (a hard sentence, passive voice) — ask AI
+      const rewriteBtn = document.createElement('button');
+      rewriteBtn.className = 'spelling-tab-popup-suggestion';
+      rewriteBtn.textContent = '✨ ' + AI_REWRITE_LABELS[lint.aiRewrite];
+      rewriteBtn.dataset.key = '1';
+      rewriteBtn.setAttribute('aria-keyshortcuts', '1');
+      const reason = this.aiUnavailableReason?.();
+      if (reason) {
+        rewriteBtn.disabled = true;
+        rewriteBtn.title = reason;
+      }
+      rewriteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.onAIRewrite(targetElement, lint, this._anchor);
+      });
+      this.popupEl.appendChild(rewriteBtn);
+    } else if (lint.suggestions.length === 0) {
       const noSugg = document.createElement('div');
       noSugg.className = 'spelling-tab-popup-no-suggestion';
       noSugg.textContent = 'No suggestions available';
       this.popupEl.appendChild(noSugg);
     } else {
-      lint.suggestions.forEach(suggestion => {
+      let group = null;
+      lint.suggestions.forEach((suggestion, i) => {
+        // Synonyms come in groups by part of speech, each under a heading
+        if (suggestion.group && suggestion.group !== group) {
+          group = suggestion.group;
+          const heading = document.createElement('div');
+          heading.className = 'spelling-tab-popup-group';
+          heading.textContent = group;
+          this.popupEl.appendChild(heading);
+        }
         const btn = document.createElement('button');
         btn.className = 'spelling-tab-popup-suggestion';
         btn.textContent = suggestion.text || '(remove)';
+        if (i < 9) {
+          btn.dataset.key = String(i + 1);
+          btn.setAttribute('aria-keyshortcuts', String(i + 1));
+        }
         btn.addEventListener('click', (e) => {
           e.stopPropagation();
           if (this.onApply) {
@@ -98,6 +328,66 @@ export class SuggestionPopup {
         this.popupEl.appendChild(btn);
       });
     }
+
+    this._renderActions(lint, targetElement);
+  }
+
+  /**
+   * "Dismiss" (this field or the whole site), "Add to dictionary" (single-word
+   * spelling lints) and "Ignore everywhere" (spelling lints, the only ones the
+   * ignore list hides). Not shown for AI rewrites or the synonym picker —
+   * there's no lint or word to remember.
+   */
+  _renderActions(lint, targetElement) {
+    if (lint._aiResult || lint._synonyms) return;
+    const problem = (lint.problemText || '').trim();
+    if (!problem) return;
+
+    const actions = document.createElement('div');
+    actions.className = 'spelling-tab-popup-actions';
+
+    if (this.onDismiss) {
+      for (const [scope, label] of [['field', 'Dismiss'], ['site', 'Dismiss on this site']]) {
+        const dismissBtn = document.createElement('button');
+        dismissBtn.className = 'spelling-tab-popup-action';
+        dismissBtn.textContent = label;
+        dismissBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.onDismiss(targetElement, lint, scope);
+          this.hide();
+        });
+        actions.appendChild(dismissBtn);
+      }
+    }
+
+    // Only short spelling lints have a word worth remembering everywhere
+    const isWord = lint.category === 'spelling' && problem.length <= 60;
+    const isSingleWord = !/\s/.test(problem);
+    if (isWord && isSingleWord && this.onAddToDictionary) {
+      const addBtn = document.createElement('button');
+      addBtn.className = 'spelling-tab-popup-action';
+      addBtn.textContent = 'Add to dictionary';
+      addBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.onAddToDictionary(targetElement, lint);
+        this.hide();
+      });
+      actions.appendChild(addBtn);
+    }
+
+    if (isWord && this.onIgnoreEverywhere) {
+      const ignoreBtn = document.createElement('button');
+      ignoreBtn.className = 'spelling-tab-popup-action';
+      ignoreBtn.textContent = 'Ignore everywhere';
+      ignoreBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.onIgnoreEverywhere(targetElement, lint);
+        this.hide();
+      });
+      actions.appendChild(ignoreBtn);
+    }
+
+    if (actions.childNodes.length > 0) this.popupEl.appendChild(actions);
   }
 
   /**
@@ -113,7 +403,7 @@ export class SuggestionPopup {
     // Subtitle
     const sub = document.createElement('div');
     sub.className = 'spelling-tab-diff-subtitle';
-    sub.textContent = 'Improve your text';
+    sub.textContent = lint._aiResult ? lint.message : 'Improve your text';
     this.popupEl.appendChild(sub);
 
     // Diff body — word-level comparison
@@ -137,10 +427,31 @@ export class SuggestionPopup {
 
     this.popupEl.appendChild(diffBody);
 
+    // Why the model changed things, from its structured reply
+    const reasons = (lint._aiChanges || []).filter(c => c.reason).slice(0, 3);
+    if (reasons.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'spelling-tab-diff-reasons';
+      for (const change of reasons) {
+        const item = document.createElement('li');
+        item.textContent = change.reason;
+        list.appendChild(item);
+      }
+      this.popupEl.appendChild(list);
+    }
+    if (lint._aiConfidence != null && lint._aiConfidence < 0.5) {
+      const warning = document.createElement('div');
+      warning.className = 'spelling-tab-diff-low-confidence';
+      warning.textContent = 'The AI isn\'t sure about this one — check it before accepting.';
+      this.popupEl.appendChild(warning);
+    }
+
     // Accept button
     const acceptBtn = document.createElement('button');
     acceptBtn.className = 'spelling-tab-diff-accept';
     acceptBtn.textContent = 'Accept suggestion';
+    acceptBtn.dataset.key = '1';
+    acceptBtn.setAttribute('aria-keyshortcuts', '1');
     acceptBtn.addEventListener('click', (e) => {
       e.stopPropagation();
       if (this.onApply) {
@@ -200,6 +511,10 @@ export class SuggestionPopup {
   }
 
   hide() {
+    // Closing while an AI rewrite streams in aborts it
+    this._cancelStreaming();
+    // Hand keyboard focus back to the field it came from
+    if (this.hasFocus() && this.currentElement) this.currentElement.focus();
     this.popupEl.style.display = 'none';
     this.currentLint = null;
     this.currentElement = null;
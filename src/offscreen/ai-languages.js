@@ -0,0 +1,7 @@
+/**
+ * Languages Gemini Nano can write. AI requests in any other language are
+ * unavailable, and the model's availability and download are checked for
+ * all of them so a Spanish or Japanese field isn't reported ready too early.
+ */
+
+export const AI_LANGUAGES = ['en', 'es', 'ja'];
@@ -0,0 +1,73 @@
+/**
+ * A small pool of Harper workers (see harper-worker.js).
+ *
+ * lint() and read-only calls go to the least busy worker. Calls that change
+ * linter state (lint config, dictionary) go to every worker so they all
+ * lint the same way; the latest of each is remembered and replayed to a
+ * worker that has to be replaced after a crash.
+ */
+
+const BROADCAST_METHODS = new Set(['setDialect', 'setLintConfig', 'clearWords', 'importWords']);
+
+export class HarperPool {
+  constructor(size) {
+    this.workers = [];
+    this.nextId = 1;
+    this.state = new Map(); // broadcast method -> args, replayed to new workers
+    for (let i = 0; i < size; i++) this.workers.push(this._spawn());
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  _spawn() {
+    const entry = {
+      worker: new Worker(new URL('harper-worker.js', import.meta.url), { type: 'module' }),
+      pending: new Map(), // id -> { resolve, reject }
+    };
+    entry.worker.onmessage = ({ data }) => {
+      const call = entry.pending.get(data.id);
+      if (!call) return;
+      entry.pending.delete(data.id);
+      if ('error' in data) call.reject(new Error(data.error));
+      else call.resolve(data.result);
+    };
+    entry.worker.onerror = (event) => {
+      console.error('[Writing Helper] Harper worker crashed:', event.message);
+      this._replace(entry);
+    };
+    // setDialect must precede the rest (it rebuilds the linter) and clearWords
+    // must precede importWords, so replay in insertion order
+    for (const [method, args] of this.state) this._post(entry, method, args).catch(() => {});
+    return entry;
+  }
+
+  _replace(entry) {
+    const index = this.workers.indexOf(entry);
+    if (index === -1) return;
+    entry.worker.terminate();
+    for (const call of entry.pending.values()) call.reject(new Error('Harper worker crashed'));
+    this.workers[index] = this._spawn();
+  }
+
+  _post(entry, method, args) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      entry.pending.set(id, { resolve, reject });
+      entry.worker.postMessage({ id, method, args });
+    });
+  }
+
+  /** Call a LocalLinter method in the pool. */
+  call(method, args = []) {
+    if (BROADCAST_METHODS.has(method)) {
+      if (method === 'clearWords') this.state.delete('importWords');
+      this.state.delete(method);
+      this.state.set(method, args);
+      return Promise.all(this.workers.map(w => this._post(w, method, args))).then(results => results[0]);
+    }
+    const idle = this.workers.reduce((a, b) => (b.pending.size < a.pending.size ? b : a));
+    return this._post(idle, method, args);
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Dedicated worker hosting one Harper LocalLinter.
+ *
+ * Spawned by the offscreen document's HarperPool. Receives
+ * { id, method, args } and replies { id, result } or { id, error }.
+ * lint() results are serialized here, so only plain objects cross the
+ * worker boundary.
+ */
+
+import { LocalLinter, BinaryModule, Dialect } from 'harper.js';
+
+// Built to dist/offscreen/; the WASM binary lives in dist/wasm/
+const binary = BinaryModule.create(new URL('../wasm/harper_wasm_bg.wasm', self.location.href).href);
+const linter = new LocalLinter({ binary });
+const ready = linter.setup();
+
+const METHODS = new Set([
+  'setup', 'lint', 'getDefaultLintConfig', 'getLintDescriptions',
+  'setLintConfig', 'clearWords', 'importWords', 'setDialect',
+]);
+
+// The extension's dialect ids (rule-settings.js) → Harper's Dialect
+const DIALECTS = {
+  us: Dialect.American,
+  uk: Dialect.British,
+  ca: Dialect.Canadian,
+  au: Dialect.Australian,
+};
+
+/** Harper Lint objects → plain lint objects (without category). */
+function serialize(lints) {
+  return lints.map(lint => {
+    const span = lint.span();
+    const suggestions = lint.suggestions();
+    const result = {
+      span: { start: span.start, end: span.end },
+      message: lint.message(),
+      lintKind: lint.lint_kind(),
+      lintKindPretty: lint.lint_kind_pretty(),
+      problemText: lint.get_problem_text(),
+      suggestions: suggestions.map(s => ({
+        text: s.get_replacement_text(),
+        kind: s.kind(),
+      })),
+    };
+    // Free WASM objects
+    span.free();
+    suggestions.forEach(s => s.free());
+    lint.free();
+    return result;
+  });
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, method, args = [] } = data;
+  try {
+    if (!METHODS.has(method)) throw new Error(`Unknown Harper method: ${method}`);
+    await ready;
+    let result;
+    if (method === 'lint') {
+      const language = args[1]?.language === 'markdown' ? 'markdown' : 'plaintext';
+      result = serialize(await linter.lint(args[0], { language }));
+    } else if (method === 'setDialect') {
+      await linter.setDialect(DIALECTS[args[0]] ?? Dialect.American);
+    } else if (method !== 'setup') { // setup already ran above
+      result = await linter[method](...args);
+    }
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
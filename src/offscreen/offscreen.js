@@ -1,43 +1,54 @@
 /**
- * Minimal offscreen document for "Improve with AI" feature.
+ * Minimal offscreen document for the AI features (improve, rephrase, draft,
+ * proofread) and the Harper worker pool.
  *
- * The Prompt API (LanguageModel) requires a DOM context — it doesn't work
- * in service workers. This offscreen document provides that context.
+ * The Prompt API (LanguageModel) requires a DOM context, and dedicated
+ * workers can't be started from a service worker. This offscreen document
+ * provides both.
  */
 
-let _promptApiAvailable = null;
+import { HarperPool } from './harper-pool.js';
+import { AI_LANGUAGES } from './ai-languages.js';
 
-async function checkPromptApi() {
-  if (_promptApiAvailable !== null) return _promptApiAvailable;
+let _promptApiAvailable = false;
 
-  if (typeof LanguageModel === 'undefined') {
-    console.log('[Writing Helper AI] LanguageModel not available in this environment');
-    _promptApiAvailable = false;
-    return false;
-  }
+/** The request's language if the model supports it, else null. Defaults to English. */
+function aiLanguage(language) {
+  const lang = language || 'en';
+  return AI_LANGUAGES.includes(lang) ? lang : null;
+}
 
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/** Prompt suffix asking the model to stay in the text's language. */
+function languageNote(language) {
+  if (language === 'en') return '';
+  return `\n\nThe text is in ${languageNames.of(language)}. Write your reply in ${languageNames.of(language)}.`;
+}
+
+/**
+ * Gemini Nano status: 'unavailable' | 'downloadable' | 'downloading' | 'ready'.
+ * Not cached — it changes while the model downloads.
+ */
+async function getModelStatus() {
+  if (typeof LanguageModel === 'undefined') return 'unavailable';
   try {
-    const avail = await LanguageModel.availability();
-    _promptApiAvailable = (avail === 'available' || avail === 'downloadable' || avail === 'downloading');
-    console.log('[Writing Helper AI] Prompt API availability:', avail);
+    const avail = await LanguageModel.availability({ expectedOutputLanguages: AI_LANGUAGES });
+    return avail === 'available' ? 'ready' : avail;
   } catch (e) {
     console.log('[Writing Helper AI] Prompt API check failed:', e.message);
-    _promptApiAvailable = false;
+    return 'unavailable';
   }
+}
 
+/** True once the model is downloaded and usable. */
+async function checkPromptApi() {
+  if (_promptApiAvailable) return true;
+  _promptApiAvailable = (await getModelStatus()) === 'ready';
   return _promptApiAvailable;
 }
 
-async function handleImprove(text) {
-  const available = await checkPromptApi();
-  if (!available) return { available: false, improved: null };
-
-  try {
-    const session = await LanguageModel.create({
-      expectedOutputLanguages: ['en'],
-      initialPrompts: [{
-        role: 'system',
-        content: `You are a proofreading and writing improvement assistant.
+const IMPROVE_SYSTEM_PROMPT = `You are a proofreading and writing improvement assistant.
 
 Your task: Fix ALL errors in the user's text and improve its clarity.
 
@@ -48,39 +59,16 @@ Rules:
 - Remove repeated/duplicated words (e.g. "the the" → "the")
 - Improve sentence clarity if awkward, but keep the meaning and tone
 - Do NOT add new information or change the intent
-- Return ONLY the corrected text — no explanations, no quotes, no commentary
-- If the text is already correct, return it unchanged`,
-      }],
-    });
-
-    const improved = await session.prompt(`Fix all errors and improve this text:\n${text}`);
-    session.destroy();
-
-    if (improved && improved.trim()) {
-      let cleaned = improved.trim();
-      // Strip quotes the model might wrap around the result
-      if ((cleaned.startsWith('"') && cleaned.endsWith('"')) ||
-          (cleaned.startsWith("'") && cleaned.endsWith("'"))) {
-        cleaned = cleaned.slice(1, -1);
-      }
-      return { available: true, improved: cleaned };
-    }
-  } catch (e) {
-    console.error('[Writing Helper AI] Improve failed:', e);
-  }
-
-  return { available: false, improved: null };
-}
+- "text" holds ONLY the corrected text — no explanations, no quotes, no commentary
+- If the text is already correct, return it unchanged`;
 
 /**
- * Rephrase text in a specific tone: friendly, professional, or casual.
+ * System prompts for rephrasing: friendly, professional, or casual, plus
+ * split and active for lints with an `aiRewrite` (hard-to-read sentences,
+ * passive voice).
  */
-async function handleRephrase(text, tone) {
-  const available = await checkPromptApi();
-  if (!available) return { available: false, rephrased: null };
-
-  const tonePrompts = {
-    friendly: `You are a writing assistant. Make the user's text slightly warmer and friendlier.
+const REPHRASE_SYSTEM_PROMPTS = {
+  friendly: `You are a writing assistant. Make the user's text slightly warmer and friendlier.
 
 Rules:
 - Keep the SAME sentence structure and words as much as possible
@@ -89,9 +77,9 @@ Rules:
 - Do NOT add emojis, exclamation marks, or filler phrases like "Oh dear" or "Let's remember"
 - Fix any spelling or grammar errors along the way
 - Keep it the same length — don't make it longer
-- Return ONLY the adjusted text — no explanations, no quotes, no commentary`,
+- "text" holds ONLY the adjusted text — no explanations, no quotes, no commentary`,
 
-    professional: `You are a writing assistant. Make the user's text slightly more professional.
+  professional: `You are a writing assistant. Make the user's text slightly more professional.
 
 Rules:
 - Keep the SAME sentence structure and words as much as possible
@@ -100,9 +88,9 @@ Rules:
 - Do NOT remove sentences or add new ones
 - Fix any spelling or grammar errors along the way
 - Keep it the same length — don't make it shorter or longer
-- Return ONLY the adjusted text — no explanations, no quotes, no commentary`,
+- "text" holds ONLY the adjusted text — no explanations, no quotes, no commentary`,
 
-    casual: `You are a writing assistant. Make the user's text slightly more casual and natural.
+  casual: `You are a writing assistant. Make the user's text slightly more casual and natural.
 
 Rules:
 - Keep the SAME sentence structure and words as much as possible
@@ -111,102 +99,531 @@ Rules:
 - Do NOT add filler like "hey", "right?", "okay?" or make it sound like a chat
 - Fix any spelling or grammar errors along the way
 - Keep it the same length — don't make it longer
-- Return ONLY the adjusted text — no explanations, no quotes, no commentary`,
-  };
+- "text" holds ONLY the adjusted text — no explanations, no quotes, no commentary`,
+
+  split: `You are a writing assistant. Make the user's long sentence easier to read.
+
+Rules:
+- Split it into two or three shorter sentences
+- Keep the same words and meaning as much as possible; only add the words the split needs
+- Replace a long word with a simpler one only when it clearly helps
+- Do NOT drop any information or add new information
+- Fix any spelling or grammar errors along the way
+- "text" holds ONLY the rewritten sentences — no explanations, no quotes, no commentary`,
+
+  active: `You are a writing assistant. Rewrite the user's sentence in the active voice.
+
+Rules:
+- Make whoever does the action the subject (e.g. "The report was written by the team" → "The team wrote the report")
+- If the sentence doesn't say who does it, pick the obvious subject from context, or "we" when there's none
+- Keep the same meaning, tense, and as many of the original words as possible
+- Do NOT add new information
+- Fix any spelling or grammar errors along the way
+- "text" holds ONLY the rewritten sentence — no explanations, no quotes, no commentary`,
+};
+
+/** Tone line for the draft system prompt. */
+const DRAFT_TONE_INSTRUCTIONS = {
+  neutral: 'Write in a clear, balanced, and neutral tone.',
+  friendly: 'Write in a warm, approachable, and friendly tone.',
+  professional: 'Write in a formal, polished, and professional tone.',
+  casual: 'Write in a relaxed, conversational, and casual tone.',
+};
+
+function draftSystemPrompt(tone) {
+  const toneInstruction = DRAFT_TONE_INSTRUCTIONS[tone] || DRAFT_TONE_INSTRUCTIONS.neutral;
 
-  const systemPrompt = tonePrompts[tone];
-  if (!systemPrompt) return { available: false, rephrased: null };
+  return `You are a writing assistant. The user will describe what they want written and you will compose it for them.
 
+Rules:
+- ${toneInstruction}
+- Write exactly what the user asks for — nothing more, nothing less
+- Do NOT include greetings, sign-offs, or extra commentary unless the user asks
+- Do NOT wrap the output in quotes or add "Here is..." preamble
+- Match the length to what seems appropriate for the request
+- "text" holds ONLY the drafted text — no explanations, no meta-commentary`;
+}
+
+// ── Structured output ────────────────────────────────────────────────────
+//
+// Every rewrite and draft is requested as JSON matching RESULT_SCHEMA (via
+// the Prompt API's responseConstraint), so the text that reaches the page is
+// a field we parsed — not free text with a preamble or markdown around it.
+
+/** Appended to every rewrite/draft system prompt. */
+const RESULT_FORMAT = `
+
+Reply with JSON:
+- "text": the result, exactly as it should appear in the user's document
+- "changes": each edit you made to the user's text as { "original", "replacement", "reason" } — empty when drafting
+- "confidence": from 0 to 1, how sure you are the result is correct and keeps the user's meaning`;
+
+const RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          replacement: { type: 'string' },
+          reason: { type: 'string' },
+        },
+        required: ['original', 'replacement', 'reason'],
+      },
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+  },
+  required: ['text', 'changes', 'confidence'],
+};
+
+/** Attempts per request before giving up on output that won't validate. */
+const MAX_ATTEMPTS = 2;
+
+// Commentary the schema can't rule out: a leading code fence, or a lead-in
+// line ending in a colon ("Here is the revised text:") before the result
+const COMMENTARY_PATTERN = /^(?:```|[^\n]*:[ \t]*\n)/;
+
+function parseJSON(output) {
   try {
-    const session = await LanguageModel.create({
-      expectedOutputLanguages: ['en'],
-      initialPrompts: [{ role: 'system', content: systemPrompt }],
-    });
+    return JSON.parse(output);
+  } catch (_) {
+    return null;
+  }
+}
 
-    const rephrased = await session.prompt(`Rephrase this text:\n${text}`);
-    session.destroy();
+/**
+ * Validate a parsed RESULT_SCHEMA reply. Returns { text, changes, confidence }
+ * or null when the reply can't be trusted.
+ */
+function validateResult(value) {
+  if (!value || typeof value !== 'object') return null;
+  const text = typeof value.text === 'string' ? value.text.trim() : '';
+  if (!text || COMMENTARY_PATTERN.test(text)) return null;
+  if (typeof value.confidence !== 'number' || !Array.isArray(value.changes)) return null;
+
+  const changes = value.changes
+    .filter(c => c && typeof c.original === 'string' && typeof c.replacement === 'string')
+    .map(c => ({
+      original: c.original,
+      replacement: c.replacement,
+      reason: typeof c.reason === 'string' ? c.reason.trim() : '',
+    }));
+  return { text, changes, confidence: Math.min(1, Math.max(0, value.confidence)) };
+}
 
-    if (rephrased && rephrased.trim()) {
-      let cleaned = rephrased.trim();
-      if ((cleaned.startsWith('"') && cleaned.endsWith('"')) ||
-          (cleaned.startsWith("'") && cleaned.endsWith("'"))) {
-        cleaned = cleaned.slice(1, -1);
-      }
-      return { available: true, rephrased: cleaned };
+/**
+ * The "text" field of a JSON reply that is still streaming in, decoded so
+ * far — '' until the field starts.
+ */
+function partialTextField(json) {
+  const match = /"text"\s*:\s*"/.exec(json);
+  if (!match) return '';
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let text = '';
+  for (let i = match.index + match[0].length; i < json.length; i++) {
+    const ch = json[i];
+    if (ch === '"') break;
+    if (ch !== '\\') {
+      text += ch;
+      continue;
+    }
+    const next = json[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = json.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      text += escapes[next] ?? next;
+      i++;
     }
-  } catch (e) {
-    console.error('[Writing Helper AI] Rephrase failed:', e);
   }
+  return text;
+}
 
-  return { available: false, rephrased: null };
+/**
+ * Prompt with a JSON schema constraint, retrying when the reply doesn't
+ * parse or `validate` rejects it. Resolves to the validated value, or null
+ * after MAX_ATTEMPTS.
+ */
+async function promptStructured(request, schema, validate, signal) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const session = await acquireSession(request.systemPrompt, request.language, signal);
+    try {
+      const output = await session.prompt(request.prompt, { responseConstraint: schema, signal });
+      const value = validate(parseJSON(output));
+      if (value) return value;
+      console.warn(`[Writing Helper AI] Rejected model output (attempt ${attempt}/${MAX_ATTEMPTS})`);
+    } finally {
+      session.destroy();
+    }
+  }
+  return null;
 }
 
 /**
- * Draft new text from a prompt in a specific tone.
+ * Turn an AI message into { systemPrompt, prompt, language, resultKey }, or
+ * null if the message isn't a valid request or is in a language the model
+ * doesn't support. Shared by one-shot and streaming requests.
  */
-async function handleDraft(prompt, tone) {
+function buildRequest(message) {
+  const language = aiLanguage(message?.language);
+  if (!language) return null;
+  const note = languageNote(language);
+  switch (message?.type) {
+    case 'ai-improve':
+      return {
+        systemPrompt: IMPROVE_SYSTEM_PROMPT + RESULT_FORMAT,
+        prompt: `Fix all errors and improve this text:\n${message.text}${note}`,
+        language,
+        resultKey: 'improved',
+      };
+    case 'ai-rephrase': {
+      const systemPrompt = REPHRASE_SYSTEM_PROMPTS[message.tone];
+      if (!systemPrompt) return null;
+      return {
+        systemPrompt: systemPrompt + RESULT_FORMAT,
+        prompt: `Rephrase this text:\n${message.text}${note}`,
+        language,
+        resultKey: 'rephrased',
+      };
+    }
+    case 'ai-draft':
+      return {
+        systemPrompt: draftSystemPrompt(message.tone) + RESULT_FORMAT,
+        prompt: `Write the following:\n${message.prompt}${note}`,
+        language,
+        resultKey: 'drafted',
+      };
+    default:
+      return null;
+  }
+}
+
+// ── Session pool ─────────────────────────────────────────────────────────
+//
+// Creating a session loads the model and processes the system prompt, which
+// is the slow part. Keep one pristine base session per system prompt and
+// output language, and hand out clone()s of it; each clone is destroyed after
+// its request, so the base never accumulates conversation history. Bases idle
+// for SESSION_IDLE_MS are destroyed to give the memory back.
+
+const SESSION_IDLE_MS = 2 * 60 * 1000;
+const sessionPool = new Map(); // language + systemPrompt -> { base: Promise<session>, idleTimer }
+
+function baseSession(systemPrompt, language = 'en') {
+  const key = `${language}\n${systemPrompt}`;
+  let entry = sessionPool.get(key);
+  if (!entry) {
+    entry = {
+      base: LanguageModel.create({
+        expectedOutputLanguages: [language],
+        initialPrompts: [{ role: 'system', content: systemPrompt }],
+      }),
+      idleTimer: null,
+    };
+    sessionPool.set(key, entry);
+    // Don't pool a failed create — the next request retries
+    entry.base.catch(() => {
+      if (sessionPool.get(key) === entry) sessionPool.delete(key);
+    });
+  }
+
+  clearTimeout(entry.idleTimer);
+  entry.idleTimer = setTimeout(() => evictSession(key), SESSION_IDLE_MS);
+  return entry.base;
+}
+
+function evictSession(key) {
+  const entry = sessionPool.get(key);
+  if (!entry) return;
+  sessionPool.delete(key);
+  clearTimeout(entry.idleTimer);
+  entry.base.then(session => session.destroy()).catch(() => {});
+}
+
+/** A fresh session for one request, cloned from the pooled base. */
+async function acquireSession(systemPrompt, language, signal) {
+  const base = await baseSession(systemPrompt, language);
+  return base.clone({ signal });
+}
+
+/**
+ * Create the base session for sentence checks ahead of the first request.
+ * checkPromptApi only passes once the model is on disk, so this never
+ * starts a download.
+ */
+async function prewarm() {
+  if (!(await checkPromptApi())) return { available: false };
+  try {
+    await baseSession(IMPROVE_SYSTEM_PROMPT + RESULT_FORMAT);
+    return { available: true };
+  } catch (e) {
+    console.log('[Writing Helper AI] Prewarm failed:', e.message);
+    return { available: false };
+  }
+}
+
+/**
+ * Improve, rephrase, or draft in one go. Resolves to
+ * { available, [resultKey]: text, changes, confidence } — e.g.
+ * { available: true, improved: '...', changes: [...], confidence: 0.9 }.
+ */
+async function handlePrompt(message) {
+  const request = buildRequest(message);
+  if (!request) return { available: false };
   const available = await checkPromptApi();
-  if (!available) return { available: false, drafted: null };
+  if (!available) return { available: false, [request.resultKey]: null };
+
+  try {
+    const result = await promptStructured(request, RESULT_SCHEMA, validateResult);
+    if (result) {
+      return {
+        available: true,
+        [request.resultKey]: result.text,
+        changes: result.changes,
+        confidence: result.confidence,
+      };
+    }
+  } catch (e) {
+    console.error(`[Writing Helper AI] ${message.type} failed:`, e);
+  }
+
+  return { available: false, [request.resultKey]: null };
+}
 
-  const toneInstructions = {
-    neutral: 'Write in a clear, balanced, and neutral tone.',
-    friendly: 'Write in a warm, approachable, and friendly tone.',
-    professional: 'Write in a formal, polished, and professional tone.',
-    casual: 'Write in a relaxed, conversational, and casual tone.',
+/**
+ * Stream a request over a port from the service worker.
+ *
+ * Posts { type: 'chunk', text } with the result text so far, then
+ * { type: 'done', text, changes, confidence } once the reply validates, or
+ * { type: 'error', reason: 'unavailable' | 'failed' }. A streamed reply that
+ * doesn't validate is retried without streaming before giving up.
+ * Disconnecting the port (or posting { type: 'cancel' }) aborts the session.
+ */
+async function handleStream(port, message) {
+  const controller = new AbortController();
+  const post = (msg) => {
+    if (controller.signal.aborted) return;
+    try { port.postMessage(msg); } catch (_) { controller.abort(); }
   };
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((msg) => {
+    if (msg.type === 'cancel') controller.abort();
+  });
+
+  const request = buildRequest(message);
+  if (!request || !(await checkPromptApi())) {
+    post({ type: 'error', reason: 'unavailable' });
+    return;
+  }
 
-  const toneInstruction = toneInstructions[tone] || toneInstructions.neutral;
+  const { signal } = controller;
+  let session = null;
+  try {
+    session = await acquireSession(request.systemPrompt, request.language, signal);
+    let json = '';
+    let text = '';
+    const stream = session.promptStreaming(request.prompt, { responseConstraint: RESULT_SCHEMA, signal });
+    for await (const chunk of stream) {
+      json += chunk;
+      const partial = partialTextField(json);
+      if (partial !== text) {
+        text = partial;
+        post({ type: 'chunk', text });
+      }
+    }
+    session.destroy();
+    session = null;
 
-  const systemPrompt = `You are a writing assistant. The user will describe what they want written and you will compose it for them.
+    let result = validateResult(parseJSON(json));
+    if (!result) {
+      console.warn('[Writing Helper AI] Rejected streamed output, retrying');
+      result = await promptStructured(request, RESULT_SCHEMA, validateResult, signal);
+    }
+    if (result) {
+      post({ type: 'done', ...result });
+    } else {
+      post({ type: 'error', reason: 'failed' });
+    }
+  } catch (e) {
+    if (!signal.aborted) {
+      console.error(`[Writing Helper AI] ${message.type} stream failed:`, e);
+      post({ type: 'error', reason: 'failed' });
+    }
+  } finally {
+    session?.destroy();
+  }
+}
 
-Rules:
-- ${toneInstruction}
-- Write exactly what the user asks for — nothing more, nothing less
-- Do NOT include greetings, sign-offs, or extra commentary unless the user asks
-- Do NOT wrap the output in quotes or add "Here is..." preamble
-- Match the length to what seems appropriate for the request
-- Return ONLY the drafted text — no explanations, no meta-commentary`;
+// ── Proofreading ─────────────────────────────────────────────────────────
+//
+// Span-level corrections for the second lint pass. The Proofreader API is
+// built for this; where Chrome doesn't ship it, the Prompt API is asked for
+// the same corrections as structured JSON.
+
+/** Correction types, matching the Proofreader API's CorrectionType values. */
+const CORRECTION_TYPES = ['spelling', 'punctuation', 'capitalization', 'preposition', 'missing-words', 'grammar'];
 
+const PROOFREAD_SYSTEM_PROMPT = `You are a proofreader. List every spelling, grammar, punctuation, and capitalization error in the user's text.
+
+Rules:
+- Report each error separately
+- "original" is the erroneous text copied EXACTLY from the input — keep it short, usually one to three words
+- "correction" is what should replace "original"
+- "explanation" is one short sentence saying why
+- Do NOT report style preferences, word choice, or tone
+- If the text has no errors, return an empty list`;
+
+const PROOFREAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    corrections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          correction: { type: 'string' },
+          type: { type: 'string', enum: CORRECTION_TYPES },
+          explanation: { type: 'string' },
+        },
+        required: ['original', 'correction', 'type', 'explanation'],
+      },
+    },
+  },
+  required: ['corrections'],
+};
+
+const proofreaders = new Map(); // language -> Proofreader
+
+/** A Proofreader API instance for `language`, or null when the API isn't ready here. */
+async function getProofreader(language) {
+  if (proofreaders.has(language)) return proofreaders.get(language);
+  if (typeof Proofreader === 'undefined') return null;
   try {
-    const session = await LanguageModel.create({
-      expectedOutputLanguages: ['en'],
-      initialPrompts: [{ role: 'system', content: systemPrompt }],
-    });
+    const options = { expectedInputLanguages: [language] };
+    if ((await Proofreader.availability(options)) !== 'available') return null;
+    proofreaders.set(language, await Proofreader.create({
+      ...options,
+      includeCorrectionTypes: true,
+      includeCorrectionExplanations: true,
+    }));
+  } catch (e) {
+    console.log('[Writing Helper AI] Proofreader API unavailable:', e.message);
+    return null;
+  }
+  return proofreaders.get(language);
+}
 
-    const drafted = await session.prompt(`Write the following:\n${prompt}`);
-    session.destroy();
+/**
+ * Find each correction's `original` in the text. The model lists errors in
+ * reading order, so search forward from the previous match; drop anything
+ * it didn't copy verbatim.
+ */
+function locateCorrections(text, corrections) {
+  const located = [];
+  let from = 0;
+  for (const c of Array.isArray(corrections) ? corrections : []) {
+    if (typeof c?.original !== 'string' || !c.original || typeof c.correction !== 'string') continue;
+    let start = text.indexOf(c.original, from);
+    if (start === -1) start = text.indexOf(c.original);
+    if (start === -1) continue;
+    located.push({
+      start,
+      end: start + c.original.length,
+      correction: c.correction,
+      type: c.type,
+      explanation: c.explanation,
+    });
+    from = start + c.original.length;
+  }
+  return located;
+}
 
-    if (drafted && drafted.trim()) {
-      let cleaned = drafted.trim();
-      if ((cleaned.startsWith('"') && cleaned.endsWith('"')) ||
-          (cleaned.startsWith("'") && cleaned.endsWith("'"))) {
-        cleaned = cleaned.slice(1, -1);
-      }
-      return { available: true, drafted: cleaned };
+/**
+ * Proofread text written in `language`. Resolves to { available, corrections }
+ * where each correction is { start, end, correction, type, explanation } with
+ * UTF-16 offsets into `text`.
+ */
+async function handleProofread(text, language) {
+  const lang = aiLanguage(language);
+  if (!lang) return { available: false, corrections: [] };
+  const proofreader = await getProofreader(lang);
+  if (proofreader) {
+    try {
+      const result = await proofreader.proofread(text);
+      return {
+        available: true,
+        corrections: result.corrections.map(c => ({
+          start: c.startIndex,
+          end: c.endIndex,
+          correction: c.correction,
+          type: c.types?.[0] || c.type || 'grammar',
+          explanation: c.explanation || '',
+        })),
+      };
+    } catch (e) {
+      console.error('[Writing Helper AI] Proofreader failed:', e);
+      // Fall through to the Prompt API
     }
+  }
+
+  if (!(await checkPromptApi())) return { available: false, corrections: [] };
+  try {
+    const corrections = await promptStructured(
+      { systemPrompt: PROOFREAD_SYSTEM_PROMPT, prompt: text + languageNote(lang), language: lang }, PROOFREAD_SCHEMA,
+      value => (Array.isArray(value?.corrections) ? value.corrections : null),
+    );
+    if (corrections) return { available: true, corrections: locateCorrections(text, corrections) };
   } catch (e) {
-    console.error('[Writing Helper AI] Draft failed:', e);
+    console.error('[Writing Helper AI] ai-proofread failed:', e);
   }
+  return { available: false, corrections: [] };
+}
+
+// ── Harper workers ───────────────────────────────────────────────────────
 
-  return { available: false, drafted: null };
+// Leave a core for the page; two workers are plenty for typing speed
+const HARPER_POOL_SIZE = Math.max(1, Math.min(2, (navigator.hardwareConcurrency || 2) - 1));
+let harperPool = null;
+
+/** Run a LocalLinter method in the pool. Resolves to { result } or { error }. */
+async function handleHarper(message) {
+  harperPool ??= new HarperPool(HARPER_POOL_SIZE);
+  if (message.method === 'poolSize') return { result: harperPool.size };
+  try {
+    return { result: await harperPool.call(message.method, message.args) };
+  } catch (e) {
+    return { error: e.message };
+  }
 }
 
 // Message router — only handle messages targeted at offscreen
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.target !== 'offscreen') return false;
 
-  if (message.type === 'ai-improve') {
-    handleImprove(message.text).then(sendResponse);
+  if (message.type === 'ai-improve' || message.type === 'ai-rephrase' || message.type === 'ai-draft') {
+    handlePrompt(message).then(sendResponse);
     return true;
   }
 
-  if (message.type === 'ai-rephrase') {
-    handleRephrase(message.text, message.tone).then(sendResponse);
+  if (message.type === 'harper') {
+    handleHarper(message).then(sendResponse);
     return true;
   }
 
-  if (message.type === 'ai-draft') {
-    handleDraft(message.prompt, message.tone).then(sendResponse);
+  if (message.type === 'ai-proofread') {
+    handleProofread(message.text, message.language).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'ai-prewarm') {
+    prewarm().then(sendResponse);
     return true;
   }
 
@@ -215,7 +632,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'ai-status') {
+    getModelStatus().then(status => sendResponse({ status }));
+    return true;
+  }
+
   return false;
 });
 
+// Streaming requests arrive on a port opened by the service worker
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'offscreen-ai-stream') return;
+  port.onMessage.addListener(function onStart(msg) {
+    if (msg.type !== 'start') return;
+    port.onMessage.removeListener(onStart);
+    handleStream(port, msg.request);
+  });
+});
+
 console.log('[Writing Helper AI] Offscreen document loaded');
@@ -0,0 +1,608 @@
+const loading = document.getElementById('loading');
+const saveStatus = document.getElementById('save-status');
+const customRulesEl = document.getElementById('custom-rules');
+const harperKindsEl = document.getElementById('harper-kinds');
+const harperRulesEl = document.getElementById('harper-rules');
+const harperSearch = document.getElementById('harper-search');
+const fixingOptionsEl = document.getElementById('fixing-options');
+const spellingOptionsEl = document.getElementById('spelling-options');
+const readabilityOptionsEl = document.getElementById('readability-options');
+
+let settings = {
+  rules: {}, harperRules: {}, harperKinds: {}, safeFixesOnly: false, dialect: 'us', dialectConsistency: false,
+  maxSentenceWords: 35, maxSentenceGrade: 16,
+};
+
+const DIALECT_OPTIONS = [
+  ['us', 'American English'],
+  ['uk', 'British English'],
+  ['ca', 'Canadian English'],
+  ['au', 'Australian English'],
+];
+
+const SENTENCE_WORD_OPTIONS = [['0', 'Off'], ...[20, 25, 30, 35, 40, 50].map(n => [String(n), `${n} words`])];
+const SENTENCE_GRADE_OPTIONS = [['0', 'Off'], ...[10, 12, 14, 16, 18].map(n => [String(n), `Grade ${n}`])];
+let saveTimer = null;
+
+/** "in-order-to" → "In order to" */
+function humanize(id) {
+  const words = id.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Only overrides are stored: toggling a rule back to its default removes
+ * the entry, so future changes to the default still reach this user.
+ */
+function setOverride(mapName, key, enabled, defaultEnabled) {
+  if (enabled === defaultEnabled) {
+    delete settings[mapName][key];
+  } else {
+    settings[mapName][key] = enabled;
+  }
+  save();
+}
+
+function save() {
+  clearTimeout(saveTimer);
+  saveStatus.textContent = 'Saving...';
+  // Batch rapid toggles into one write — storage.sync has a write quota
+  saveTimer = setTimeout(() => {
+    chrome.runtime.sendMessage({ type: 'set-rule-settings', settings }, () => {
+      saveStatus.textContent = chrome.runtime.lastError ? 'Could not save' : 'Saved';
+    });
+  }, 400);
+}
+
+function createToggleRow({ label, description, checked, onChange }) {
+  const row = document.createElement('label');
+  row.className = 'rule-row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+  const text = document.createElement('div');
+  text.className = 'rule-text';
+  const name = document.createElement('div');
+  name.className = 'rule-name';
+  name.textContent = label;
+  text.appendChild(name);
+  if (description) {
+    const desc = document.createElement('div');
+    desc.className = 'rule-desc';
+    desc.textContent = description;
+    text.appendChild(desc);
+  }
+
+  row.appendChild(checkbox);
+  row.appendChild(text);
+  return row;
+}
+
+function createSelectRow({ label, description, value, options, onChange }) {
+  const row = document.createElement('label');
+  row.className = 'rule-row select-row';
+
+  const text = document.createElement('div');
+  text.className = 'rule-text';
+  const name = document.createElement('div');
+  name.className = 'rule-name';
+  name.textContent = label;
+  text.appendChild(name);
+  if (description) {
+    const desc = document.createElement('div');
+    desc.className = 'rule-desc';
+    desc.textContent = description;
+    text.appendChild(desc);
+  }
+
+  const select = document.createElement('select');
+  for (const [optionValue, optionLabel] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+
+  row.appendChild(text);
+  row.appendChild(select);
+  return row;
+}
+
+function renderCustomRules(rules) {
+  customRulesEl.innerHTML = '';
+
+  // Group by the `pretty` label, keeping first-seen order
+  const groups = new Map();
+  for (const rule of rules) {
+    if (!groups.has(rule.pretty)) groups.set(rule.pretty, []);
+    groups.get(rule.pretty).push(rule);
+  }
+
+  for (const [pretty, groupRules] of groups) {
+    const group = document.createElement('div');
+    group.className = 'rule-group';
+
+    const title = document.createElement('div');
+    title.className = 'rule-group-title badge-' + (groupRules[0].category || 'grammar');
+    title.textContent = pretty;
+    group.appendChild(title);
+
+    for (const rule of groupRules) {
+      group.appendChild(createToggleRow({
+        label: humanize(rule.id),
+        description: rule.description,
+        checked: settings.rules[rule.id] ?? rule.defaultEnabled,
+        onChange: (enabled) => setOverride('rules', rule.id, enabled, rule.defaultEnabled),
+      }));
+    }
+
+    customRulesEl.appendChild(group);
+  }
+}
+
+function renderFixingOptions() {
+  fixingOptionsEl.innerHTML = '';
+  fixingOptionsEl.appendChild(createToggleRow({
+    label: 'Safe fixes only',
+    description: 'Tab (and Fix All) only apply high-confidence fixes such as misspellings and "would of". ' +
+      'Heuristic suggestions like run-on sentences and AI proofreading are left for you to review.',
+    checked: settings.safeFixesOnly,
+    onChange: (enabled) => {
+      settings.safeFixesOnly = enabled;
+      save();
+    },
+  }));
+}
+
+function renderSpellingOptions() {
+  spellingOptionsEl.innerHTML = '';
+  spellingOptionsEl.appendChild(createSelectRow({
+    label: 'English dialect',
+    description: 'Spellings such as "colour", "organise", and "judgement" are correct in British English ' +
+      'but flagged in American English.',
+    value: settings.dialect,
+    options: DIALECT_OPTIONS,
+    onChange: (dialect) => {
+      settings.dialect = dialect;
+      save();
+    },
+  }));
+  spellingOptionsEl.appendChild(createToggleRow({
+    label: 'Flag mixed spellings',
+    description: 'When a document uses both "color" and "colour", underline the ones that don\'t match your dialect.',
+    checked: settings.dialectConsistency,
+    onChange: (enabled) => {
+      settings.dialectConsistency = enabled;
+      save();
+    },
+  }));
+}
+
+function renderReadabilityOptions() {
+  readabilityOptionsEl.innerHTML = '';
+  readabilityOptionsEl.appendChild(createSelectRow({
+    label: 'Flag sentences longer than',
+    value: String(settings.maxSentenceWords),
+    options: SENTENCE_WORD_OPTIONS,
+    onChange: (value) => {
+      settings.maxSentenceWords = Number(value);
+      save();
+    },
+  }));
+  readabilityOptionsEl.appendChild(createSelectRow({
+    label: 'Flag sentences harder than',
+    description: 'Flesch–Kincaid grade level, checked on sentences of 12 words or more. ' +
+      'Grade 12 is about the end of high school.',
+    value: String(settings.maxSentenceGrade),
+    options: SENTENCE_GRADE_OPTIONS,
+    onChange: (value) => {
+      settings.maxSentenceGrade = Number(value);
+      save();
+    },
+  }));
+}
+
+function renderHarperKinds(kinds) {
+  harperKindsEl.innerHTML = '';
+  for (const kind of kinds) {
+    harperKindsEl.appendChild(createToggleRow({
+      label: kind,
+      checked: settings.harperKinds[kind] ?? true,
+      onChange: (enabled) => setOverride('harperKinds', kind, enabled, true),
+    }));
+  }
+}
+
+function renderHarperRules(rules) {
+  harperRulesEl.innerHTML = '';
+  for (const rule of rules) {
+    const row = createToggleRow({
+      label: rule.name,
+      description: rule.description,
+      checked: settings.harperRules[rule.name] ?? rule.defaultEnabled,
+      onChange: (enabled) => setOverride('harperRules', rule.name, enabled, rule.defaultEnabled),
+    });
+    row.dataset.search = (rule.name + ' ' + rule.description).toLowerCase();
+    harperRulesEl.appendChild(row);
+  }
+}
+
+harperSearch.addEventListener('input', () => {
+  const query = harperSearch.value.trim().toLowerCase();
+  for (const row of harperRulesEl.children) {
+    row.style.display = !query || row.dataset.search.includes(query) ? '' : 'none';
+  }
+});
+
+let catalog = null;
+
+function renderCatalog() {
+  renderSpellingOptions();
+  renderReadabilityOptions();
+  renderFixingOptions();
+  renderCustomRules(catalog.customRules);
+  renderHarperKinds(catalog.harperKinds);
+  renderHarperRules(catalog.harperRules);
+  harperSearch.dispatchEvent(new Event('input'));
+}
+
+/** (Re)load the rule catalog — defaults shift when style packs change. */
+function loadCatalog() {
+  chrome.runtime.sendMessage({ type: 'get-rule-catalog' }, (response) => {
+    if (chrome.runtime.lastError || !response?.customRules) {
+      loading.textContent = 'Could not load rules. Try reopening this page.';
+      return;
+    }
+    loading.style.display = 'none';
+    catalog = response;
+    settings = catalog.settings;
+    renderCatalog();
+    ['spelling-section', 'readability-section', 'fixing-section', 'custom-rules-section', 'harper-kinds-section', 'harper-rules-section'].forEach(id => {
+      document.getElementById(id).style.display = 'block';
+    });
+  });
+}
+
+function reset(mapName) {
+  if (!catalog) return;
+  settings[mapName] = {};
+  save();
+  renderCatalog();
+}
+document.getElementById('reset-custom').addEventListener('click', () => reset('rules'));
+document.getElementById('reset-kinds').addEventListener('click', () => reset('harperKinds'));
+document.getElementById('reset-harper').addEventListener('click', () => reset('harperRules'));
+
+loadCatalog();
+
+// ── User-defined rules ───────────────────────────────────────────────────
+
+const userRulesEl = document.getElementById('user-rules');
+const userRuleForm = document.getElementById('user-rule-form');
+const urPattern = document.getElementById('ur-pattern');
+const urReplacement = document.getElementById('ur-replacement');
+const urMessage = document.getElementById('ur-message');
+const urCategory = document.getElementById('ur-category');
+const urWholeWord = document.getElementById('ur-whole-word');
+const urMatchCase = document.getElementById('ur-match-case');
+const urSample = document.getElementById('ur-sample');
+const urTest = document.getElementById('ur-test');
+const urSave = document.getElementById('ur-save');
+const urCancel = document.getElementById('ur-cancel');
+
+let userRules = [];
+let editingId = null; // id of the rule loaded into the form, or null when adding
+let testTimer = null;
+
+function saveUserRules(next) {
+  saveStatus.textContent = 'Saving...';
+  chrome.runtime.sendMessage({ type: 'set-user-rules', rules: next }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      saveStatus.textContent = 'Could not save';
+      return;
+    }
+    saveStatus.textContent = 'Saved';
+    renderUserRules(response.rules);
+  });
+}
+
+function ruleFromForm() {
+  return {
+    id: editingId || `user-${Date.now().toString(36)}`,
+    pattern: urPattern.value,
+    replacement: urReplacement.value,
+    message: urMessage.value.trim(),
+    category: urCategory.value,
+    wholeWord: urWholeWord.checked,
+    matchCase: urMatchCase.checked,
+    enabled: userRules.find(r => r.id === editingId)?.enabled ?? true,
+  };
+}
+
+function resetForm() {
+  editingId = null;
+  userRuleForm.reset();
+  urSave.textContent = 'Add rule';
+  urCancel.style.display = 'none';
+  testRule();
+}
+
+function editRule(rule) {
+  editingId = rule.id;
+  urPattern.value = rule.pattern;
+  urReplacement.value = rule.replacement;
+  urMessage.value = rule.message;
+  urCategory.value = rule.category;
+  urWholeWord.checked = rule.wholeWord;
+  urMatchCase.checked = rule.matchCase;
+  urSave.textContent = 'Save rule';
+  urCancel.style.display = '';
+  urPattern.focus();
+  testRule();
+}
+
+function renderUserRules(rules) {
+  userRules = rules;
+  userRulesEl.innerHTML = '';
+
+  if (rules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'user-rule-empty';
+    empty.textContent = 'No rules yet';
+    userRulesEl.appendChild(empty);
+    return;
+  }
+
+  for (const rule of rules) {
+    const row = document.createElement('div');
+    row.className = 'user-rule';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = rule.enabled;
+    checkbox.title = 'Enabled';
+    checkbox.addEventListener('change', () => {
+      saveUserRules(userRules.map(r => (r.id === rule.id ? { ...r, enabled: checkbox.checked } : r)));
+    });
+
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const name = document.createElement('div');
+    name.className = 'rule-name';
+    const pattern = document.createElement('code');
+    pattern.textContent = rule.pattern;
+    name.appendChild(pattern);
+    if (rule.replacement) {
+      name.appendChild(document.createTextNode(' → '));
+      const replacement = document.createElement('code');
+      replacement.textContent = rule.replacement;
+      name.appendChild(replacement);
+    }
+    const badge = document.createElement('span');
+    badge.className = 'rule-group-title badge-' + rule.category;
+    badge.textContent = rule.category;
+    name.appendChild(badge);
+    text.appendChild(name);
+    if (rule.message) {
+      const desc = document.createElement('div');
+      desc.className = 'rule-desc';
+      desc.textContent = rule.message;
+      text.appendChild(desc);
+    }
+
+    const edit = document.createElement('button');
+    edit.className = 'link-btn';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => editRule(rule));
+
+    const remove = document.createElement('button');
+    remove.className = 'link-btn';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      if (editingId === rule.id) resetForm();
+      saveUserRules(userRules.filter(r => r.id !== rule.id));
+    });
+
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    row.appendChild(edit);
+    row.appendChild(remove);
+    userRulesEl.appendChild(row);
+  }
+}
+
+/** Validate the rule in the form against the sample text (debounced). */
+function testRule() {
+  clearTimeout(testTimer);
+  urSave.disabled = true;
+  if (!urPattern.value.trim()) {
+    urTest.className = 'ur-test';
+    urTest.textContent = '';
+    return;
+  }
+  testTimer = setTimeout(() => {
+    chrome.runtime.sendMessage({ type: 'test-user-rule', rule: ruleFromForm(), sample: urSample.value }, (result) => {
+      urTest.innerHTML = '';
+      if (chrome.runtime.lastError || !result) {
+        urTest.className = 'ur-test error';
+        urTest.textContent = 'Could not test the rule.';
+        return;
+      }
+      if (result.error) {
+        urTest.className = 'ur-test error';
+        urTest.textContent = result.error;
+        return;
+      }
+
+      urSave.disabled = false;
+      urTest.className = 'ur-test';
+      if (result.lints.length === 0) {
+        urTest.textContent = 'No matches in the sample text.';
+        return;
+      }
+      urTest.appendChild(document.createTextNode(
+        `${result.lints.length} match${result.lints.length === 1 ? '' : 'es'}: `));
+      result.lints.forEach((lint, i) => {
+        if (i > 0) urTest.appendChild(document.createTextNode(', '));
+        const problem = document.createElement('code');
+        problem.textContent = lint.problemText;
+        urTest.appendChild(problem);
+        if (lint.suggestions.length > 0) {
+          urTest.appendChild(document.createTextNode(' → '));
+          const fix = document.createElement('code');
+          fix.textContent = lint.suggestions[0].text;
+          urTest.appendChild(fix);
+        }
+      });
+    });
+  }, 250);
+}
+
+[urPattern, urReplacement, urSample].forEach(el => el.addEventListener('input', testRule));
+[urCategory, urWholeWord, urMatchCase].forEach(el => el.addEventListener('change', testRule));
+
+userRuleForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (urSave.disabled) return;
+  const rule = ruleFromForm();
+  const next = editingId
+    ? userRules.map(r => (r.id === editingId ? rule : r))
+    : [...userRules, rule];
+  saveUserRules(next);
+  resetForm();
+});
+
+urCancel.addEventListener('click', resetForm);
+
+chrome.runtime.sendMessage({ type: 'get-user-rules' }, (response) => {
+  if (chrome.runtime.lastError || !response) return;
+  renderUserRules(response.rules);
+  document.getElementById('user-rules-section').style.display = 'block';
+});
+
+// ── Style packs ──────────────────────────────────────────────────────────
+
+const stylePacksEl = document.getElementById('style-packs');
+const packStatus = document.getElementById('pack-status');
+const packFile = document.getElementById('pack-file');
+const packName = document.getElementById('pack-name');
+const packVersion = document.getElementById('pack-version');
+
+function showPackStatus(text, isError = false) {
+  packStatus.className = isError ? 'ur-test error' : 'ur-test';
+  packStatus.textContent = text;
+}
+
+/** "3 rules · 12 words · 2 rules off · 4 spellings", skipping empty parts. */
+function describePack(counts) {
+  const parts = [
+    [counts.rules, 'rule'],
+    [counts.dictionary, 'word'],
+    [counts.disabledRules, 'rule off', 'rules off'],
+    [counts.spellings, 'spelling'],
+  ];
+  return parts
+    .filter(([n]) => n > 0)
+    .map(([n, one, many]) => `${n} ${n === 1 ? one : many || one + 's'}`)
+    .join(' · ') || 'Empty pack';
+}
+
+function renderStylePacks(packs) {
+  stylePacksEl.innerHTML = '';
+
+  if (packs.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'user-rule-empty';
+    empty.textContent = 'No packs installed';
+    stylePacksEl.appendChild(empty);
+    return;
+  }
+
+  for (const pack of packs) {
+    const row = document.createElement('div');
+    row.className = 'style-pack';
+
+    const text = document.createElement('div');
+    text.className = 'rule-text';
+    const name = document.createElement('div');
+    name.className = 'rule-name';
+    name.textContent = pack.packVersion ? `${pack.name} ${pack.packVersion}` : pack.name;
+    const desc = document.createElement('div');
+    desc.className = 'rule-desc';
+    desc.textContent = describePack(pack.counts);
+    text.appendChild(name);
+    text.appendChild(desc);
+
+    const remove = document.createElement('button');
+    remove.className = 'link-btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'remove-style-pack', id: pack.id }, (response) => {
+        if (response?.packs) renderStylePacks(response.packs);
+        showPackStatus(`Removed ${pack.name}.`);
+        loadCatalog();
+      });
+    });
+
+    row.appendChild(text);
+    row.appendChild(remove);
+    stylePacksEl.appendChild(row);
+  }
+}
+
+document.getElementById('pack-import').addEventListener('click', () => packFile.click());
+
+packFile.addEventListener('change', async () => {
+  const file = packFile.files[0];
+  packFile.value = '';
+  if (!file) return;
+  const text = await file.text();
+  chrome.runtime.sendMessage({ type: 'import-style-pack', text }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showPackStatus('Could not import the pack.', true);
+      return;
+    }
+    if (response.error) {
+      showPackStatus(response.error, true);
+      return;
+    }
+    renderStylePacks(response.packs);
+    loadCatalog();
+    const label = response.packVersion ? `${response.name} ${response.packVersion}` : response.name;
+    showPackStatus(response.replaced !== null
+      ? `Updated ${response.name}${response.replaced ? ` from ${response.replaced}` : ''} to ${label}.`
+      : `Installed ${label}.`);
+  });
+});
+
+document.getElementById('pack-export').addEventListener('click', () => {
+  const name = packName.value.trim();
+  chrome.runtime.sendMessage({
+    type: 'export-style-pack',
+    name,
+    packVersion: packVersion.value.trim(),
+  }, (response) => {
+    if (chrome.runtime.lastError || !response?.pack) {
+      showPackStatus('Could not export your settings.', true);
+      return;
+    }
+    const data = JSON.stringify(response.pack, null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(name || 'my-style').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.style-pack.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+});
+
+chrome.runtime.sendMessage({ type: 'get-style-packs' }, (response) => {
+  if (chrome.runtime.lastError || !response) return;
+  renderStylePacks(response.packs);
+  document.getElementById('style-packs-section').style.display = 'block';
+});
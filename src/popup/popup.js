@@ -1,3 +1,6 @@
+import { confidenceLevel, SAFE_FIX_CONFIDENCE } from '../background/confidence.js';
+import { AI_LANGUAGES } from '../offscreen/ai-languages.js';
+
 const toggle = document.getElementById('toggle');
 const loading = document.getElementById('loading');
 const noIssues = document.getElementById('no-issues');
@@ -13,11 +16,26 @@ function getBadgeInfo(lint) {
       return { cls: 'badge-spelling', label: pretty };
     case 'style':
       return { cls: 'badge-style', label: pretty };
+    case 'ai':
+      return { cls: 'badge-ai', label: pretty };
+    case 'readability':
+      return { cls: 'badge-readability', label: pretty };
     default:
       return { cls: 'badge-grammar', label: pretty };
   }
 }
 
+const CONFIDENCE_LABELS = { high: 'High confidence', medium: 'Medium confidence', low: 'Low confidence' };
+
+function getConfidenceInfo(lint) {
+  const level = confidenceLevel(lint.confidence);
+  return {
+    cls: 'confidence-' + level,
+    label: CONFIDENCE_LABELS[level],
+    safe: (lint.confidence ?? 0) >= SAFE_FIX_CONFIDENCE,
+  };
+}
+
 // Load enabled state
 chrome.runtime.sendMessage({ type: 'get-enabled' }, (response) => {
   if (response) toggle.checked = response.enabled;
@@ -27,6 +45,155 @@ toggle.addEventListener('change', () => {
   chrome.runtime.sendMessage({ type: 'set-enabled', enabled: toggle.checked });
 });
 
+document.getElementById('open-settings').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// ── Per-site profile ─────────────────────────────────────────────────────
+
+const siteBar = document.getElementById('site-bar');
+const siteName = document.getElementById('site-name');
+const siteProfile = document.getElementById('site-profile');
+const siteToggle = document.getElementById('site-toggle');
+
+/** Same keying as siteFromUrl in site-profiles.js. */
+function siteFromUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return '';
+    return hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+function renderSiteProfile(site, profile) {
+  siteProfile.value = profile;
+  siteToggle.textContent = profile === 'off' ? `Enable on ${site}` : `Disable on ${site}`;
+}
+
+function setSiteProfile(site, profile) {
+  chrome.runtime.sendMessage({ type: 'set-site-profile', site, profile }, (response) => {
+    if (response) renderSiteProfile(site, response.profile);
+  });
+}
+
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+  const site = siteFromUrl(tabs[0]?.url || '');
+  if (!site) return;
+
+  siteName.textContent = site;
+  siteName.title = site;
+  siteBar.style.display = 'flex';
+
+  chrome.runtime.sendMessage({ type: 'get-site-profile', site }, (response) => {
+    renderSiteProfile(site, response?.profile || 'all');
+  });
+
+  renderDismissed(site);
+
+  siteProfile.addEventListener('change', () => setSiteProfile(site, siteProfile.value));
+  siteToggle.addEventListener('click', () => {
+    setSiteProfile(site, siteProfile.value === 'off' ? 'all' : 'off');
+  });
+});
+
+// ── Dismissed issues on this site ────────────────────────────────────────
+
+const dismissedBar = document.getElementById('dismissed-bar');
+const dismissedCount = document.getElementById('dismissed-count');
+const dismissedRestore = document.getElementById('dismissed-restore');
+
+function showDismissedCount(count) {
+  dismissedCount.textContent = `${count} dismissed issue${count === 1 ? '' : 's'} on this site`;
+  dismissedBar.style.display = count > 0 ? 'flex' : 'none';
+}
+
+function renderDismissed(site) {
+  chrome.runtime.sendMessage({ type: 'get-dismissals', site }, (response) => {
+    showDismissedCount(response?.count || 0);
+  });
+  dismissedRestore.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'clear-dismissals', site }, (response) => {
+      showDismissedCount(response?.count || 0);
+    });
+  });
+}
+
+// ── Gemini Nano status ───────────────────────────────────────────────────
+
+const aiStatusPanel = document.getElementById('ai-status');
+const aiStatusDot = document.getElementById('ai-status-dot');
+const aiStatusLabel = document.getElementById('ai-status-label');
+const aiStatusDetail = document.getElementById('ai-status-detail');
+const aiProgress = document.getElementById('ai-progress');
+const aiProgressBar = document.getElementById('ai-progress-bar');
+const aiDownloadBtn = document.getElementById('ai-download');
+
+const AI_STATUS_TEXT = {
+  ready: ['Gemini Nano ready', 'AI suggestions, rewrites, and drafts are on.'],
+  downloadable: ['Gemini Nano not downloaded', 'Download the model to turn on AI features.'],
+  downloading: ['Downloading Gemini Nano', 'AI features turn on when the download finishes.'],
+  unavailable: ['AI unavailable', 'Chrome\'s built-in AI isn\'t supported on this device or browser.'],
+};
+
+function renderAIStatus({ status, progress }, detail) {
+  const [label, defaultDetail] = AI_STATUS_TEXT[status] || AI_STATUS_TEXT.unavailable;
+  const percent = status === 'downloading' && progress != null ? Math.round(progress * 100) : null;
+
+  aiStatusPanel.style.display = 'flex';
+  aiStatusDot.className = 'ai-status-dot ' + status;
+  aiStatusLabel.textContent = percent != null ? `${label} · ${percent}%` : label;
+  aiStatusDetail.textContent = detail || defaultDetail;
+  aiProgress.style.display = status === 'downloading' ? 'block' : 'none';
+  aiProgressBar.style.width = (percent ?? 0) + '%';
+  aiDownloadBtn.style.display = status === 'downloadable' ? 'block' : 'none';
+}
+
+function loadAIStatus() {
+  chrome.runtime.sendMessage({ type: 'ai-status' }, (response) => {
+    if (!response) return;
+    renderAIStatus(response);
+    // Re-attach to a download already in progress to get its percentage
+    if (response.status === 'downloading') downloadModel({ quiet: true });
+  });
+}
+
+/**
+ * Start (or follow) the model download. Runs here rather than in the
+ * offscreen document because LanguageModel.create() needs the user's click.
+ */
+async function downloadModel({ quiet = false } = {}) {
+  if (typeof LanguageModel === 'undefined') {
+    if (!quiet) renderAIStatus({ status: 'unavailable' });
+    return;
+  }
+  aiDownloadBtn.disabled = true;
+  if (!quiet) renderAIStatus({ status: 'downloading', progress: 0 });
+
+  try {
+    const session = await LanguageModel.create({
+      expectedOutputLanguages: AI_LANGUAGES,
+      monitor(m) {
+        m.addEventListener('downloadprogress', (e) => {
+          renderAIStatus({ status: 'downloading', progress: e.loaded });
+          chrome.runtime.sendMessage({ type: 'ai-download-progress', progress: e.loaded });
+        });
+      },
+    });
+    session.destroy();
+    chrome.runtime.sendMessage({ type: 'ai-download-progress', progress: 1 });
+    renderAIStatus({ status: 'ready' });
+  } catch (err) {
+    if (!quiet) renderAIStatus({ status: 'downloadable' }, `Download failed: ${err.message}`);
+  } finally {
+    aiDownloadBtn.disabled = false;
+  }
+}
+
+aiDownloadBtn.addEventListener('click', () => downloadModel());
+loadAIStatus();
+
 // Load issues for current tab
 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   if (!tabs[0]) return;
@@ -42,13 +209,25 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     }
 
     fixAllBtn.style.display = 'block';
-    fixAllBtn.textContent = `Fix All (${lints.length})`;
+    if (response.safeFixesOnly) {
+      const safe = lints.filter(l => l.suggestions.length > 0 && getConfidenceInfo(l).safe).length;
+      fixAllBtn.textContent = `Fix Safe Issues (${safe})`;
+      fixAllBtn.title = '"Safe fixes only" is on: lower-confidence issues are left for you';
+    } else {
+      fixAllBtn.textContent = `Fix All (${lints.length})`;
+    }
+
+    // Most confident first; `index` stays the lint's place in the tab's list
+    const ordered = lints
+      .map((lint, index) => ({ lint, index }))
+      .sort((a, b) => (b.lint.confidence ?? 0) - (a.lint.confidence ?? 0));
 
-    lints.forEach((lint, index) => {
+    ordered.forEach(({ lint, index }) => {
       const item = document.createElement('div');
       item.className = 'issue-item';
 
       const badgeInfo = getBadgeInfo(lint);
+      const confidenceInfo = getConfidenceInfo(lint);
 
       const badge = document.createElement('span');
       badge.className = 'issue-badge ' + badgeInfo.cls;
@@ -66,6 +245,11 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       errorText.textContent = lint.problemText;
       problemRow.appendChild(errorText);
 
+      const confidence = document.createElement('span');
+      confidence.className = 'issue-confidence ' + confidenceInfo.cls;
+      confidence.textContent = confidenceInfo.label;
+      problemRow.appendChild(confidence);
+
       // Message
       const msg = document.createElement('div');
       msg.className = 'issue-message';
@@ -109,3 +293,223 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     });
   });
 });
+
+// ── View tabs ────────────────────────────────────────────────────────────
+
+document.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+    document.querySelectorAll('.view').forEach(v => {
+      v.style.display = v.id === tab.dataset.view ? 'block' : 'none';
+    });
+    if (tab.dataset.view === 'document-view') loadDocumentStats();
+  });
+});
+
+// ── Document statistics ──────────────────────────────────────────────────
+
+const docEmpty = document.getElementById('doc-empty');
+const docStats = document.getElementById('doc-stats');
+let docStatsLoaded = false;
+
+function renderDocStat(label, value) {
+  const cell = document.createElement('div');
+  cell.className = 'doc-stat';
+  const v = document.createElement('div');
+  v.className = 'doc-stat-value';
+  v.textContent = value;
+  const l = document.createElement('div');
+  l.className = 'doc-stat-label';
+  l.textContent = label;
+  cell.append(v, l);
+  return cell;
+}
+
+function renderDocEntries(list, entries, tabId, token) {
+  list.textContent = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'dict-empty';
+    empty.textContent = 'None';
+    list.appendChild(empty);
+    return;
+  }
+  for (const { label, count, start, end } of entries) {
+    const entry = document.createElement('button');
+    entry.className = 'doc-entry';
+    entry.title = 'Show in the field';
+    const text = document.createElement('span');
+    text.className = 'doc-entry-text';
+    text.textContent = label;
+    const n = document.createElement('span');
+    n.className = 'doc-entry-count';
+    n.textContent = count;
+    entry.append(text, n);
+    entry.addEventListener('click', () => {
+      chrome.tabs.sendMessage(tabId, { type: 'reveal-range', token, start, end });
+      setTimeout(() => window.close(), 200);
+    });
+    list.appendChild(entry);
+  }
+}
+
+function renderDocumentStats(tabId, { stats, token }) {
+  docEmpty.style.display = 'none';
+  docStats.style.display = 'block';
+
+  const grid = document.getElementById('doc-grid');
+  grid.textContent = '';
+  grid.append(
+    renderDocStat('Words', stats.words),
+    renderDocStat('Sentences', stats.sentences),
+    renderDocStat('Paragraphs', stats.paragraphs),
+    renderDocStat('Reading time', `${stats.readingMinutes} min`),
+    renderDocStat('Flesch–Kincaid', stats.fleschKincaid),
+    renderDocStat('Gunning Fog', stats.gunningFog),
+    renderDocStat('Words / sentence', stats.avgSentenceLength),
+    renderDocStat('Passive', `${stats.passivePercent}%`),
+  );
+
+  renderDocEntries(document.getElementById('doc-sentences'), stats.longestSentences.map(s => ({
+    label: s.text, count: `${s.words} words`, start: s.start, end: s.end,
+  })), tabId, token);
+  renderDocEntries(document.getElementById('doc-words'), stats.repeatedWords.map(w => ({
+    label: w.word, count: `×${w.count}`, start: w.start, end: w.end,
+  })), tabId, token);
+}
+
+function loadDocumentStats() {
+  if (docStatsLoaded) return;
+  docStatsLoaded = true;
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) return;
+    const tabId = tabs[0].id;
+    chrome.tabs.sendMessage(tabId, { type: 'get-document-stats' }, (response) => {
+      // No frame with a field answers, which closes the port with an error
+      if (chrome.runtime.lastError || !response?.stats) return;
+      renderDocumentStats(tabId, response);
+    });
+  });
+}
+
+// ── Personal dictionary ──────────────────────────────────────────────────
+
+const dictWords = document.getElementById('dict-words');
+const dictIgnored = document.getElementById('dict-ignored');
+const dictAddForm = document.getElementById('dict-add-form');
+const dictAddInput = document.getElementById('dict-add-input');
+const dictImportPanel = document.getElementById('dict-import-panel');
+const dictImportText = document.getElementById('dict-import-text');
+
+let dictionary = { words: [], ignored: [] };
+
+function saveDictionary(next) {
+  chrome.runtime.sendMessage({ type: 'set-dictionary', ...next }, (response) => {
+    if (response) renderDictionary(response);
+  });
+}
+
+function renderDictionaryList(container, listName) {
+  container.innerHTML = '';
+  const entries = dictionary[listName];
+
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'dict-empty';
+    empty.textContent = listName === 'words' ? 'No words yet' : 'Nothing ignored';
+    container.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry, i) => {
+    const row = document.createElement('div');
+    row.className = 'dict-entry';
+
+    // Inline-editable: saving an edited entry replaces the old one
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = entry;
+    input.addEventListener('change', () => {
+      const list = [...entries];
+      list[i] = input.value;
+      saveDictionary({ ...dictionary, [listName]: list });
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'dict-remove';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => {
+      saveDictionary({ ...dictionary, [listName]: entries.filter((_, j) => j !== i) });
+    });
+
+    row.appendChild(input);
+    row.appendChild(remove);
+    container.appendChild(row);
+  });
+}
+
+function renderDictionary(next) {
+  dictionary = { words: next.words || [], ignored: next.ignored || [] };
+  renderDictionaryList(dictWords, 'words');
+  renderDictionaryList(dictIgnored, 'ignored');
+}
+
+/**
+ * Accepts either an exported dictionary ({ words, ignored }) or plain text
+ * with one word per line (commas also separate).
+ */
+function parseDictionaryImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { words: [], ignored: [] };
+  if (trimmed.startsWith('{')) {
+    try {
+      const data = JSON.parse(trimmed);
+      return {
+        words: Array.isArray(data.words) ? data.words.filter(w => typeof w === 'string') : [],
+        ignored: Array.isArray(data.ignored) ? data.ignored.filter(w => typeof w === 'string') : [],
+      };
+    } catch (_) {
+      // Not JSON after all — fall through to line parsing
+    }
+  }
+  return { words: trimmed.split(/[\n,]+/).map(w => w.trim()).filter(Boolean), ignored: [] };
+}
+
+chrome.runtime.sendMessage({ type: 'get-dictionary' }, (response) => {
+  if (response) renderDictionary(response);
+});
+
+dictAddForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const word = dictAddInput.value.trim();
+  if (!word) return;
+  dictAddInput.value = '';
+  saveDictionary({ ...dictionary, words: [...dictionary.words, word] });
+});
+
+document.getElementById('dict-export').addEventListener('click', () => {
+  const data = JSON.stringify({ version: 1, ...dictionary }, null, 2);
+  const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'writing-helper-dictionary.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+document.getElementById('dict-import-toggle').addEventListener('click', () => {
+  const open = dictImportPanel.style.display === 'none';
+  dictImportPanel.style.display = open ? 'block' : 'none';
+  if (open) dictImportText.focus();
+});
+
+document.getElementById('dict-import-btn').addEventListener('click', () => {
+  const imported = parseDictionaryImport(dictImportText.value);
+  dictImportText.value = '';
+  dictImportPanel.style.display = 'none';
+  saveDictionary({
+    words: [...dictionary.words, ...imported.words],
+    ignored: [...dictionary.ignored, ...imported.ignored],
+  });
+});
@@ -1,4 +1,13 @@
-import { runCustomRules } from '/tmp/spelling-tab-link/src/background/custom-rules.js';
+import { readFileSync } from 'fs';
+import { runCustomRules, getRuleCatalog, compileUserRule, testUserRule, misspellingsFor } from '/tmp/spelling-tab-link/src/background/custom-rules.js';
+import { ignoreEverywhere, filterIgnoredLints } from '/tmp/spelling-tab-link/src/background/user-dictionary.js';
+import { correctionsToLints } from '/tmp/spelling-tab-link/src/background/ai-lints.js';
+import { confidenceLevel, SAFE_FIX_CONFIDENCE } from '/tmp/spelling-tab-link/src/background/confidence.js';
+import { findMaskedRanges } from '/tmp/spelling-tab-link/src/background/masking.js';
+import { findPassive, isPastParticiple, IRREGULAR_PARTICIPLES } from '/tmp/spelling-tab-link/src/background/passive-voice.js';
+import { findRepetition } from '/tmp/spelling-tab-link/src/background/repetition.js';
+import { findMixedSpellings } from '/tmp/spelling-tab-link/src/background/spelling-consistency.js';
+import { loadThesaurus, lookupSynonyms } from '/tmp/spelling-tab-link/src/background/thesaurus.js';
 
 console.log('=== NEW RULES TEST ===\n');
 
@@ -124,3 +133,389 @@ for (const t of clean) {
   }
 }
 console.log(`\n${fpCount} false positives out of ${clean.length} clean sentences.`);
+
+// Personal dictionary: flagged words the user has added are skipped
+console.log('\n=== PERSONAL DICTIONARY ===\n');
+const dictCases = [
+  // [input, dictionary words, expect flagged?]
+  ["eat apple", [], true],
+  ["eat apple", ['apple'], true], // a grammar lint over the phrase, not the word
+  ["iPhone is great.", [], true],
+  ["iPhone is great.", ['iphone'], false],
+];
+let dictFailed = 0;
+for (const [input, words, expectFlagged] of dictCases) {
+  const l = runCustomRules(input, [], { dictionary: new Set(words) });
+  const ok = (l.length > 0) === expectFlagged;
+  if (!ok) dictFailed++;
+  console.log(`${ok ? '✅' : '❌'} "${input}" with [${words.join(', ')}] → ${l.length} lint(s)`);
+}
+// "Ignore everywhere" hides spelling lints only
+globalThis.chrome = { storage: { local: { get: async () => ({}), set: async () => {} } } };
+await ignoreEverywhere('Acmeware');
+const ignoredKept = filterIgnoredLints([
+  { problemText: 'Acmeware', category: 'spelling' },
+  { problemText: 'acmeware', category: 'grammar' },
+]);
+const ignoreOk = ignoredKept.length === 1 && ignoredKept[0].category === 'grammar';
+if (!ignoreOk) dictFailed++;
+console.log(`${ignoreOk ? '✅' : '❌'} ignored text hides spelling lints, not grammar lints`);
+console.log(`\n${dictFailed} dictionary checks failed out of ${dictCases.length + 1}.`);
+
+// Rule settings: overrides switch rules off (or default-off rules on)
+console.log('\n=== RULE OVERRIDES ===\n');
+const overrideCases = [
+  // [input, overrides, expect flagged?]
+  ["Do it in order to win", {}, true],
+  ["Do it in order to win", { 'in-order-to': false }, false],
+  ["This is done", {}, false],
+  ["This is done", { 'missing-end-punctuation': true }, true],
+  ["the end. then more", { 'sentence-capitalization': false }, false],
+];
+let overrideFailed = 0;
+for (const [input, ruleOverrides, expectFlagged] of overrideCases) {
+  const l = runCustomRules(input, [], { ruleOverrides });
+  const ok = (l.length > 0) === expectFlagged;
+  if (!ok) overrideFailed++;
+  console.log(`${ok ? '✅' : '❌'} "${input}" with ${JSON.stringify(ruleOverrides)} → ${l.length} lint(s)`);
+}
+const ids = getRuleCatalog().map(r => r.id);
+if (new Set(ids).size !== ids.length) {
+  overrideFailed++;
+  console.log('❌ Duplicate rule ids in catalog');
+}
+console.log(`\n${overrideFailed} override checks failed out of ${overrideCases.length + 1}.`);
+
+// User-defined rules from the options page
+console.log('\n=== USER RULES ===\n');
+const userRuleCases = [
+  // [rule, sample, expected first suggestion (null = no match)]
+  [{ pattern: 'e-mail', replacement: 'email' }, 'Send me an e-mail today.', 'email'],
+  [{ pattern: 'e-mail', replacement: 'email' }, 'E-mail me today.', 'Email'],
+  [{ pattern: 'utiliz(e|es|ed|ing)', replacement: 'us$1' }, 'We utilized it.', 'used'],
+  [{ pattern: 'utilize', replacement: 'use' }, 'Reutilize it.', null],
+  [{ pattern: 'utilize', replacement: 'use', wholeWord: false }, 'Reutilize it.', 'use'],
+  [{ pattern: 'GitHub', replacement: 'GitHub', matchCase: true }, 'Push to Github.', null],
+  [{ pattern: 'Github', replacement: 'GitHub', matchCase: true }, 'Push to Github.', 'GitHub'],
+];
+let userRuleFailed = 0;
+for (const [rule, sample, expected] of userRuleCases) {
+  const { lints, error } = testUserRule(rule, sample);
+  const got = error ? `error: ${error}` : (lints[0]?.suggestions[0]?.text ?? null);
+  const ok = got === expected;
+  if (!ok) userRuleFailed++;
+  console.log(`${ok ? '✅' : '❌'} /${rule.pattern}/ on "${sample}" → ${got}`);
+}
+for (const pattern of ['(', '', 'a*']) {
+  let threw = false;
+  try { compileUserRule({ pattern, replacement: 'x' }); } catch (_) { threw = true; }
+  if (!threw) userRuleFailed++;
+  console.log(`${threw ? '✅' : '❌'} rejects pattern ${JSON.stringify(pattern)}`);
+}
+// User rules run before built-in rules and win on overlaps
+const houseStyle = [compileUserRule({ id: 'u1', pattern: 'in order to', replacement: 'so as to' })];
+const merged = runCustomRules('Do it in order to win', [], { userRules: houseStyle });
+const mergedOk = merged.length === 1 && merged[0].suggestions[0].text === 'so as to';
+if (!mergedOk) userRuleFailed++;
+console.log(`${mergedOk ? '✅' : '❌'} user rule takes precedence over built-in "in-order-to"`);
+console.log(`\n${userRuleFailed} user rule checks failed out of ${userRuleCases.length + 4}.`);
+
+// Style packs: validated on import and again when loaded from storage
+console.log('\n=== STYLE PACKS ===\n');
+let packFailed = 0;
+function packCheck(ok, label) {
+  if (!ok) packFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+// style-packs.js reads and watches chrome.storage.local, so stub it before importing
+const packStore = {};
+const packStorageListeners = [];
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: packStore[key] }),
+      set: async (items) => { Object.assign(packStore, items); },
+    },
+    sync: { get: async () => ({}), set: async () => {} },
+    onChanged: { addListener: (cb) => packStorageListeners.push(cb) },
+  },
+};
+const {
+  normalizeStylePack, installStylePack, loadStylePacks, getStylePacks, getPackRules, getPackSpellings,
+  STYLE_PACK_FORMAT, STYLE_PACK_VERSION,
+} = await import('/tmp/spelling-tab-link/src/background/style-packs.js');
+
+const packData = {
+  format: STYLE_PACK_FORMAT, version: STYLE_PACK_VERSION, name: 'Acme Style', packVersion: '1.2.0',
+  rules: [{ id: 'utilize', pattern: 'utilize', replacement: 'use', message: 'Acme says "use".' }],
+  dictionary: ['Acmeware'], disabledRules: ['Passive'], spellings: { Colour: 'color' },
+};
+const packed = normalizeStylePack(packData);
+packCheck(packed.id === 'acme-style' && packed.rules[0].category === 'style' && packed.spellings.colour === 'color',
+  'normalizes a pack: slug id, rule defaults, lowercase spelling keys');
+const reexported = normalizeStylePack({ ...packData, ...packed, format: STYLE_PACK_FORMAT, version: STYLE_PACK_VERSION });
+packCheck(JSON.stringify(reexported) === JSON.stringify(packed), 'a normalized pack round-trips unchanged');
+
+const rejects = (data, label) => {
+  let message = '';
+  try { normalizeStylePack(data); } catch (err) { message = err.message; }
+  packCheck(message !== '', `${label} (${message || 'accepted'})`);
+};
+rejects({ ...packData, format: 'something-else' }, 'rejects the wrong format');
+rejects({ ...packData, version: STYLE_PACK_VERSION + 1 }, 'rejects a newer format version');
+rejects({ ...packData, name: '  ' }, 'rejects a pack without a name');
+rejects({ ...packData, rules: [{ pattern: '(unclosed' }] }, 'rejects a rule that does not compile');
+rejects({ ...packData, rules: [{ pattern: '(a+)+b' }] }, 'rejects a nested quantifier');
+rejects({ ...packData, rules: [{ pattern: 'x'.repeat(501) }] }, 'rejects an over-long pattern');
+const longMessage = normalizeStylePack({ ...packData, rules: [{ pattern: 'utilize', message: 'm'.repeat(1000) }] });
+packCheck(longMessage.rules[0].message.length === 300, 'rule messages get the user-rule length limit');
+
+await installStylePack(packData);
+const { replaced } = await installStylePack({ ...packData, packVersion: '1.3.0' });
+packCheck(getStylePacks().length === 1 && replaced === '1.2.0' && getStylePacks()[0].packVersion === '1.3.0',
+  'installing a pack of the same name replaces it');
+packCheck(getPackRules().some(r => r.id === 'pack:acme-style:utilize') && getPackSpellings().colour === 'color',
+  'installed rules and spellings are compiled');
+
+packStore.stylePacks = [
+  packStore.stylePacks[0],
+  { name: 'Hand edited', rules: [{ pattern: '(\\w*)*' }] },
+  'garbage',
+];
+const warn = console.warn;
+console.warn = () => {};
+await loadStylePacks();
+console.warn = warn;
+packCheck(getStylePacks().map(p => p.id).join() === 'acme-style', 'stored packs that no longer validate are dropped on load');
+packStorageListeners.forEach(cb => cb({ stylePacks: { newValue: [{ name: 'Synced', rules: [{ pattern: 'x', message: 'y'.repeat(400) }] }] } }, 'local'));
+packCheck(getStylePacks().map(p => p.id).join() === 'synced' && getPackRules()[0]?.message.length <= 300,
+  'packs changed in storage are checked again');
+console.log(`\n${packFailed} style pack checks failed.`);
+
+// AI proofreading corrections → lints, deduplicated against phase-1 lints
+console.log('\n=== AI LINTS ===\n');
+const aiText = 'She go to teh store yesterday.';
+const harperLint = { span: { start: 10, end: 13 } }; // "teh"
+const aiCases = [
+  // [correction, existing lints, dictionary, expected lint count]
+  [{ start: 4, end: 6, correction: 'went', type: 'grammar', explanation: 'Past tense.' }, [], null, 1],
+  [{ start: 10, end: 13, correction: 'the', type: 'spelling' }, [harperLint], null, 0],
+  [{ start: 4, end: 6, correction: 'go', type: 'grammar' }, [], null, 0],
+  [{ start: 4, end: 99, correction: 'x', type: 'grammar' }, [], null, 0],
+  [{ start: 10, end: 13, correction: 'the', type: 'spelling' }, [], new Set(['teh']), 0],
+];
+let aiFailed = 0;
+for (const [correction, existing, dictionary, expected] of aiCases) {
+  const got = correctionsToLints(aiText, [correction], existing, dictionary).length;
+  const ok = got === expected;
+  if (!ok) aiFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${JSON.stringify(correction)} → ${got} lint(s)`);
+}
+const [aiLint] = correctionsToLints(aiText, [{ start: 4, end: 6, correction: 'went', type: 'grammar' }]);
+const shapeOk = aiLint.category === 'ai' && aiLint.problemText === 'go' &&
+  aiLint.suggestions[0].text === 'went' && aiLint.message === 'Did you mean "went"?';
+if (!shapeOk) aiFailed++;
+console.log(`${shapeOk ? '✅' : '❌'} AI lint has category "ai", problem text and suggestion`);
+console.log(`\n${aiFailed} AI lint checks failed out of ${aiCases.length + 1}.`);
+
+console.log('\n=== CONFIDENCE ===\n');
+let confidenceFailed = 0;
+function confidenceCheck(ok, label) {
+  if (!ok) confidenceFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const confidenceLints = runCustomRules('I would of gone home it was late. i think so.');
+const confidenceOf = (text) => confidenceLints.find(l => l.problemText.includes(text))?.confidence;
+confidenceCheck(confidenceLints.every(l => typeof l.confidence === 'number'), 'every custom lint carries a confidence');
+confidenceCheck(confidenceOf('would of') >= SAFE_FIX_CONFIDENCE, '"would of" is a safe fix');
+confidenceCheck(confidenceLevel(confidenceOf('home it was')) === 'low', 'run-on heuristic is low confidence');
+confidenceCheck(confidenceLevel(aiLint.confidence) === 'low', 'AI proofreading lints are low confidence');
+confidenceCheck(confidenceLevel(undefined) === 'low' && confidenceLevel(0.6) === 'medium', 'confidence buckets match CONFIDENCE');
+console.log(`\n${confidenceFailed} confidence checks failed.`);
+
+console.log('\n=== LANGUAGE ===\n');
+let languageFailed = 0;
+function languageCheck(ok, label) {
+  if (!ok) languageFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const englishErrors = 'I would of gone home it was late.';
+languageCheck(runCustomRules(englishErrors, [], { language: 'en-GB' }).length >= 2, 'English variants get the built-in rules');
+languageCheck(runCustomRules(englishErrors, [], { language: 'es' }).length === 0, 'non-English text skips the English-only rules and run-on pass');
+const spanish = runCustomRules('Lo hice in order to ganar. creo que sí.', [], { language: 'es', userRules: houseStyle });
+languageCheck(spanish.some(l => l.problemText === 'in order to'), "the user's own rules still run on non-English text");
+languageCheck(spanish.some(l => l.problemText === 'creo' && l.lintKind === 'Capitalization'), 'sentence capitalization still runs on non-English text');
+console.log(`\n${languageFailed} language checks failed.`);
+
+console.log('\n=== DIALECT ===\n');
+let dialectFailed = 0;
+function dialectCheck(ok, label) {
+  if (!ok) dialectFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+dialectCheck(misspellingsFor('us').judgement === 'judgment', 'American corrects "judgement"');
+dialectCheck(!('judgement' in misspellingsFor('uk')) && !('neighbour' in misspellingsFor('au')),
+  'British and Australian leave their own spellings alone');
+dialectCheck(misspellingsFor('uk').nieghbor === 'neighbour' && misspellingsFor('uk').fullfill === 'fulfil',
+  'British fixes use British spelling');
+dialectCheck(misspellingsFor('ca').realise === 'realize' && misspellingsFor('ca').fullfill === 'fulfill',
+  'Canadian keeps -ize and -ll');
+dialectCheck(misspellingsFor('uk').teh === 'the', 'dialect tables keep the shared misspellings');
+const mixedDoc = 'The colour is nice. I like the color and the gray sky.';
+dialectCheck(findMixedSpellings(mixedDoc, 'uk').map(l => l.problemText).join() === 'color,gray',
+  'mixed spellings are flagged against the chosen dialect');
+dialectCheck(findMixedSpellings(mixedDoc, 'uk', { dictionary: new Set(['color']) }).map(l => l.problemText).join() === 'gray',
+  'dictionary words are not flagged as mixed spellings');
+dialectCheck(findMixedSpellings(mixedDoc, 'uk', { masks: [[4, 10]] }).length === 0,
+  'masked words neither get flagged nor count as the chosen dialect');
+console.log(`\n${dialectFailed} dialect checks failed.`);
+
+console.log('\n=== MASKING ===\n');
+let maskFailed = 0;
+function maskCheck(ok, label) {
+  if (!ok) maskFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const maskText = 'See `would of` at https://example.com/a_b. Ask @sam-lee or sam@example.org.';
+const masked = findMaskedRanges(maskText, 'markdown').map(([start, end]) => maskText.slice(start, end));
+maskCheck(['`would of`', 'https://example.com/a_b', '@sam-lee', 'sam@example.org'].every(m => masked.includes(m)),
+  'finds inline code, URLs (without trailing punctuation), mentions, and emails');
+maskCheck(!findMaskedRanges(maskText, 'plain').some(([start]) => maskText[start] === '`'),
+  'backticks are only code in markdown');
+maskCheck(runCustomRules(maskText, [], { masks: findMaskedRanges(maskText, 'markdown') }).length === 0 &&
+  runCustomRules(maskText).some(l => l.problemText === 'would of'), 'no rule fires inside masked code');
+const afterCode = 'Run make all. then deploy.';
+maskCheck(runCustomRules(afterCode).some(l => l.problemText === 'then') &&
+  !runCustomRules(afterCode, [], { masks: [[4, 13]] }).some(l => l.problemText === 'then'),
+  'a period inside code does not start a sentence');
+console.log(`\n${maskFailed} masking checks failed.`);
+
+console.log('\n=== HARD TO READ ===\n');
+let hardFailed = 0;
+function hardCheck(ok, label) {
+  if (!ok) hardFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const hard = (text, options) => runCustomRules(text, [], options).filter(l => l.category === 'readability');
+const longSentence = 'We met on Monday and talked about the budget and the plan and the hiring and the office move ' +
+  'and the new laptops and the party and the travel policy and the parking and then we went home. Short one.';
+const longLints = hard(longSentence);
+hardCheck(longLints.length === 1 && longLints[0].problemText.endsWith('went home.') && longLints[0].span.start === 0,
+  'flags a sentence over the word limit, spanning the whole sentence');
+hardCheck(longLints[0]?.suggestions.length === 0 && longLints[0].aiRewrite === 'split', 'offers an AI split instead of a fixed suggestion');
+hardCheck(hard(longSentence, { readability: { maxWords: 0, maxGrade: 0 } }).length === 0, 'limits of 0 turn the checks off');
+const dense = 'Comprehensive organizational restructuring necessitates considerable interdepartmental ' +
+  'communication, extraordinary administrative flexibility, and unprecedented institutional cooperation.';
+hardCheck(hard(dense).length === 1 && /grade/.test(hard(dense)[0].message), 'flags a sentence above the grade limit');
+hardCheck(hard('Unquestionably extraordinary circumstances.').length === 0, 'short sentences are not graded');
+hardCheck(hard(longSentence, { ruleOverrides: { 'hard-to-read': false } }).length === 0, 'the pass can be switched off');
+const withTypo = runCustomRules('I would of done it. ' + longSentence);
+hardCheck(withTypo.some(l => l.problemText === 'would of') && withTypo.some(l => l.category === 'readability'),
+  'other lints inside or beside the sentence are kept');
+hardCheck(hard(longSentence, { dictionary: new Set(['laptops']) }).length === 1, 'dictionary words do not hide the sentence');
+console.log(`\n${hardFailed} hard-to-read checks failed.`);
+
+console.log('\n=== PASSIVE VOICE ===\n');
+let passiveFailed = 0;
+function passiveCheck(ok, label) {
+  if (!ok) passiveFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const participles = ['written', 'taken', 'done', 'made', 'seen', 'given', 'known', 'shown', 'built', 'sent', 'kept',
+  'held', 'found', 'thrown', 'chosen', 'broken', 'stolen', 'forgotten', 'understood', 'reviewed', 'approved', 'copied'];
+passiveCheck(participles.every(isPastParticiple), 'recognizes irregular and regular participles');
+passiveCheck(!['need', 'speed', 'hundred', 'indeed', 'wicked', 'write', 'took', 'went'].some(isPastParticiple),
+  'rejects -ed lookalikes and other verb forms');
+passiveCheck(Object.entries(IRREGULAR_PARTICIPLES).every(([p, past]) => /^[a-z]+$/.test(p) && /^[a-z]+$/.test(past)),
+  'every irregular participle maps to a simple past form');
+
+const passive = (text) => runCustomRules(text, [], { ruleOverrides: { 'passive-voice': true } })
+  .filter(l => l.lintKindPretty === 'Passive Voice');
+passiveCheck(runCustomRules('The report was written by the team.').every(l => l.lintKindPretty !== 'Passive Voice'),
+  'off by default');
+const agent = passive('The report was written by the team.');
+passiveCheck(agent.length === 1 && agent[0].problemText === 'was written by the team', 'the span includes a "by" agent');
+passiveCheck(agent[0]?.category === 'style' && agent[0].suggestions.length === 0 && agent[0].aiRewrite === 'active',
+  'a style lint with an AI active-voice rewrite');
+passiveCheck(/"The team wrote …"/.test(agent[0]?.message), 'the message shows how the active sentence starts');
+passiveCheck(passive('The bug is being fixed.')[0]?.problemText === 'is being fixed', 'finds "is being" + participle');
+passiveCheck(passive('The tests were quietly rewritten.')[0]?.problemText === 'were quietly rewritten',
+  'adverbs between "be" and the participle');
+passiveCheck(passive('The form was reviewed by Monday.')[0]?.problemText === 'was reviewed', '"by Monday" is not an agent');
+passiveCheck(passive('I am tired. She is interested in it.').length === 0, 'stative adjectives are not passive');
+passiveCheck(passive('We need speed. It is red.').length === 0, 'no participle, no lint');
+passiveCheck(passive('I was upset. It is bound to fail.').length === 0, '"upset" and "bound" describe a state');
+const found = findPassive("The plan wasn't approved by the board.");
+passiveCheck(found.length === 1 && found[0].agent === 'by the board' && found[0].negated, 'findPassive reports the agent and negation');
+passiveCheck(passive('Lo hice. Fue escrito.').length === 0 &&
+  runCustomRules('It was written.', [], { ruleOverrides: { 'passive-voice': true }, language: 'es' }).length === 0,
+  'English only');
+console.log(`\n${passiveFailed} passive voice checks failed.`);
+
+console.log('\n=== REPETITION ===\n');
+let repetitionFailed = 0;
+function repetitionCheck(ok, label) {
+  if (!ok) repetitionFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+const veryText = 'This is very good and very fast and very cheap.';
+const very = findRepetition(veryText);
+repetitionCheck(very.length === 2 && very.every(l => l.problemText === 'very') && very[0].span.start === veryText.indexOf('very', 10),
+  'flags a thesaurus word used three times close together, after the first');
+repetitionCheck(very[0]?.suggestions[0]?.text === 'extremely' && very[0].category === 'style', 'suggests synonyms from the thesaurus');
+repetitionCheck(findRepetition('Very well. Very good. Very nice.').filter(l => l.problemText === 'Very')
+  .every(l => /^[A-Z]/.test(l.suggestions[0]?.text)), 'synonyms follow the case of the word');
+repetitionCheck(findRepetition('The server restarted and the server came back.').length === 0,
+  'other content words need four uses');
+const spread = 'This is very good. ' + 'Filler words go here to pad the paragraph out. '.repeat(6) + 'It is very fast and very cheap.';
+repetitionCheck(!findRepetition(spread).some(l => l.problemText === 'very'), 'uses far apart are not flagged');
+repetitionCheck(findRepetition('Alice called. Then Bob called Alice, and Alice and Alice laughed.')
+  .every(l => l.problemText !== 'Alice' || l.lintKindPretty === 'Repeated Start'), 'names are not overused words');
+const starts = findRepetition('We shipped it. We tested it. We fixed it.');
+repetitionCheck(starts.length === 2 && starts.every(l => l.lintKindPretty === 'Repeated Start'),
+  'three sentences in a row starting with "We"');
+repetitionCheck(findRepetition('I went home. I slept.').length === 0, 'two common openers in a row are fine');
+const however = findRepetition('However, it failed. However, we tried again.');
+repetitionCheck(however.length === 1 && however[0].suggestions.some(s => s.text === 'Still'),
+  'two back-to-back starts with a less common word, with synonyms');
+repetitionCheck(findRepetition(veryText, [{ span: { start: 22, end: 26 } }]).length === 1, 'existing lints are not overlapped');
+repetitionCheck(findRepetition(veryText, [], { masks: [[8, 12]] }).length === 0, 'masked words are not counted');
+repetitionCheck(findRepetition(veryText, [], { ruleOverrides: { 'repeated-word': false } }).length === 0 &&
+  findRepetition(veryText, [], { dictionary: new Set(['very']) }).length === 0, 'respects rule toggles and the dictionary');
+repetitionCheck(very.every(l => l.pickOnly) && starts.every(l => l.pickOnly), 'synonyms are for picking, not for Tab fix-all');
+const useText = 'The use of it is simple. Its use is easy, and the use is clear.';
+const uses = findRepetition(useText).filter(l => l.problemText === 'use');
+repetitionCheck(uses.length === 2 && uses.every(l => l.suggestions.length > 0 && !l.suggestions.some(s => s.text === 'employ')),
+  'a word after "the" or "its" gets noun synonyms only');
+const toUse = findRepetition('I want to use it. We use it. They use it a lot.').filter(l => l.problemText === 'use');
+repetitionCheck(toUse.length === 2 && toUse.every(l => l.suggestions[0]?.text === 'employ'), 'a word after "to" or a pronoun gets verb synonyms');
+repetitionCheck(findRepetition('Work hard, play hard, and rest hard.').filter(l => l.problemText === 'hard')
+  .every(l => l.suggestions.length === 0), 'no synonyms when the part of speech is unclear');
+console.log(`\n${repetitionFailed} repetition checks failed.`);
+
+console.log('\n=== THESAURUS ===\n');
+let thesaurusFailed = 0;
+function thesaurusCheck(ok, label) {
+  if (!ok) thesaurusFailed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+const thesaurusText = readFileSync('/tmp/spelling-tab-link/src/background/thesaurus.txt', 'utf8');
+thesaurusCheck(thesaurusText.trim().split('\n').every(line => /^[a-z-]+\|(?:(?:noun|verb|adj|adv):[^;:|]+;?)+$/.test(line)),
+  'every thesaurus line is word|pos:synonyms');
+await loadThesaurus(async () => thesaurusText);
+const bright = await lookupSynonyms('Bright');
+thesaurusCheck(bright.length === 1 && bright[0].pos === 'adj' && bright[0].synonyms[0] === 'shining', 'looks up any case, best first');
+const look = await lookupSynonyms('look');
+thesaurusCheck(look.map(s => s.pos).join() === 'verb,noun' && look[0].synonyms[0] === 'appear',
+  'senses grouped by part of speech, curated synonyms first');
+thesaurusCheck(look.every(s => new Set(s.synonyms).size === s.synonyms.length), 'no synonym twice within a sense');
+const ideas = await lookupSynonyms('ideas');
+thesaurusCheck(ideas[0]?.synonyms.includes('concepts') && ideas[0].synonyms.every(w => !w.includes(' ')), 'plural nouns get plural synonyms');
+const requires = await lookupSynonyms('requires');
+thesaurusCheck(requires[0]?.pos === 'verb' && requires[0].synonyms.includes('calls for'), 'third-person verbs keep the -s');
+const tries = await lookupSynonyms('tries');
+thesaurusCheck(tries.some(s => s.pos === 'verb' && s.synonyms.includes('attempts')), '-ies forms are looked up by their -y stem');
+thesaurusCheck((await lookupSynonyms('xylophone')).length === 0, 'unknown words have no senses');
+console.log(`\n${thesaurusFailed} thesaurus checks failed.`);
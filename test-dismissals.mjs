@@ -0,0 +1,42 @@
+import { Dismissals, lintFingerprint } from '/tmp/spelling-tab-link/src/content/dismissals.js';
+
+// Stand-ins for the page and the service worker
+const sent = [];
+globalThis.location = { pathname: '/compose' };
+globalThis.chrome = { runtime: { async sendMessage(message) { sent.push(message); return {}; } } };
+const field = (id) => ({ id, tagName: 'TEXTAREA', getAttribute: () => null });
+
+console.log('=== DISMISSALS ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+const lintAt = (text, word) => {
+  const start = text.indexOf(word);
+  return { span: { start, end: start + word.length }, lintKind: 'Style', problemText: word, suggestions: [] };
+};
+
+const text = 'We really need to ship this.';
+const moved = 'We really need to ship this. Then we can rest.';
+check(lintFingerprint(text, lintAt(text, 'really')) === lintFingerprint(moved, lintAt(moved, 'really')),
+  'fingerprint survives edits outside the nearby words');
+const rewritten = 'We really must ship it today.';
+check(lintFingerprint(text, lintAt(text, 'really')) !== lintFingerprint(rewritten, lintAt(rewritten, 'really')),
+  'fingerprint changes when the surrounding words change');
+
+{
+  const dismissals = new Dismissals();
+  const a = field('body');
+  const b = field('title');
+  dismissals.dismiss(a, text, lintAt(text, 'really'), 'field');
+  check(dismissals.filter(a, text, [lintAt(text, 'really')]).length === 0, 'field dismissal hides the lint in that field');
+  check(dismissals.filter(b, text, [lintAt(text, 'really')]).length === 1, 'field dismissal leaves other fields alone');
+
+  dismissals.dismiss(a, text, lintAt(text, 'really'), 'site');
+  check(dismissals.filter(b, text, [lintAt(text, 'really')]).length === 0, 'site dismissal hides it in every field');
+  check(sent[0].fieldKey === '/compose#body' && sent[1].fieldKey === null, 'dismissals are sent to the service worker with their scope');
+}
+
+console.log(`\n${failed} dismissal checks failed.`);
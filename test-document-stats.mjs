@@ -0,0 +1,46 @@
+import { computeDocumentStats, splitSentences } from '/tmp/spelling-tab-link/src/content/document-stats.js';
+import { countSyllables } from '/tmp/spelling-tab-link/src/background/words.js';
+
+console.log('=== DOCUMENT STATS ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+check(countSyllables('cat') === 1 && countSyllables('table') === 2 && countSyllables('readability') === 5,
+  'syllables are counted by vowel group');
+check(countSyllables('made') === 1 && countSyllables('jumped') === 1, 'silent final e and -ed are not syllables');
+
+{
+  const text = 'The cat sat. Did it stay?\n\nYes! It stayed "all day."';
+  const sentences = splitSentences(text);
+  check(sentences.length === 4, 'sentences split at . ? ! and paragraph breaks');
+  check(sentences.every(s => text.slice(s.start, s.end) === s.text), 'sentence offsets point into the text');
+  check(sentences[3].text === 'It stayed "all day."', 'closing quotes stay with their sentence');
+}
+
+{
+  const text = 'The report was written by the team. We reviewed the report carefully and shipped the report on time.\n\nShort one.';
+  const stats = computeDocumentStats(text);
+  check(stats.words === 20 && stats.sentences === 3 && stats.paragraphs === 2, 'counts words, sentences and paragraphs');
+  check(stats.readingMinutes === 1, 'reading time rounds up to a minute');
+  check(stats.avgSentenceLength === 6.7, 'average sentence length');
+  check(stats.passivePercent === 33, 'one passive sentence in three');
+  check(computeDocumentStats('I was upset. The form was reviewed by Monday.').passivePercent === 50,
+    'passive sentences are the ones the passive-voice lint finds');
+  check(stats.longestSentences[0].words === 11 && text.slice(stats.longestSentences[0].start, stats.longestSentences[0].end) === stats.longestSentences[0].text,
+    'longest sentence first, with its position');
+  const report = stats.repeatedWords[0];
+  check(report.word === 'report' && report.count === 3 && report.start === text.indexOf('report'),
+    'most repeated word points at its first occurrence');
+  check(!stats.repeatedWords.some(w => w.word === 'the'), 'stop words are not counted as repeated');
+  check(stats.fleschKincaid > 0 && stats.gunningFog > 0, 'readability grades are computed');
+}
+
+{
+  const stats = computeDocumentStats('   ');
+  check(stats.words === 0 && stats.readingMinutes === 0 && stats.fleschKincaid === 0, 'empty text has zero stats');
+}
+
+console.log(`\n${failed} document stats checks failed.`);
@@ -0,0 +1,70 @@
+import { FixHistory, editsAfterApply } from '/tmp/spelling-tab-link/src/content/fix-history.js';
+
+console.log('=== FIX HISTORY ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+// A plain string standing in for a field
+function field(text) {
+  const f = {
+    text,
+    getText: () => f.text,
+    replace: (start, end, s) => { f.text = f.text.slice(0, start) + s + f.text.slice(end); },
+  };
+  return f;
+}
+
+// Apply edits (pre-fix offsets) the way a fix-all does: back to front
+function applyFixes(f, edits) {
+  for (const e of [...edits].sort((a, b) => b.start - a.start)) {
+    f.replace(e.start, e.start + e.original.length, e.replacement);
+  }
+}
+
+const original = 'teh cat adn teh dog';
+const edits = [
+  { start: 0, original: 'teh', replacement: 'the' },
+  { start: 8, original: 'adn', replacement: 'and' },
+  { start: 12, original: 'teh dog', replacement: 'the big dog' },
+];
+
+{
+  const moved = editsAfterApply(edits);
+  check(moved.map(e => e.start).join() === '0,8,12', 'same-length fixes keep their offsets');
+  const grown = editsAfterApply([{ start: 0, original: 'a', replacement: 'abc' }, { start: 4, original: 'x', replacement: 'y' }]);
+  check(grown[1].start === 6, 'later edits shift by earlier length changes');
+}
+
+{
+  const el = {};
+  const history = new FixHistory();
+  const f = field(original);
+  applyFixes(f, edits);
+  history.record(el, edits);
+  check(history.isFresh(el) && history.canUndo(el), 'recorded batch can be undone');
+
+  const undone = history.undo(el, f);
+  check(undone === 3 && f.text === original, 'undo reverts the whole batch');
+  check(history.canRedo(el), 'undo makes redo available');
+
+  history.redo(el, f);
+  check(f.text === 'the cat and the big dog', 'redo re-applies the batch');
+}
+
+{
+  const el = {};
+  const history = new FixHistory();
+  const f = field(original);
+  applyFixes(f, edits);
+  history.record(el, edits);
+  history.noteUserEdit(el);
+  check(!history.isFresh(el), 'typing hands Ctrl+Z back to the browser');
+
+  f.text = 'something else entirely';
+  check(history.undo(el, f) === 0 && !history.canUndo(el), 'undo refuses when the text changed under it');
+}
+
+console.log(`\n${failed} fix history checks failed.`);
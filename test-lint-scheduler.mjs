@@ -0,0 +1,93 @@
+import { LintScheduler, PRIORITY_FOCUSED, PRIORITY_BACKGROUND } from '/tmp/spelling-tab-link/src/background/lint-scheduler.js';
+
+console.log('=== LINT SCHEDULER ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+// A task that finishes when released, logging when it starts
+function gate() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { done, release };
+}
+const order = [];
+const task = (name, wait = Promise.resolve()) => async (isCancelled) => {
+  order.push(name);
+  await wait;
+  return isCancelled() ? null : name;
+};
+
+// Newer request for the same field drops the queued one
+{
+  const scheduler = new LintScheduler(1);
+  const blocker = gate();
+  const running = scheduler.schedule({ fieldKey: 'a', requestId: 1, task: task('a1', blocker.done) });
+  const queued = scheduler.schedule({ fieldKey: 'b', requestId: 1, task: task('b1') });
+  const superseded = scheduler.schedule({ fieldKey: 'b', requestId: 2, task: task('b2') });
+  blocker.release();
+  const results = await Promise.all([running, queued, superseded]);
+  check(results[1] === null && results[2] === 'b2', 'queued request is dropped when a newer one arrives');
+}
+
+// Newer request cancels the running one for the same field
+{
+  const scheduler = new LintScheduler(1);
+  const blocker = gate();
+  const first = scheduler.schedule({ fieldKey: 'a', requestId: 1, task: task('a1', blocker.done) });
+  const second = scheduler.schedule({ fieldKey: 'a', requestId: 2, task: task('a2') });
+  blocker.release();
+  check((await first) === null && (await second) === 'a2', 'running request is cancelled by a newer one');
+}
+
+// Requests that arrive after a newer one are stale
+{
+  const scheduler = new LintScheduler(1);
+  await scheduler.schedule({ fieldKey: 'a', requestId: 5, task: task('a5') });
+  check((await scheduler.schedule({ fieldKey: 'a', requestId: 4, task: task('a4') })) === null,
+    'request older than the newest seen is dropped');
+}
+
+// A reloaded page starts its request ids again once the tab is forgotten
+{
+  const scheduler = new LintScheduler(1);
+  await scheduler.schedule({ fieldKey: '7:0:1', requestId: 5, task: task('old') });
+  await scheduler.schedule({ fieldKey: '8:0:1', requestId: 5, task: task('other') });
+  scheduler.forget('7:');
+  check((await scheduler.schedule({ fieldKey: '7:0:1', requestId: 1, task: task('fresh') })) === 'fresh',
+    'fresh request id 1 runs after the tab is forgotten');
+  check((await scheduler.schedule({ fieldKey: '8:0:1', requestId: 1, task: task('stale') })) === null,
+    'other tabs keep their history');
+}
+
+// The focused field jumps the queue
+{
+  order.length = 0;
+  const scheduler = new LintScheduler(1);
+  const blocker = gate();
+  const all = [
+    scheduler.schedule({ fieldKey: 'x', requestId: 1, task: task('x', blocker.done) }),
+    scheduler.schedule({ fieldKey: 'bg1', requestId: 1, priority: PRIORITY_BACKGROUND, task: task('bg1') }),
+    scheduler.schedule({ fieldKey: 'bg2', requestId: 1, priority: PRIORITY_BACKGROUND, task: task('bg2') }),
+    scheduler.schedule({ fieldKey: 'focus', requestId: 1, priority: PRIORITY_FOCUSED, task: task('focus') }),
+  ];
+  blocker.release();
+  await Promise.all(all);
+  check(order.join(',') === 'x,focus,bg1,bg2', `focused field runs first (${order.join(',')})`);
+}
+
+// Concurrency runs one request per worker
+{
+  order.length = 0;
+  const scheduler = new LintScheduler(2);
+  const blocker = gate();
+  const a = scheduler.schedule({ fieldKey: 'a', requestId: 1, task: task('a', blocker.done) });
+  const b = scheduler.schedule({ fieldKey: 'b', requestId: 1, task: task('b', blocker.done) });
+  check(order.length === 2, 'two requests run at once with two workers');
+  blocker.release();
+  await Promise.all([a, b]);
+}
+
+console.log(`\n${failed} scheduler checks failed.`);
@@ -0,0 +1,138 @@
+import { LinterClient, splitParagraphs, isTabFixable, mergeLints } from '/tmp/spelling-tab-link/src/content/linter-client.js';
+import { findMixedSpellings } from '/tmp/spelling-tab-link/src/background/spelling-consistency.js';
+import { findRepetition } from '/tmp/spelling-tab-link/src/background/repetition.js';
+
+// Stand-in for the service worker: flags every "teh" and records what it was sent.
+// The whole-document check flags repetition, and mixed spellings when
+// `consistency` is on; it uses `dialect` and leaves out `ignored` words.
+const sent = [];
+const languages = [];
+const sentMasks = [];
+const documentChecks = [];
+const stubSettings = { consistency: false, dialect: 'uk', ignored: new Set() };
+globalThis.chrome = {
+  runtime: {
+    async sendMessage(message) {
+      if (message.type === 'check-document') {
+        documentChecks.push(message.text);
+        const mixed = stubSettings.consistency
+          ? findMixedSpellings(message.text, stubSettings.dialect, { masks: message.masks })
+          : [];
+        return {
+          lints: [...mixed, ...findRepetition(message.text, mixed, { masks: message.masks })]
+            .filter(l => !stubSettings.ignored.has(l.problemText.toLowerCase())),
+        };
+      }
+      sent.push(...message.paragraphs);
+      languages.push(message.language);
+      sentMasks.push(...(message.masks || []));
+      return {
+        results: message.paragraphs.map(text => [...text.matchAll(/teh/g)].map(m => ({
+          span: { start: m.index, end: m.index + 3 },
+          problemText: 'teh',
+          suggestions: [{ text: 'the', kind: 'ReplaceWith' }],
+        }))),
+      };
+    },
+  },
+  // Stand-in for Chrome's language detector: Spanish if it sees "que", unsure
+  // between Portuguese and Spanish if it sees "quizá"
+  i18n: {
+    async detectLanguage(text) {
+      if (/quizá/i.test(text)) {
+        return { isReliable: false, languages: [{ language: 'pt', percentage: 50 }, { language: 'es', percentage: 45 }] };
+      }
+      const language = /\bque\b/.test(text) ? 'es' : 'en';
+      return { isReliable: true, languages: [{ language, percentage: 100 }] };
+    },
+  },
+};
+globalThis.document = { activeElement: null, documentElement: { lang: '' } };
+
+console.log('=== PARAGRAPH LINTING ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+const paragraphs = splitParagraphs('First line.\n\nSecond teh line.\n \nx\nThird.');
+check(paragraphs.length === 3 && paragraphs[1].start === 13, 'splits on newlines, skips blank and 1-char lines');
+
+const client = new LinterClient();
+const doc = 'Intro paragraph here.\nThis is teh second.\nAnd teh third.';
+const lints = await client.lint(doc);
+check(lints.length === 2, 'lints every paragraph on first check');
+check(lints.every(l => doc.slice(l.span.start, l.span.end) === 'teh'), 'spans are rebased onto document offsets');
+
+sent.length = 0;
+const edited = doc.replace('Intro', 'An intro');
+const relinted = await client.lint(edited);
+check(sent.length === 1 && sent[0] === 'An intro paragraph here.', 'only the changed paragraph is sent again');
+check(relinted.every(l => edited.slice(l.span.start, l.span.end) === 'teh'), 'cached spans follow the shifted paragraphs');
+
+client.addLints('And teh third.', [{ span: { start: 0, end: 3 }, problemText: 'And', suggestions: [] }]);
+const withAI = await client.lint(edited);
+check(withAI.length === 3 && withAI.some(l => l.problemText === 'And' && edited.slice(l.span.start, l.span.end) === 'And'), 'added lints are merged into the paragraph cache');
+
+const runOn = { suggestions: [{ text: 'x', kind: 'ReplaceWith' }], confidence: 0.3 };
+const spelling = { suggestions: [{ text: 'the', kind: 'ReplaceWith' }], confidence: 0.9 };
+check(isTabFixable(runOn) && !isTabFixable(runOn, true) && isTabFixable(spelling, true),
+  '"Safe fixes only" keeps only high-confidence fixes');
+check(!isTabFixable({ ...spelling, pickOnly: true }), 'pick-only suggestions are never applied by Tab');
+
+const field = {};
+languages.length = 0;
+sent.length = 0;
+await client.lint('Creo que teh respuesta es correcta, pero no estoy seguro.', field);
+check(languages[0] === 'es', 'the detected language is sent with the request');
+await client.lint('Intro paragraph here.', field);
+check(languages[1] === 'es' && sent[1] === 'Intro paragraph here.',
+  'short text keeps the field\'s language and is relinted in it');
+document.documentElement.lang = 'fr';
+await client.lint('Merci, see you soon.', {});
+check(languages[2] === 'en', 'short text in a new field is English, whatever the page\'s lang says');
+const unsure = 'Quizá mañana podamos hablar un poco más del tema nuevo.';
+await client.lint(unsure, { closest: () => ({ lang: 'es-MX' }) });
+check(languages[3] === 'es', 'the nearest lang breaks a tie when detection is unsure');
+await client.lint(unsure, {});
+check(languages[4] === 'en', 'an unsure detection the page lang does not match falls back to English');
+document.documentElement.lang = '';
+
+const mixed = 'The colour is nice.\nI like the color.\nWe organized it.';
+documentChecks.length = 0;
+check((await client.lint(mixed)).every(l => l.problemText === 'teh') && documentChecks.length === 1,
+  'mixed spellings are not flagged by default');
+stubSettings.consistency = true;
+client.clearCache();
+const mixedLints = (await client.lint(mixed)).filter(l => l.lintKindPretty === 'Mixed Spelling');
+check(mixedLints.length === 2 && mixedLints.every(l => mixed.slice(l.span.start, l.span.end) !== 'colour') &&
+  mixedLints.some(l => l.suggestions[0].text === 'organised'), 'mixed spellings come from the service worker\'s check');
+await client.lint(mixed);
+check(documentChecks.length === 2, 'unchanged text is not sent for the whole-document check again');
+stubSettings.ignored.add('organized');
+client.clearCache();
+check(!(await client.lint(mixed)).some(l => l.problemText === 'organized'),
+  'mixed-spelling lints get the service worker\'s filters, like "Ignore everywhere"');
+stubSettings.dialect = 'us';
+check((await client.lint('The colour is nice.\nWe organised it.')).length === 0,
+  'a document written wholly in another dialect is not flagged');
+stubSettings.consistency = false;
+
+const openers = 'We left early.\nWe came back teh next day.\nWe stayed.';
+const repeated = (await client.lint(openers)).filter(l => l.pickOnly);
+check(repeated.length === 2 && repeated.every(l => openers.slice(l.span.start, l.span.end) === 'We') &&
+  (await client.lint(openers)).some(l => l.problemText === 'teh'),
+  'repeated sentence starts are found across lines, next to the paragraph lints');
+
+sent.length = 0;
+sentMasks.length = 0;
+await client.lint('Intro teh text.\n```\nconst teh = 1;\n```\nRun make all. then deploy.', null, { codeRanges: [[43, 52]] });
+check(sent.length === 2 && !sent.some(t => t.includes('const')), 'fenced code blocks are not linted');
+check(JSON.stringify(sentMasks[1]) === '[[4,13]]', 'code inside a paragraph is sent as a masked range');
+
+const sentenceLint = { span: { start: 0, end: 30 }, category: 'readability', suggestions: [] };
+const insideLint = { span: { start: 4, end: 7 }, category: 'ai', suggestions: [] };
+check(mergeLints([sentenceLint], [insideLint]).length === 2, 'hard-to-read lints do not block lints inside the sentence');
+
+console.log(`\n${failed} paragraph linting checks failed.`);
@@ -0,0 +1,41 @@
+// site-profiles.js reads and watches chrome.storage.sync, so stub it before importing
+const synced = {};
+globalThis.chrome = {
+  storage: {
+    sync: {
+      get: async (key) => ({ [key]: synced[key] }),
+      set: async (items) => { Object.assign(synced, items); },
+    },
+    onChanged: { addListener() {} },
+  },
+};
+const { getSiteProfile, setSiteProfile, siteFromUrl } = await import('/tmp/spelling-tab-link/src/background/site-profiles.js');
+
+console.log('=== SITE PROFILES ===\n');
+let failed = 0;
+function check(ok, label) {
+  if (!ok) failed++;
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+}
+
+check(siteFromUrl('https://www.github.com/foo') === 'github.com' && siteFromUrl('chrome://extensions') === '',
+  'sites are hostnames without "www."');
+check(getSiteProfile('example.com') === 'all', 'sites get every check by default');
+
+await setSiteProfile('example.com', 'off');
+check(getSiteProfile('sub.example.com') === 'off', 'a parent domain\'s profile covers its subdomains');
+
+await setSiteProfile('sub.example.com', 'all');
+check(getSiteProfile('sub.example.com') === 'all' && synced.siteProfiles['sub.example.com'] === 'all',
+  'a subdomain can turn checking back on under a disabled parent');
+check(getSiteProfile('other.example.com') === 'off', 'sibling subdomains keep the parent\'s profile');
+
+await setSiteProfile('sub.example.com', 'off');
+check(!('sub.example.com' in synced.siteProfiles) && getSiteProfile('sub.example.com') === 'off',
+  'a subdomain matching its parent again drops its own entry');
+
+await setSiteProfile('example.com', 'all');
+check(!('example.com' in synced.siteProfiles) && getSiteProfile('sub.example.com') === 'all',
+  'choosing the default on a top-level site removes its entry');
+
+console.log(`\n${failed} site profile checks failed.`);